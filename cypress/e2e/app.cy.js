@@ -5,7 +5,9 @@ const soundSources = [
   { name: 'Rain', url: '/audio/rain.mp3' },
   { name: 'Ocean Waves', url: '/audio/ocean_waves.mp3' },
   { name: 'Forest', url: '/audio/forest_sounds.mp3' },
-  { name: 'White Noise', url: '/audio/white_noise.mp3' },
+  { name: 'White Noise', generator: 'white' },
+  { name: 'Pink Noise', generator: 'pink' },
+  { name: 'Brown Noise', generator: 'brown' },
 ];
 
 describe('Ambient Mood App E2E Tests', () => {
@@ -0,0 +1,203 @@
+// public/sw.js
+// Service worker: precaches the app shell and keeps every recording that was played
+// (or downloaded with "Download all") so the app works offline.
+// Talks to the page through OfflineController.js with these messages:
+//   page -> worker: { type: 'get-offline-status' }, { type: 'download-audio', urls },
+//                   { type: 'skip-waiting' }
+//   worker -> page: { type: 'offline-status', paths }, { type: 'audio-cached', path },
+//                   { type: 'download-complete', failed }
+
+// Bump CACHE_VERSION with every release so the new shell replaces the old one.
+// AUDIO_CACHE_VERSION only changes when a file at an existing URL changes, so a release
+// does not throw away sounds the user downloaded.
+const CACHE_VERSION = 'v2';
+const AUDIO_CACHE_VERSION = 'v1';
+const CACHE_PREFIX = 'ambient-mood-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const AUDIO_CACHE = `${CACHE_PREFIX}audio-${AUDIO_CACHE_VERSION}`;
+
+const SHELL_URLS = [
+  '/',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/audio/sounds.json',
+];
+const AUDIO_PATH = '/audio/';
+const CATALOG_PATH = '/audio/sounds.json'; // Lists the sounds, so it belongs to the shell
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com']; // Icons are a font
+
+const BUILD_ASSETS_PATH = '/assets/'; // Where Vite puts the bundled scripts and styles
+
+// The built scripts and styles have hashed names, so they are read from index.html.
+// Only build output is taken: one missing file would fail the whole install.
+async function getShellUrls() {
+  const response = await fetch('/', { cache: 'no-cache' });
+  const html = await response.text();
+  const assets = Array.from(
+    html.matchAll(/(?:src|href)="(\/[^"]+)"/g),
+    (match) => match[1]
+  ).filter((path) => path.startsWith(BUILD_ASSETS_PATH));
+  return Array.from(new Set([...SHELL_URLS, ...assets]));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    getShellUrls().then(async (urls) => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(urls);
+    })
+  );
+  // An update waits until the page asks for it (skip-waiting), so a session is never
+  // switched to a new version halfway through
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      const keep = [SHELL_CACHE, AUDIO_CACHE];
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter(
+            (name) => name.startsWith(CACHE_PREFIX) && !keep.includes(name)
+          )
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+async function broadcast(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach((client) => client.postMessage(message));
+}
+
+// Recordings never change at a given URL: serve them from the cache, store them on first load.
+// The page gets the response right away so it can stream it (and show download progress)
+// while the copy is written to the cache.
+async function handleAudio(event) {
+  const { request } = event;
+  const cache = await caches.open(AUDIO_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.status === 200) {
+    event.waitUntil(
+      cache.put(request, response.clone()).then(() =>
+        broadcast({
+          type: 'audio-cached',
+          path: new URL(request.url).pathname,
+        })
+      )
+    );
+  }
+  return response;
+}
+
+// Pages: the network when online so releases show up, the cached shell otherwise
+async function handleNavigation(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cache = await caches.open(SHELL_CACHE);
+    return (await cache.match('/')) || Response.error();
+  }
+}
+
+// The sound catalog: like pages, the network first so new sounds show up right away
+async function handleCatalog(event) {
+  const { request } = event;
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) event.waitUntil(cache.put(request, response.clone()));
+    return response;
+  } catch (error) {
+    return (await cache.match(request)) || Response.error();
+  }
+}
+
+// Everything else: answer from the cache and refresh it in the background
+async function handleAsset(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(event.request);
+  const refresh = fetch(event.request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') {
+        event.waitUntil(cache.put(event.request, response.clone()));
+      }
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (sameOrigin && url.pathname === CATALOG_PATH) {
+    event.respondWith(handleCatalog(event));
+  } else if (sameOrigin && url.pathname.startsWith(AUDIO_PATH)) {
+    event.respondWith(handleAudio(event));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (sameOrigin || FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(handleAsset(event));
+  }
+});
+
+async function getCachedAudioPaths() {
+  const cache = await caches.open(AUDIO_CACHE);
+  const requests = await cache.keys();
+  return requests.map((request) => new URL(request.url).pathname);
+}
+
+// Downloads one file at a time: a flight is usually boarded on a poor connection
+async function downloadAudio(urls) {
+  const cache = await caches.open(AUDIO_CACHE);
+  const failed = [];
+  for (const url of urls) {
+    const path = new URL(url, self.location.origin).pathname;
+    try {
+      if (!(await cache.match(path))) {
+        const response = await fetch(path);
+        if (response.status !== 200) throw new Error(response.statusText);
+        await cache.put(path, response);
+      }
+      await broadcast({ type: 'audio-cached', path });
+    } catch (error) {
+      failed.push(path);
+    }
+  }
+  return failed;
+}
+
+self.addEventListener('message', (event) => {
+  const { data, source } = event;
+  if (!data) return;
+  if (data.type === 'get-offline-status') {
+    event.waitUntil(
+      getCachedAudioPaths().then((paths) =>
+        source.postMessage({ type: 'offline-status', paths })
+      )
+    );
+  } else if (data.type === 'download-audio') {
+    event.waitUntil(
+      downloadAudio(data.urls || []).then((failed) =>
+        source.postMessage({ type: 'download-complete', failed })
+      )
+    );
+  } else if (data.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,75 @@
+// src/AppStore.js
+
+// Shared app state plus a small event bus. Controllers publish what changed and the
+// UI renders from it, so nothing has to be told by hand after every action.
+// type AppState = { isPlaying: boolean, isLoading: boolean, currentSound: string | null,
+//                   volume: number, isMuted: boolean, palette: { name, color } | null,
+//                   settings: object | null, error: { source: string, message: string } | null };
+// Events: 'change' (state, changedKeys) after every setState that changed something,
+//         'error' ({ source, message, retry? }) for failures the user should hear about,
+//         with `retry` when the failed action can be tried again,
+//         'soundload' ({ name, status, progress, error }) as a sound downloads and decodes.
+const INITIAL_STATE = {
+  isPlaying: false,
+  isLoading: false,
+  currentSound: null,
+  volume: 0.75,
+  isMuted: false,
+  palette: null,
+  settings: null,
+  error: null,
+};
+
+class AppStore {
+  constructor(initialState = {}) {
+    this.state = { ...INITIAL_STATE, ...initialState };
+    this.listeners = new Map(); // Event name -> Set of handlers
+  }
+
+  getState() {
+    return { ...this.state };
+  }
+
+  // Merges `partial` into the state. Returns the keys whose values changed.
+  setState(partial) {
+    const changedKeys = Object.keys(partial).filter(
+      (key) => this.state[key] !== partial[key]
+    );
+    if (changedKeys.length === 0) return changedKeys;
+    this.state = { ...this.state, ...partial };
+    this.emit('change', this.getState(), changedKeys);
+    return changedKeys;
+  }
+
+  // Records the error in the state and announces it
+  reportError(source, message, retry = null) {
+    const error = { source, message };
+    this.setState({ error });
+    this.emit('error', retry ? { ...error, retry } : error);
+  }
+
+  // Returns a function that removes the handler
+  on(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (handlers) handlers.delete(handler);
+  }
+
+  emit(event, ...args) {
+    // Copied so handlers can unsubscribe while being called
+    Array.from(this.listeners.get(event) || []).forEach((handler) => {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`AppStore: Error in "${event}" handler:`, error);
+      }
+    });
+  }
+}
+
+export default AppStore;
@@ -0,0 +1,128 @@
+// src/AppStore.test.js
+import AppStore from './AppStore';
+
+describe('AppStore', () => {
+  let store;
+  let originalConsoleError;
+
+  beforeEach(() => {
+    originalConsoleError = console.error;
+    console.error = jest.fn();
+    store = new AppStore();
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+  });
+
+  test('should start stopped, with nothing loaded and no error', () => {
+    expect(store.getState()).toMatchObject({
+      isPlaying: false,
+      isLoading: false,
+      currentSound: null,
+      error: null,
+    });
+    expect(new AppStore({ volume: 0.2 }).getState().volume).toBe(0.2);
+  });
+
+  test('setState should emit the new state with the keys that changed', () => {
+    const onChange = jest.fn();
+    store.on('change', onChange);
+
+    expect(store.setState({ isLoading: true, isPlaying: false })).toEqual([
+      'isLoading',
+    ]);
+    expect(onChange).toHaveBeenCalledWith(
+      expect.objectContaining({ isLoading: true, isPlaying: false }),
+      ['isLoading']
+    );
+  });
+
+  test('setState should stay quiet when nothing changed', () => {
+    const onChange = jest.fn();
+    store.on('change', onChange);
+    expect(store.setState({ isPlaying: false, currentSound: null })).toEqual(
+      []
+    );
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  test('should follow a load -> play -> switch -> pause sequence', () => {
+    const transitions = [];
+    store.on('change', (state, changedKeys) =>
+      transitions.push([changedKeys, state.isPlaying, state.currentSound])
+    );
+
+    store.setState({ isLoading: true });
+    store.setState({ isLoading: false });
+    store.setState({ isPlaying: true, currentSound: 'Rain' });
+    store.setState({ isPlaying: true, currentSound: 'Forest' });
+    store.setState({ isPlaying: false, currentSound: 'Forest' });
+
+    expect(transitions).toEqual([
+      [['isLoading'], false, null],
+      [['isLoading'], false, null],
+      [['isPlaying', 'currentSound'], true, 'Rain'],
+      [['currentSound'], true, 'Forest'],
+      [['isPlaying'], false, 'Forest'],
+    ]);
+  });
+
+  test('reportError should record and announce the error', () => {
+    const onError = jest.fn();
+    store.on('error', onError);
+    store.reportError('audio', '"Rain" could not be loaded.');
+
+    const error = { source: 'audio', message: '"Rain" could not be loaded.' };
+    expect(onError).toHaveBeenCalledWith(error);
+    expect(store.getState().error).toEqual(error);
+  });
+
+  test('reportError should pass a retry to handlers but keep it out of the state', () => {
+    const onError = jest.fn();
+    const retry = jest.fn();
+    store.on('error', onError);
+    store.reportError('audio', '"Rain" could not be loaded.', retry);
+
+    expect(onError).toHaveBeenCalledWith({
+      source: 'audio',
+      message: '"Rain" could not be loaded.',
+      retry,
+    });
+    expect(store.getState().error).toEqual({
+      source: 'audio',
+      message: '"Rain" could not be loaded.',
+    });
+  });
+
+  test('off and the returned unsubscribe should remove handlers', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    const unsubscribe = store.on('change', first);
+    store.on('change', second);
+
+    unsubscribe();
+    store.off('change', second);
+    store.setState({ isPlaying: true });
+
+    expect(first).not.toHaveBeenCalled();
+    expect(second).not.toHaveBeenCalled();
+  });
+
+  test('a failing handler should not stop the others', () => {
+    const handler = jest.fn();
+    store.on('change', () => {
+      throw new Error('boom');
+    });
+    store.on('change', handler);
+
+    store.setState({ isPlaying: true });
+    expect(handler).toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  test('getState should return a copy', () => {
+    store.getState().isPlaying = true;
+    expect(store.getState().isPlaying).toBe(false);
+  });
+});
@@ -1,34 +1,136 @@
 // src/AudioController.js
+import { createNoiseBuffer } from './NoiseGenerator.js';
+import ToneGenerator, { TONE_MODES } from './ToneGenerator.js';
+import { createArtwork } from './MediaArtwork.js';
+import OverlapLoop, { findLoopRegion, getLoopPeriod } from './OverlapLoop.js';
+import { rankFormats } from './AudioFormats.js';
+import { analyzeLoudness, getLoudnessTrim } from './Loudness.js';
+import SoundBufferCache, { getDefaultBudget } from './SoundBufferCache.js';
 
-const soundSources = [
-  { name: 'Rain', url: '/audio/rain.mp3' }, // Replace with actual URLs
-  { name: 'Ocean Waves', url: '/audio/ocean_waves.mp3' },
-  { name: 'Forest', url: '/audio/forest_sounds.mp3' },
-  { name: 'White Noise', url: '/audio/white_noise.mp3' },
+// Sounds are either recordings (`url`) or rendered procedurally (`generator`, see NoiseGenerator.js).
+// The built-in ones come from the sound catalog (see SoundCatalog.js) and are registered with
+// addSoundSource() at startup; imported sounds are added with a `load()` returning their bytes
+// (see CustomSoundLibrary.js). Recordings listed in several `formats` ({ url, type }) are
+// downloaded in the best one the browser plays, which `url` then points at. A measured
+// `loudness` (dBFS) replaces the analysis used to level-match the sound (see Loudness.js).
+// Recordings may describe how they loop (see OverlapLoop.js): loopStart / loopEnd in
+// seconds, trimSilence to skip silence and encoder padding at either end, and loopCrossfade
+// (seconds) to overlap each repeat with the previous one.
+const soundSources = [];
+
+const PAUSE_FADE_DURATION = 0.15; // Seconds, short enough to feel instant but avoids clicks
+
+// Partials of the focus-session chime: a soft fifth, the upper note slightly delayed
+const CHIME_PARTIALS = [
+  { frequency: 880, level: 0.3, delay: 0 },
+  { frequency: 1320, level: 0.2, delay: 0.12 },
+];
+const CHIME_DURATION = 2.5; // Seconds until the chime has decayed
+const DEFAULT_TONE_LEVEL = 0.3; // Pure tones are piercing at full level
+const MEDIA_SESSION_ACTIONS = [
+  'play',
+  'pause',
+  'stop',
+  'nexttrack',
+  'previoustrack',
 ];
 
+// Retries for downloads that failed on the network or with a server error; the delay
+// doubles after every attempt (500 ms, 1 s, 2 s, ...) up to maxDelay.
+const RETRY_POLICY = { attempts: 4, baseDelay: 500, maxDelay: 8000 };
+const RETRYABLE_HTTP_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// A sound that could not be loaded. kind: 'fetch' (no response, e.g. offline or the
+// download broke off), 'http' (the server answered with an error status) or 'decode'
+// (the bytes are not audio this browser can play). The message is shown to the user.
+class SoundLoadError extends Error {
+  constructor(soundName, kind, { status = null, retryable = false } = {}) {
+    const messages = {
+      fetch: `"${soundName}" could not be downloaded. Check your connection.`,
+      http: `"${soundName}" could not be downloaded (HTTP ${status}).`,
+      decode: `"${soundName}" is not audio this browser can play.`,
+    };
+    super(messages[kind]);
+    this.name = 'SoundLoadError';
+    this.soundName = soundName;
+    this.kind = kind;
+    this.status = status; // HTTP status for 'http' errors
+    this.retryable = retryable;
+    this.attempts = 1; // Set once retries gave up
+  }
+}
+
 class AudioController {
-  constructor() {
+  // bufferBudget: bytes of decoded audio to keep in memory (see SoundBufferCache.js)
+  constructor(store = null, { bufferBudget } = {}) {
+    this.store = store; // Optional AppStore that playback state is published to
     this.audioContext = null;
-    this.soundBuffers = new Map(); // To store decoded AudioBuffers
+    // Decoded AudioBuffers by sound name; the selected sound and layers are never evicted
+    this.soundBuffers = new SoundBufferCache({
+      budget: bufferBudget,
+      isInUse: (soundName) =>
+        soundName === this.selectedSound || this.layers.has(soundName),
+      onEvict: (soundName) =>
+        this._setLoadState(soundName, { status: 'idle', progress: 0 }),
+    });
+    this.loopRegions = new WeakMap(); // AudioBuffer -> { start, end, crossfade } it loops over
+    this.bufferFormats = new WeakMap(); // AudioBuffer -> MIME type of the download it was decoded from
+    this.loudnessTrims = new WeakMap(); // AudioBuffer -> gain that brings it to the common loudness
+    this.normalizeLoudness = true; // Will be overridden by settings
     this.currentSourceNode = null; // To keep track of the currently playing sound source
+    this.currentGainNode = null; // Per-source gain of the selected sound, used for crossfades
+    this.fadingSources = new Set(); // Outgoing sources still ramping down after a crossfade
+    this.crossfadeDuration = 2; // Seconds, will be overridden by settings
+    this.startedAt = 0; // Context time at which the selected sound's buffer position was 0
+    this.pausedOffset = 0; // Position (seconds) within the selected sound's buffer when paused
+    this.layers = new Map(); // Extra sounds mixed over the selected one: name -> { level, gainNode, sourceNode }
     this.isPlaying = false;
     this.selectedSound = null; // Name of the currently selected sound
-    this.isLoading = false;
+    this.isLoading = false; // True while a sound the user is waiting for loads
+    this.awaitedSounds = new Set(); // Names of those sounds
+    this.pendingLoads = new Map(); // Sound name -> promise of its decoded buffer
+    this.loadStates = new Map(); // Sound name -> { status, progress, error } (see getSoundLoadState)
+    this.retryPolicy = { ...RETRY_POLICY };
     this.preloadPromise = null; // For preloading all sounds
+    this.resumePromise = null; // The resume in progress, shared by callers while its sound loads
+    this.dataSaver = false; // Skips the background preload; will be overridden by settings
     this.gainNode = null;
     this.volume = 0.75; // Default volume, will be overridden by settings
+    this.isMuted = false; // Silences the master gain without touching `volume`
+    this.sleepFade = null; // { start, end } (Date.now() ms) of the sleep timer's fade to silence
+    this.tone = null; // Tone generator settings { carrier, beat, mode, level, solo }, null when off
+    this.toneGenerator = null; // Created with its gain node on the first setTone()
+    this.toneGainNode = null;
+    this.mediaSession = null; // navigator.mediaSession once registerMediaSession() ran
+    this.mediaMetadataKey = null; // Sound and color the current metadata was made for
 
-    // US-003: Volume is normalized across all sound options (handled by consistent mastering of audio files)
-    // We can also add a gain node for overall volume control later if needed.
+    // US-003: Volume is normalized across all sound options: each sound's gain node includes
+    // a trim measured when it is decoded (see _storeBuffer and setNormalizeLoudness)
 
     // US-006 / PRD 2.3.3: REVIEW_NOTE: For mobile performance, especially on slower networks or
     // battery-sensitive devices:
     // 1. Ensure audio files are well-compressed without sacrificing quality below 192kbps.
     // 2. Monitor network requests and CPU usage during audio playback and background transitions.
-    // 3. The current preloading strategy helps, but for very constrained environments,
-    //    might consider allowing users to opt-out of preload or only preload selected sound.
-    //    (This is beyond current MVP scope but good for future thought).
+    // 3. Constrained devices can turn on data saver (setDataSaver) to only load the sounds
+    //    they play, and decoded sounds are kept within a memory budget.
+    this._publish();
+  }
+
+  // Mirrors the transport state into the store (if there is one) and the media session
+  _publish() {
+    this._updateMediaSession();
+    if (!this.store) return;
+    this.store.setState({
+      isPlaying: this.isPlaying,
+      isLoading: this.isLoading,
+      currentSound: this.selectedSound,
+      volume: this.volume,
+      isMuted: this.isMuted,
+    });
+  }
+
+  _reportError(message, retry = null) {
+    if (this.store) this.store.reportError('audio', message, retry);
   }
 
   // Initialize the AudioContext (must be called after a user interaction)
@@ -42,8 +144,14 @@ class AudioController {
 
         // Setup GainNode for volume control
         this.gainNode = this.audioContext.createGain();
-        this.gainNode.gain.value = this.volume;
+        this.gainNode.gain.value = this._getMasterLevel();
         this.gainNode.connect(this.audioContext.destination);
+        if (this._isSleepFading()) {
+          // The sleep timer started fading before there was any audio
+          const now = this.audioContext.currentTime;
+          this.gainNode.gain.setValueAtTime(this._getMasterLevelAt(now), now);
+          this._continueSleepFade();
+        }
 
         // Preload all sounds once context is ready
         await this.preloadAllSounds(initialSoundName);
@@ -56,7 +164,9 @@ class AudioController {
     return this.initPromise;
   }
 
-  async loadSound(soundName, soundUrl) {
+  // Background preloads pass { background: true }: they report progress per sound but
+  // do not mark the app as loading, since nobody is waiting for them yet.
+  async loadSound(soundName, soundUrl, { background = false } = {}) {
     if (!this.audioContext) {
       console.warn('AudioContext not initialized. Call init() first.');
       // Attempt to initialize, though ideally init is called on user gesture
@@ -64,29 +174,226 @@ class AudioController {
       if(!this.audioContext) throw new Error('AudioContext not available for loading sound.');
     }
     if (this.soundBuffers.has(soundName)) {
-      return this.soundBuffers.get(soundName);
+      return this.soundBuffers.peek(soundName);
     }
 
-    this.isLoading = true;
-    console.log(`Loading sound: ${soundName} from ${soundUrl}`);
+    const sourceInfo = soundSources.find((s) => s.name === soundName);
+    if (sourceInfo && sourceInfo.generator) {
+      // Procedural sounds are rendered locally, nothing to fetch or decode
+      const audioBuffer = createNoiseBuffer(
+        this.audioContext,
+        sourceInfo.generator
+      );
+      this._storeBuffer(soundName, audioBuffer);
+      this._setLoadState(soundName, { status: 'ready', progress: 1 });
+      console.log(`Sound generated: ${soundName}`);
+      return audioBuffer;
+    }
+
+    if (!background) this._setAwaited(soundName, true);
+    try {
+      // A sound picked while its preload is still running joins that download
+      if (!this.pendingLoads.has(soundName)) {
+        const loading = this._fetchAndDecode(
+          soundName,
+          sourceInfo,
+          soundUrl
+        ).finally(() => this.pendingLoads.delete(soundName));
+        this.pendingLoads.set(soundName, loading);
+      }
+      return await this.pendingLoads.get(soundName);
+    } finally {
+      if (!background) this._setAwaited(soundName, false);
+    }
+  }
+
+  async _fetchAndDecode(soundName, sourceInfo, soundUrl) {
+    this._setLoadState(soundName, { status: 'loading', progress: 0 });
     try {
-      const response = await fetch(soundUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch sound ${soundName}: ${response.statusText}`);
+      let audioBuffer;
+      if (sourceInfo && sourceInfo.load) {
+        console.log(`Loading sound: ${soundName} from storage`);
+        this._setLoadState(soundName, { status: 'loading', progress: null }); // No byte count from IndexedDB
+        let arrayBuffer;
+        try {
+          arrayBuffer = await sourceInfo.load();
+        } catch (error) {
+          console.error(`Could not read ${soundName} from storage:`, error);
+          throw new SoundLoadError(soundName, 'fetch');
+        }
+        audioBuffer = await this._decode(soundName, arrayBuffer);
+      } else {
+        audioBuffer = await this._fetchBestFormat(
+          soundName,
+          sourceInfo,
+          soundUrl
+        );
       }
-      const arrayBuffer = await response.arrayBuffer();
-      const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-      this.soundBuffers.set(soundName, audioBuffer);
+      this._storeBuffer(soundName, audioBuffer);
+      this._setLoadState(soundName, { status: 'ready', progress: 1 });
       console.log(`Sound loaded and decoded: ${soundName}`);
-      this.isLoading = false;
       return audioBuffer;
     } catch (error) {
       console.error(`Error loading sound ${soundName}:`, error);
-      this.isLoading = false;
+      this._setLoadState(soundName, {
+        status: 'error',
+        progress: null,
+        error: error.message,
+        kind: error.kind || null,
+        attempts: error.attempts || 1,
+      });
       throw error;
     }
   }
 
+  async _decode(soundName, arrayBuffer) {
+    try {
+      return await this.audioContext.decodeAudioData(arrayBuffer);
+    } catch (error) {
+      console.error(`Could not decode ${soundName}:`, error);
+      throw new SoundLoadError(soundName, 'decode');
+    }
+  }
+
+  // Downloads and decodes the first of the sound's formats that decodes, in the order
+  // addSoundSource() ranked them. Sounds without formats just have `soundUrl`.
+  async _fetchBestFormat(soundName, sourceInfo, soundUrl) {
+    const formats =
+      sourceInfo && sourceInfo.formats
+        ? sourceInfo.formats
+        : [{ url: soundUrl, type: null }];
+    for (let i = 0; ; i++) {
+      const { url, type } = formats[i];
+      const arrayBuffer = await this._fetchWithRetry(soundName, url);
+      try {
+        const audioBuffer = await this._decode(soundName, arrayBuffer);
+        this.bufferFormats.set(audioBuffer, type);
+        // Offline downloads should fetch the format that works here
+        if (sourceInfo) sourceInfo.url = url;
+        return audioBuffer;
+      } catch (error) {
+        if (i === formats.length - 1) throw error;
+        console.warn(
+          `AudioController: Could not decode ${url}, trying ${formats[i + 1].url}.`
+        );
+        this._setLoadState(soundName, { status: 'loading', progress: 0 });
+      }
+    }
+  }
+
+  // Downloads a recording, retrying network and server failures per retryPolicy.
+  // Rejects with a SoundLoadError whose `attempts` says how often it was tried.
+  async _fetchWithRetry(soundName, soundUrl) {
+    const { attempts, baseDelay, maxDelay } = this.retryPolicy;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._fetchSound(soundName, soundUrl);
+      } catch (error) {
+        error.attempts = attempt;
+        if (!error.retryable || attempt >= attempts) throw error;
+        const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+        console.warn(
+          `AudioController: ${error.message} Retrying in ${delay} ms (attempt ${attempt + 1} of ${attempts}).`
+        );
+        this._setLoadState(soundName, {
+          status: 'loading',
+          progress: 0,
+          attempt: attempt + 1,
+        });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async _fetchSound(soundName, soundUrl) {
+    console.log(`Loading sound: ${soundName} from ${soundUrl}`);
+    let response;
+    try {
+      response = await fetch(soundUrl);
+    } catch (error) {
+      throw new SoundLoadError(soundName, 'fetch', { retryable: true });
+    }
+    if (!response.ok) {
+      throw new SoundLoadError(soundName, 'http', {
+        status: response.status,
+        retryable: RETRYABLE_HTTP_STATUSES.includes(response.status),
+      });
+    }
+    try {
+      return await this._readBody(response, (progress) =>
+        this._setLoadState(soundName, { status: 'loading', progress })
+      );
+    } catch (error) {
+      // The connection dropped halfway through the download
+      throw new SoundLoadError(soundName, 'fetch', { retryable: true });
+    }
+  }
+
+  // Reads a fetch response body chunk by chunk, calling onProgress(fraction) as bytes
+  // arrive. The fraction is null when the server sends no Content-Length.
+  async _readBody(response, onProgress) {
+    if (!response.body || !response.body.getReader) {
+      return response.arrayBuffer(); // No streaming support: no progress either
+    }
+    const total =
+      Number(response.headers && response.headers.get('Content-Length')) || 0;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.byteLength;
+      // Compressed responses report the compressed length, so the count can overshoot
+      onProgress(total ? Math.min(1, received / total) : null);
+    }
+    const bytes = new Uint8Array(received);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+      bytes.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+    return bytes.buffer;
+  }
+
+  // Per-sound load state: { status: 'idle' | 'loading' | 'ready' | 'error',
+  // progress: number (0-1) | null when unknown, attempt?: number while retrying,
+  // error?: string, kind?: SoundLoadError kind, attempts?: number once failed }
+  getSoundLoadState(soundName) {
+    if (this.soundBuffers.has(soundName)) {
+      return { status: 'ready', progress: 1 };
+    }
+    return this.loadStates.get(soundName) || { status: 'idle', progress: 0 };
+  }
+
+  getSoundLoadStates() {
+    return Object.fromEntries(
+      soundSources.map((s) => [s.name, this.getSoundLoadState(s.name)])
+    );
+  }
+
+  // Records a sound's load state and announces it as a 'soundload' store event.
+  // Progress is announced in whole percents so a large download does not flood the UI.
+  _setLoadState(soundName, state) {
+    const percent = (value) =>
+      typeof value === 'number' ? Math.floor(value * 100) : value;
+    const describe = (loadState) =>
+      JSON.stringify({ ...loadState, progress: percent(loadState.progress) });
+    const previous = this.loadStates.get(soundName);
+    if (previous && describe(previous) === describe(state)) return;
+    this.loadStates.set(soundName, state);
+    if (this.store) this.store.emit('soundload', { name: soundName, ...state });
+  }
+
+  // isLoading is true while a sound somebody is waiting for (to play or layer) loads
+  _setAwaited(soundName, isAwaited) {
+    if (isAwaited) this.awaitedSounds.add(soundName);
+    else this.awaitedSounds.delete(soundName);
+    this.isLoading = this.awaitedSounds.size > 0;
+    this._publish();
+  }
+
   async preloadAllSounds(initialSoundName = null) {
     if (!this.audioContext) await this.init(initialSoundName);
     if (!this.audioContext) {
@@ -109,20 +416,30 @@ class AudioController {
         }
     }
 
-    // 2. Load the rest in the background after a delay
+    // 2. Load the rest in the background after a delay, unless data saver is on by then
     setTimeout(async () => {
-        console.log('Starting background preload of remaining sounds...');
-        const remainingSounds = soundSources.filter(s => s.name !== initialSoundName);
+      if (this.dataSaver) {
+        console.log('Data saver is on, skipping background preload.');
+        return;
+      }
+      console.log('Starting background preload of remaining sounds...');
+      const remainingSounds = soundSources.filter(
+        (s) => s.name !== initialSoundName
+      );
 
-        const loadPromises = remainingSounds.map(sound =>
-          this.loadSound(sound.name, sound.url).catch(err => {
-            console.error(`Failed to background load ${sound.name}: ${err.message}`);
+      const loadPromises = remainingSounds.map((sound) =>
+        this.loadSound(sound.name, sound.url, { background: true }).catch(
+          (err) => {
+            console.error(
+              `Failed to background load ${sound.name}: ${err.message}`
+            );
             return null;
-          })
-        );
+          }
+        )
+      );
 
-        await Promise.all(loadPromises);
-        console.log('Background sound loading completed.');
+      await Promise.all(loadPromises);
+      console.log('Background sound loading completed.');
     }, 3000); // 3 seconds delay
 
     // We consider "preloading" complete for the init phase once the initial sound is ready (or skipped)
@@ -144,78 +461,635 @@ class AudioController {
         await this.preloadPromise;
     }
 
-    let buffer = this.soundBuffers.get(soundName);
-    if (!buffer) {
-      // If not preloaded or failed, try to load on demand
-      const sourceInfo = soundSources.find(s => s.name === soundName);
-      if (!sourceInfo) {
-        console.error(`Sound ${soundName} not found in sources.`);
-        return;
-      }
-      try {
-        console.log(`Buffer for ${soundName} not found, loading on demand.`);
-        buffer = await this.loadSound(soundName, sourceInfo.url);
-      } catch (error) {
-        console.error(`Could not play ${soundName}: failed to load.`);
-        return;
-      }
-    }
+    const buffer = await this._getBuffer(soundName, () => this.play(soundName));
+    if (!buffer) return;
 
+    // Crossfade from the outgoing sound instead of cutting it (avoids a click and a gap of silence)
+    const fadeDuration =
+      this.currentSourceNode && this.isPlaying ? this.crossfadeDuration : 0;
     if (this.currentSourceNode) {
-      this.stop(); // Stop any currently playing sound
+      this._fadeOutAndStop(
+        this.currentSourceNode,
+        this.currentGainNode,
+        fadeDuration
+      );
     }
 
-    this.currentSourceNode = this.audioContext.createBufferSource();
-    this.currentSourceNode.buffer = buffer;
-    this.currentSourceNode.loop = true; // US-003: Sounds loop seamlessly
-    this.currentSourceNode.connect(this.gainNode); // Connect to gain node instead of destination
-
-    // US-003: Sounds begin playing within 2 seconds of selection (Web Audio API is fast)
-    this.currentSourceNode.start(0); // Start immediately
+    this._startSelected(buffer, 0, fadeDuration);
     this.isPlaying = true;
     this.selectedSound = soundName;
+    this.pausedOffset = 0;
+    this._startLayers();
+    this._startTone();
+    this._publish();
     console.log(`Playing: ${soundName}`);
   }
 
+  // Starts the selected sound's source at `offset` seconds into its buffer, on a fresh
+  // per-source gain node that ramps up over `fadeInDuration` (0 = full level immediately).
+  _startSelected(buffer, offset, fadeInDuration) {
+    const now = this.audioContext.currentTime;
+    const level = this._ambientLevel() * this._getLoudnessTrim(buffer);
+    this.currentGainNode = this.audioContext.createGain();
+    this.currentGainNode.connect(this.gainNode); // Feeds the master gain node
+    if (fadeInDuration > 0) {
+      this.currentGainNode.gain.setValueAtTime(0, now);
+      this.currentGainNode.gain.linearRampToValueAtTime(
+        level,
+        now + fadeInDuration
+      );
+    } else {
+      this.currentGainNode.gain.value = level;
+    }
+
+    this.currentSourceNode = this._createLoopSource(buffer); // US-003: Sounds loop seamlessly
+    this.currentSourceNode.connect(this.currentGainNode);
+
+    // US-003: Sounds begin playing within 2 seconds of selection (Web Audio API is fast)
+    const position = this._clampToLoop(buffer, offset);
+    this.currentSourceNode.start(0, position); // Start immediately
+    this.startedAt = now - position; // Context time at which the buffer position was 0
+  }
+
+  // Keeps a decoded buffer together with the part of it that loops and its loudness trim
+  _storeBuffer(soundName, buffer) {
+    const sourceInfo = soundSources.find((s) => s.name === soundName);
+    this.soundBuffers.set(soundName, buffer);
+    this.loopRegions.set(buffer, findLoopRegion(buffer, sourceInfo));
+    const loudness =
+      sourceInfo && Number.isFinite(sourceInfo.loudness)
+        ? { loudness: sourceInfo.loudness } // Measured by whoever added the sound
+        : analyzeLoudness(buffer);
+    this.loudnessTrims.set(buffer, getLoudnessTrim(loudness));
+  }
+
+  // Gain that levels the buffer with the other sounds; 1 when normalization is off
+  _getLoudnessTrim(buffer) {
+    if (!this.normalizeLoudness || !buffer) return 1;
+    const trim = this.loudnessTrims.get(buffer);
+    return trim === undefined ? 1 : trim;
+  }
+
+  setNormalizeLoudness(enabled) {
+    this.normalizeLoudness = Boolean(enabled);
+    this._applyAmbientLevel(); // Ramps whatever plays to its new level
+  }
+
+  _getLoopRegion(buffer) {
+    return (
+      this.loopRegions.get(buffer) || {
+        start: 0,
+        end: buffer.duration,
+        crossfade: 0,
+      }
+    );
+  }
+
+  // A looping source for the buffer: a native one, limited to the loop points if the
+  // region is not the whole buffer, or an OverlapLoop when repeats are crossfaded.
+  _createLoopSource(buffer) {
+    const region = this._getLoopRegion(buffer);
+    if (region.crossfade > 0) {
+      return new OverlapLoop(this.audioContext, buffer, region);
+    }
+    const source = this.audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    if (region.start > 0 || region.end < buffer.duration) {
+      source.loopStart = region.start;
+      source.loopEnd = region.end;
+    }
+    return source;
+  }
+
+  // Positions before the loop region (e.g. 0 for a fresh start) start at the region instead
+  _clampToLoop(buffer, offset) {
+    const { start, end } = this._getLoopRegion(buffer);
+    return offset >= start && offset < end ? offset : start;
+  }
+
+  // Ramps a source's gain down to silence and stops it once the ramp has finished.
+  // A duration of 0 stops the source immediately.
+  _fadeOutAndStop(sourceNode, gainNode, duration) {
+    if (duration <= 0 || !gainNode) {
+      sourceNode.stop(0);
+      sourceNode.disconnect();
+      if (gainNode) gainNode.disconnect();
+      return;
+    }
+
+    const now = this.audioContext.currentTime;
+    gainNode.gain.cancelScheduledValues(now);
+    gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+    gainNode.gain.linearRampToValueAtTime(0, now + duration);
+    this._stopAt(sourceNode, gainNode, now + duration);
+  }
+
+  // Schedules a source to stop at context time `when` and releases its nodes once it has ended.
+  _stopAt(sourceNode, gainNode, when) {
+    sourceNode.onended = () => {
+      this.fadingSources.delete(sourceNode);
+      sourceNode.disconnect();
+      if (gainNode) gainNode.disconnect();
+    };
+    sourceNode.stop(when);
+    this.fadingSources.add(sourceNode);
+  }
+
+  // Position (in seconds) within a looping buffer that started at context time `startedAt`.
+  // Once past the loop region's end, playback has wrapped back to its start.
+  _getOffset(buffer, startedAt) {
+    const duration = buffer ? buffer.duration : 0;
+    if (!duration) return 0;
+    const region = this._getLoopRegion(buffer);
+    const elapsed = Math.max(
+      region.start,
+      this.audioContext.currentTime - startedAt
+    );
+    return region.start + ((elapsed - region.start) % getLoopPeriod(region));
+  }
+
+  setCrossfadeDuration(seconds) {
+    this.crossfadeDuration = Math.max(0, seconds);
+  }
+
+  // With data saver on, sounds are only downloaded and decoded when they are played
+  setDataSaver(enabled) {
+    this.dataSaver = Boolean(enabled);
+  }
+
+  // Bytes of decoded audio kept in memory; sounds beyond it are evicted, least recently used
+  // first. null goes back to the budget chosen for the device.
+  setBufferBudget(bytes) {
+    this.soundBuffers.setBudget(bytes === null ? getDefaultBudget() : bytes);
+  }
+
+  // { hits, misses, evictions, entries, bytes, budget } of the decoded sound cache
+  getBufferCacheStats() {
+    return this.soundBuffers.getStats();
+  }
+
+  // Returns the decoded buffer for a sound, loading it on demand if it was not preloaded.
+  // Resolves to null (after reporting it) if the sound is unknown or fails to load;
+  // `retry` is offered to the user to run the failed action again.
+  async _getBuffer(soundName, retry = null) {
+    const buffer = this.soundBuffers.get(soundName);
+    if (buffer) return buffer;
+
+    const sourceInfo = soundSources.find((s) => s.name === soundName);
+    if (!sourceInfo) {
+      console.error(`Sound ${soundName} not found in sources.`);
+      this._reportError(`"${soundName}" is not available.`);
+      return null;
+    }
+    try {
+      console.log(`Buffer for ${soundName} not found, loading on demand.`);
+      return await this.loadSound(soundName, sourceInfo.url);
+    } catch (error) {
+      console.error(`Could not play ${soundName}: failed to load.`);
+      this._reportError(
+        error instanceof SoundLoadError
+          ? error.message
+          : `"${soundName}" could not be loaded.`,
+        retry
+      );
+      return null;
+    }
+  }
+
+  // Loads a sound again after it failed, e.g. from a Retry button. Resolves to whether it loaded.
+  async retryLoad(soundName) {
+    const sourceInfo = soundSources.find((s) => s.name === soundName);
+    if (!sourceInfo) return false;
+    try {
+      await this.loadSound(soundName, sourceInfo.url);
+      return true;
+    } catch (error) {
+      return false; // Recorded in the sound's load state
+    }
+  }
+
+  // BufferSourceNodes cannot be paused, so pause records the position within the buffer,
+  // fades the whole mix out over PAUSE_FADE_DURATION and stops every source. resume() then
+  // starts new sources from the recorded positions.
   pause() {
     if (this.currentSourceNode && this.isPlaying) {
-      // Web Audio API doesn't have a true 'pause' for BufferSourceNode that can be resumed.
-      // To pause, we stop the source and record the playback time to resume later.
-      // For simple looping ambient sounds, just stopping is often enough.
-      // If precise resume is needed, it's more complex (track offset, create new source).
-      // For this PRD, seamless looping and play/pause suggest stopping and restarting is acceptable.
-      this.currentSourceNode.stop(0);
-      this.currentSourceNode.disconnect(); // Disconnect
+      const now = this.audioContext.currentTime;
+      const fadeEnd = now + PAUSE_FADE_DURATION;
+      this.pausedOffset = this._getOffset(
+        this.currentSourceNode.buffer,
+        this.startedAt
+      );
+
+      // Fade the master out, then restore its level (silently) for the next playback.
+      // A sleep timer fade carries on underneath, so playing again comes back faded.
+      this.gainNode.gain.cancelScheduledValues(now);
+      this.gainNode.gain.setValueAtTime(this.gainNode.gain.value, now);
+      this.gainNode.gain.linearRampToValueAtTime(0, fadeEnd);
+      this.gainNode.gain.setValueAtTime(
+        this._getMasterLevelAt(fadeEnd),
+        fadeEnd
+      );
+      this._continueSleepFade();
+
+      this._stopAt(this.currentSourceNode, this.currentGainNode, fadeEnd);
       this.currentSourceNode = null;
+      this.currentGainNode = null;
+      // Sounds still fading out from a crossfade end with the rest of the mix
+      this.fadingSources.forEach((sourceNode) => sourceNode.stop(fadeEnd));
+      this._stopLayers(fadeEnd);
+      this._stopTone(fadeEnd);
       this.isPlaying = false;
-      console.log(`Paused: ${this.selectedSound}`);
+      this._publish();
+      console.log(
+        `Paused: ${this.selectedSound} at ${this.pausedOffset.toFixed(2)}s`
+      );
     }
   }
 
-  // This method will effectively restart the sound or play the new one.
-  // True resume at exact spot is more complex.
+  // Continues the selected sound (and layers) from where pause() left off, with a short fade in.
+  // Calls made while a resume is still loading its sound wait for that one instead of
+  // starting a second set of sources.
   resume() {
-    if (!this.isPlaying && this.selectedSound) {
-      console.log(`Resuming: ${this.selectedSound}`);
-      this.play(this.selectedSound);
+    if (!this.resumePromise) {
+      this.resumePromise = this._resume().finally(() => {
+        this.resumePromise = null;
+      });
     }
+    return this.resumePromise;
   }
 
-  stop() { // Alias for pause in this context
+  async _resume() {
+    if (this.isPlaying || !this.selectedSound) return;
+    if (!this.audioContext) {
+      await this.init();
+      if (!this.audioContext) {
+        console.error('AudioContext not available. Cannot resume sound.');
+        return;
+      }
+    }
+
+    const buffer = await this._getBuffer(this.selectedSound, () =>
+      this.resume()
+    );
+    // play() may have started the sound while it loaded
+    if (!buffer || this.isPlaying) return;
+
+    const now = this.audioContext.currentTime;
+    const rampEnd = now + PAUSE_FADE_DURATION;
+    this.gainNode.gain.cancelScheduledValues(now);
+    this.gainNode.gain.setValueAtTime(0, now);
+    this.gainNode.gain.linearRampToValueAtTime(
+      this._getMasterLevelAt(rampEnd),
+      rampEnd
+    );
+    this._continueSleepFade();
+
+    this._startSelected(buffer, this.pausedOffset, 0);
+    this._startLayers();
+    this._startTone();
+    this.isPlaying = true;
+    this._publish();
+    console.log(
+      `Resuming: ${this.selectedSound} at ${this.pausedOffset.toFixed(2)}s`
+    );
+  }
+
+  // Unlike pause, stop rewinds: the next resume starts from the beginning.
+  stop() {
     this.pause();
+    this.pausedOffset = 0;
+    this.layers.forEach((layer) => {
+      layer.offset = 0;
+    });
+  }
+
+  // Current position (in seconds) within the selected sound's buffer.
+  getPosition() {
+    if (this.isPlaying && this.currentSourceNode) {
+      return this._getOffset(this.currentSourceNode.buffer, this.startedAt);
+    }
+    return this.pausedOffset;
   }
 
   getSoundNames() {
     return soundSources.map(s => s.name);
   }
 
+  // --- Runtime sound sources (catalog entries and user imports) ---
+  // soundSources is shared with every module importing it, so changes show up everywhere.
+
+  // Registers an extra source; `buffer` may be passed when it has already been decoded.
+  addSoundSource(source, buffer = null) {
+    if (soundSources.some((s) => s.name === source.name)) {
+      console.warn(
+        `AudioController: A sound named "${source.name}" already exists.`
+      );
+      return false;
+    }
+    if (source.formats && source.formats.length > 0) {
+      source.formats = rankFormats(source.formats);
+      source.url = source.formats[0].url; // What preloads and offline downloads fetch
+    }
+    soundSources.push(source);
+    if (buffer) this._storeBuffer(source.name, buffer);
+    return true;
+  }
+
+  // Unregisters a source, stopping it first if it is selected or layered.
+  removeSoundSource(soundName) {
+    const index = soundSources.findIndex((s) => s.name === soundName);
+    if (index === -1) return false;
+
+    this.removeLayer(soundName);
+    if (this.selectedSound === soundName) {
+      this.pause(); // Fades out the whole mix if it is playing
+      this.selectedSound = null;
+      this.pausedOffset = 0;
+      this._publish();
+    }
+    this.soundBuffers.delete(soundName);
+    this.loadStates.delete(soundName);
+    soundSources.splice(index, 1);
+    console.log(`Sound source removed: ${soundName}`);
+    return true;
+  }
+
+  // Renames a source and everything keyed by its name, without interrupting playback.
+  renameSoundSource(soundName, newName) {
+    const source = soundSources.find((s) => s.name === soundName);
+    if (!source) return false;
+    if (soundSources.some((s) => s.name === newName)) {
+      console.warn(
+        `AudioController: A sound named "${newName}" already exists.`
+      );
+      return false;
+    }
+
+    source.name = newName;
+    this.soundBuffers.rename(soundName, newName);
+    if (this.layers.has(soundName)) {
+      this.layers.set(newName, this.layers.get(soundName));
+      this.layers.delete(soundName);
+    }
+    if (this.loadStates.has(soundName)) {
+      this.loadStates.set(newName, this.loadStates.get(soundName));
+      this.loadStates.delete(soundName);
+    }
+    if (this.selectedSound === soundName) {
+      this.selectedSound = newName;
+      this._publish();
+    }
+    console.log(`Sound source renamed: ${soundName} -> ${newName}`);
+    return true;
+  }
+
+  // --- Layers (multi-track mixer) ---
+  // Layers are additional loops mixed over the selected sound. Each one has its own
+  // source and gain node feeding the master gainNode, and follows play/pause.
+
+  async addLayer(soundName, level = 1) {
+    if (!this.audioContext) {
+      await this.init();
+      if (!this.audioContext) {
+        console.error('AudioContext not available. Cannot add layer.');
+        return false;
+      }
+    }
+    if (this.layers.has(soundName)) {
+      this.setLayerVolume(soundName, level);
+      return true;
+    }
+
+    const buffer = await this._getBuffer(soundName, () =>
+      this.addLayer(soundName, level)
+    );
+    if (!buffer) return false;
+
+    const gainNode = this.audioContext.createGain();
+    const layer = {
+      level: Math.max(0, Math.min(1, level)),
+      gainNode,
+      sourceNode: null,
+      startedAt: 0,
+      offset: 0, // Position within the buffer to resume from
+    };
+    gainNode.gain.value = this._getLayerLevel(soundName, layer);
+    gainNode.connect(this.gainNode);
+    this.layers.set(soundName, layer);
+
+    if (this.isPlaying) this._startLayer(soundName, layer);
+    console.log(`Layer added: ${soundName} at ${layer.level}`);
+    return true;
+  }
+
+  removeLayer(soundName) {
+    const layer = this.layers.get(soundName);
+    if (!layer) return false;
+    this._stopLayer(layer);
+    layer.gainNode.disconnect();
+    this.layers.delete(soundName);
+    console.log(`Layer removed: ${soundName}`);
+    return true;
+  }
+
+  setLayerVolume(soundName, level) {
+    const layer = this.layers.get(soundName);
+    if (!layer) {
+      console.warn(`AudioController: No layer named "${soundName}".`);
+      return;
+    }
+    layer.level = Math.max(0, Math.min(1, level)); // Clamp between 0 and 1
+    layer.gainNode.gain.setValueAtTime(
+      this._getLayerLevel(soundName, layer),
+      this.audioContext.currentTime
+    );
+  }
+
+  // Gain of a layer's node: its own level, the ambient level and the sound's loudness trim
+  _getLayerLevel(soundName, layer) {
+    return (
+      layer.level *
+      this._ambientLevel() *
+      this._getLoudnessTrim(this.soundBuffers.peek(soundName))
+    );
+  }
+
+  getLayers() {
+    return Array.from(this.layers, ([name, layer]) => ({
+      name,
+      volume: layer.level,
+    }));
+  }
+
+  _startLayer(soundName, layer) {
+    const buffer = this.soundBuffers.peek(soundName);
+    if (!buffer || layer.sourceNode) return;
+    const position = this._clampToLoop(buffer, layer.offset);
+    layer.sourceNode = this._createLoopSource(buffer);
+    layer.sourceNode.connect(layer.gainNode);
+    layer.sourceNode.start(0, position);
+    layer.startedAt = this.audioContext.currentTime - position;
+  }
+
+  _stopLayer(layer) {
+    if (!layer.sourceNode) return;
+    layer.sourceNode.stop(0);
+    layer.sourceNode.disconnect();
+    layer.sourceNode = null;
+  }
+
+  _startLayers() {
+    this.layers.forEach((layer, soundName) =>
+      this._startLayer(soundName, layer)
+    );
+  }
+
+  // Stops every layer at context time `when`, remembering where each one was for resume
+  _stopLayers(when) {
+    this.layers.forEach((layer) => {
+      if (!layer.sourceNode) return;
+      layer.offset = this._getOffset(layer.sourceNode.buffer, layer.startedAt);
+      this._stopAt(layer.sourceNode, null, when);
+      layer.sourceNode = null;
+    });
+  }
+
+  // --- Tone generator (binaural / isochronic beats, see ToneGenerator.js) ---
+  // The tone is mixed under the ambient sound through its own gain node and follows
+  // play/pause like a layer. With `solo` the selected sound and layers are silenced
+  // (but keep their position) so the tone plays alone.
+
+  async setTone({
+    carrier,
+    beat,
+    mode,
+    level = DEFAULT_TONE_LEVEL,
+    solo = false,
+  }) {
+    if (!TONE_MODES.includes(mode)) {
+      console.warn(`AudioController: Unknown tone mode "${mode}".`);
+      return false;
+    }
+    if (!this.audioContext) {
+      await this.init();
+      if (!this.audioContext) {
+        console.error('AudioContext not available. Cannot set tone.');
+        return false;
+      }
+    }
+    if (!this.toneGenerator) {
+      this.toneGainNode = this.audioContext.createGain();
+      this.toneGainNode.connect(this.gainNode);
+      this.toneGenerator = new ToneGenerator(
+        this.audioContext,
+        this.toneGainNode
+      );
+    }
+
+    this.tone = {
+      carrier,
+      beat,
+      mode,
+      level: Math.max(0, Math.min(1, level)),
+      solo,
+    };
+    if (this.toneGenerator.isRunning()) {
+      this.toneGenerator.update(this.tone);
+      this.toneGainNode.gain.setValueAtTime(
+        this.tone.level,
+        this.audioContext.currentTime
+      );
+    } else if (this.isPlaying) {
+      this._startTone(PAUSE_FADE_DURATION); // Fade in under what is already playing
+    }
+    this._applyAmbientLevel();
+    console.log(
+      `Tone set: ${mode} ${carrier} Hz carrier, ${beat} Hz beat${solo ? ' (solo)' : ''}`
+    );
+    return true;
+  }
+
+  clearTone() {
+    if (!this.tone) return;
+    this.tone = null;
+    if (this.toneGenerator.isRunning()) {
+      const now = this.audioContext.currentTime;
+      const fadeEnd = now + PAUSE_FADE_DURATION;
+      this.toneGainNode.gain.cancelScheduledValues(now);
+      this.toneGainNode.gain.setValueAtTime(this.toneGainNode.gain.value, now);
+      this.toneGainNode.gain.linearRampToValueAtTime(0, fadeEnd);
+      this.toneGenerator.stop(fadeEnd);
+    }
+    this._applyAmbientLevel();
+    console.log('Tone cleared.');
+  }
+
+  getTone() {
+    return this.tone ? { ...this.tone } : null;
+  }
+
+  _startTone(fadeInDuration = 0) {
+    if (!this.tone || this.toneGenerator.isRunning()) return;
+    const now = this.audioContext.currentTime;
+    this.toneGainNode.gain.cancelScheduledValues(now);
+    if (fadeInDuration > 0) {
+      this.toneGainNode.gain.setValueAtTime(0, now);
+      this.toneGainNode.gain.linearRampToValueAtTime(
+        this.tone.level,
+        now + fadeInDuration
+      );
+    } else {
+      this.toneGainNode.gain.setValueAtTime(this.tone.level, now);
+    }
+    this.toneGenerator.start(this.tone);
+  }
+
+  _stopTone(when) {
+    if (this.toneGenerator) this.toneGenerator.stop(when);
+  }
+
+  // Level of the ambient mix (selected sound and layers) relative to its own settings
+  _ambientLevel() {
+    return this.tone && this.tone.solo ? 0 : 1;
+  }
+
+  // Ramps the selected sound and layers to their current levels, e.g. after solo or
+  // loudness normalization changes
+  _applyAmbientLevel() {
+    if (!this.audioContext) return;
+    const now = this.audioContext.currentTime;
+    const level = this._ambientLevel();
+    const rampTo = (gain, value) => {
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(gain.value, now);
+      gain.linearRampToValueAtTime(value, now + PAUSE_FADE_DURATION);
+    };
+    if (this.currentGainNode) {
+      const buffer = this.soundBuffers.peek(this.selectedSound);
+      rampTo(this.currentGainNode.gain, level * this._getLoudnessTrim(buffer));
+    }
+    this.layers.forEach((layer, soundName) =>
+      rampTo(layer.gainNode.gain, this._getLayerLevel(soundName, layer))
+    );
+  }
+
   // Volume Control
   setVolume(volume) {
     this.volume = Math.max(0, Math.min(1, volume)); // Clamp between 0 and 1
     if (this.gainNode) {
-      // Using setValueAtTime for smoother transitions if called rapidly, though for typical UI slider not critical
-      this.gainNode.gain.setValueAtTime(this.volume, this.audioContext.currentTime);
+      const now = this.audioContext.currentTime;
+      if (this._isSleepFading()) {
+        // Jump to where the fade is at the new volume and carry on from there
+        this.gainNode.gain.cancelScheduledValues(now);
+        this.gainNode.gain.setValueAtTime(this._getMasterLevelAt(now), now);
+        this._continueSleepFade();
+      } else {
+        // Using setValueAtTime for smoother transitions if called rapidly, though for typical UI slider not critical
+        this.gainNode.gain.setValueAtTime(this._getMasterLevel(), now);
+      }
     }
+    this._publish();
     console.log(`AudioController: Volume set to ${this.volume}`);
   }
 
@@ -223,17 +1097,209 @@ class AudioController {
     return this.volume;
   }
 
+  // Mutes or unmutes with a short ramp (avoids a click); the volume is kept for unmuting
+  setMuted(muted) {
+    this.isMuted = Boolean(muted);
+    if (this.gainNode) {
+      const now = this.audioContext.currentTime;
+      const rampEnd = now + PAUSE_FADE_DURATION;
+      this.gainNode.gain.cancelScheduledValues(now);
+      this.gainNode.gain.setValueAtTime(this.gainNode.gain.value, now);
+      this.gainNode.gain.linearRampToValueAtTime(
+        this._getMasterLevelAt(rampEnd),
+        rampEnd
+      );
+      this._continueSleepFade();
+    }
+    this._publish();
+    console.log(`AudioController: ${this.isMuted ? 'Muted' : 'Unmuted'}`);
+  }
+
+  // Level the master gain rests at: the volume, or silence while muted
+  _getMasterLevel() {
+    return this.isMuted ? 0 : this.volume;
+  }
+
+  // The sleep timer's fade is kept in wall-clock time like the timer itself, so it
+  // survives pauses and can start before there is an AudioContext
+  _isSleepFading() {
+    return this.sleepFade !== null && Date.now() < this.sleepFade.end;
+  }
+
+  // Context time at which the sleep timer's fade reaches silence
+  _getSleepFadeEnd() {
+    return (
+      this.audioContext.currentTime + (this.sleepFade.end - Date.now()) / 1000
+    );
+  }
+
+  // The master level at context time `when`, lowered along the sleep timer's fade if one runs
+  _getMasterLevelAt(when) {
+    if (!this._isSleepFading()) return this._getMasterLevel();
+    const { start, end } = this.sleepFade;
+    const at = Date.now() + (when - this.audioContext.currentTime) * 1000;
+    const remaining = Math.max(0, Math.min(1, (end - at) / (end - start)));
+    return this._getMasterLevel() * remaining;
+  }
+
+  // Re-schedules the rest of the sleep timer's fade after the master gain was changed,
+  // so muting, changing the volume or pausing mid-fade still ends in silence
+  _continueSleepFade() {
+    if (!this._isSleepFading()) return;
+    this.gainNode.gain.linearRampToValueAtTime(0, this._getSleepFadeEnd());
+  }
+
+  // Ramps the master gain down to silence over `duration` seconds (used by the sleep timer).
+  // The volume setting itself is untouched; cancelFadeOut() restores it. Without audio yet
+  // the fade is remembered and applied once init() creates the master gain.
+  fadeOut(duration) {
+    this.sleepFade = { start: Date.now(), end: Date.now() + duration * 1000 };
+    if (!this.gainNode) return;
+    const now = this.audioContext.currentTime;
+    this.gainNode.gain.cancelScheduledValues(now);
+    this.gainNode.gain.setValueAtTime(this.gainNode.gain.value, now);
+    this.gainNode.gain.linearRampToValueAtTime(0, now + duration);
+  }
+
+  cancelFadeOut() {
+    this.sleepFade = null;
+    if (!this.gainNode) return;
+    const now = this.audioContext.currentTime;
+    this.gainNode.gain.cancelScheduledValues(now);
+    this.gainNode.gain.setValueAtTime(this._getMasterLevel(), now);
+  }
+
+  // Synthesizes a short two-tone bell (used to mark focus-session boundaries).
+  // Routed through the master gain so it follows the volume setting.
+  playChime() {
+    if (!this.audioContext) {
+      console.warn(
+        'AudioController: AudioContext not initialized, skipping chime.'
+      );
+      return;
+    }
+    const now = this.audioContext.currentTime;
+    CHIME_PARTIALS.forEach(({ frequency, level, delay }) => {
+      const oscillator = this.audioContext.createOscillator();
+      const envelope = this.audioContext.createGain();
+      const start = now + delay;
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      envelope.gain.setValueAtTime(0, start);
+      envelope.gain.linearRampToValueAtTime(level, start + 0.01); // Soft attack
+      envelope.gain.exponentialRampToValueAtTime(
+        0.0001,
+        start + CHIME_DURATION
+      );
+      oscillator.connect(envelope);
+      envelope.connect(this.gainNode);
+      oscillator.onended = () => envelope.disconnect();
+      oscillator.start(start);
+      oscillator.stop(start + CHIME_DURATION);
+    });
+  }
+
+  // --- Media Session (OS media keys, lock screen) ---
+  // Lets hardware media keys and lock-screen controls drive playback; next/previous cycle
+  // through soundSources. Options: getInitialSound() names the sound to play when nothing
+  // was played yet, onTrackChange(soundName) runs after next/previous switched sounds,
+  // onPlay() replaces the play action (e.g. to start the app's audio setup first).
+  registerMediaSession(
+    { getInitialSound, onTrackChange, onPlay } = {},
+    mediaSession = navigator.mediaSession
+  ) {
+    if (!mediaSession || typeof MediaMetadata === 'undefined') {
+      console.log('AudioController: Media Session API unavailable.');
+      return false;
+    }
+    this.mediaSession = mediaSession;
+
+    const playAdjacent = async (step) => {
+      const names = this.getSoundNames();
+      if (names.length === 0) return;
+      const index = names.indexOf(this.selectedSound);
+      const next = names[(index + step + names.length) % names.length];
+      await this.play(next);
+      if (onTrackChange && this.selectedSound === next) onTrackChange(next);
+    };
+    const handlers = {
+      play: () => {
+        if (onPlay) return onPlay();
+        if (this.selectedSound) return this.resume();
+        const initialSound = getInitialSound ? getInitialSound() : null;
+        return this.play(initialSound || this.getSoundNames()[0]);
+      },
+      pause: () => this.pause(),
+      stop: () => this.stop(),
+      nexttrack: () => playAdjacent(1),
+      previoustrack: () => playAdjacent(-1),
+    };
+    MEDIA_SESSION_ACTIONS.forEach((action) => {
+      try {
+        mediaSession.setActionHandler(action, handlers[action]);
+      } catch (error) {
+        // Browsers throw for actions they do not support
+        console.warn(
+          `AudioController: Media action "${action}" not supported.`
+        );
+      }
+    });
+
+    // The artwork follows the background color
+    if (this.store) {
+      this.store.on('change', (state, changedKeys) => {
+        if (changedKeys.includes('palette')) this._updateMediaSession();
+      });
+    }
+    this._updateMediaSession();
+    return true;
+  }
+
+  _updateMediaSession() {
+    if (!this.mediaSession) return;
+    let playbackState = this.selectedSound ? 'paused' : 'none';
+    if (this.isPlaying) playbackState = 'playing';
+    this.mediaSession.playbackState = playbackState;
+
+    const palette = this.store ? this.store.getState().palette : null;
+    const color = palette ? palette.color : undefined;
+    const key = `${this.selectedSound}|${color}`;
+    if (key === this.mediaMetadataKey) return; // Artwork is only redrawn when it changes
+    this.mediaMetadataKey = key;
+    this.mediaSession.metadata = new MediaMetadata({
+      title: this.selectedSound || 'Ambient Mood',
+      artist: 'Ambient Mood',
+      album: palette ? palette.name : '',
+      artwork: [createArtwork(color)],
+    });
+  }
+
+  // MIME type of the format a sound was downloaded in; null until it has loaded, and
+  // for sounds that are generated or imported
+  getSoundFormat(soundName) {
+    const buffer = this.soundBuffers.peek(soundName);
+    return (buffer && this.bufferFormats.get(buffer)) || null;
+  }
+
   // Get Current State
-  // type AudioState = { isPlaying: boolean, currentSound: string | null, volume: number, isLoading: boolean };
+  // type AudioState = { isPlaying: boolean, currentSound: string | null, format: string | null,
+  //                     volume: number, isMuted: boolean, isLoading: boolean,
+  //                     layers: { name: string, volume: number }[], position: number,
+  //                     tone: { carrier, beat, mode, level, solo } | null };
   getState() {
     return {
       isPlaying: this.isPlaying,
       currentSound: this.selectedSound,
+      format: this.getSoundFormat(this.selectedSound),
+      position: this.getPosition(),
       volume: this.getVolume(),
+      isMuted: this.isMuted,
       isLoading: this.isLoading,
+      layers: this.getLayers(),
+      tone: this.getTone(),
     };
   }
 }
 
 export default AudioController;
-export { soundSources }; // Export for populating select options
+export { soundSources, SoundLoadError, RETRY_POLICY }; // soundSources populates the select options
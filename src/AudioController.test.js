@@ -1,30 +1,78 @@
 // src/AudioController.test.js
-import AudioController, { soundSources } from './AudioController';
+import AppStore from './AppStore';
+import AudioController, {
+  soundSources,
+  SoundLoadError,
+  RETRY_POLICY,
+} from './AudioController';
+import OverlapLoop from './OverlapLoop';
+import SoundBufferCache, { DEFAULT_BUDGET } from './SoundBufferCache';
+import { parseSoundCatalog } from './SoundCatalog';
+import catalog from '../public/audio/sounds.json';
+
+// The built-in sounds are registered from the catalog, as main.js does at startup
+const catalogController = new AudioController();
+parseSoundCatalog(catalog).sounds.forEach((sound) =>
+  catalogController.addSoundSource(sound)
+);
 
 // Mock Web Audio API
 const mockAudioContext = {
-  createGain: jest.fn().mockReturnValue({
+  // Fresh nodes per call so the master gain and per-layer gains can be told apart
+  createGain: jest.fn().mockImplementation(() => ({
     connect: jest.fn(),
+    disconnect: jest.fn(),
     gain: {
       value: 0.75, // Initial default
       setValueAtTime: jest.fn(),
+      linearRampToValueAtTime: jest.fn(),
+      exponentialRampToValueAtTime: jest.fn(),
+      setValueCurveAtTime: jest.fn(),
+      cancelScheduledValues: jest.fn(),
     },
-  }),
-  createBufferSource: jest.fn().mockReturnValue({
+  })),
+  createBufferSource: jest.fn().mockImplementation(() => ({
     connect: jest.fn(),
+    disconnect: jest.fn(),
     start: jest.fn(),
     stop: jest.fn(),
     buffer: null,
     loop: false,
-  }),
+  })),
   decodeAudioData: jest.fn().mockImplementation((arrayBuffer, successCallback) => {
     // Simulate successful decoding
     const mockAudioBuffer = { name: 'mockBuffer', duration: 120 };
     if (successCallback) successCallback(mockAudioBuffer);
     return Promise.resolve(mockAudioBuffer); // Also return promise for modern usage
   }),
+  createOscillator: jest.fn().mockImplementation(() => ({
+    connect: jest.fn(),
+    disconnect: jest.fn(),
+    start: jest.fn(),
+    stop: jest.fn(),
+    type: 'sine',
+    frequency: { value: 440, setValueAtTime: jest.fn() },
+  })),
+  createChannelMerger: jest.fn().mockImplementation(() => ({
+    connect: jest.fn(),
+    disconnect: jest.fn(),
+  })),
+  createBuffer: jest.fn().mockImplementation((channels, length, sampleRate) => {
+    const data = Array.from(
+      { length: channels },
+      () => new Float32Array(length)
+    );
+    return {
+      numberOfChannels: channels,
+      length,
+      sampleRate,
+      duration: length / sampleRate,
+      getChannelData: (channel) => data[channel],
+    };
+  }),
   destination: { name: 'mockDestinationNode' },
   currentTime: 0,
+  sampleRate: 8000, // Kept low so generated noise buffers stay small in tests
 };
 
 global.AudioContext = jest.fn().mockImplementation(() => mockAudioContext);
@@ -38,6 +86,16 @@ global.fetch = jest.fn(() =>
   })
 );
 
+// A recording at a steady level of 0.5 (-6 dBFS), silent for `leading` and `trailing`
+// seconds at either end
+const createRecording = (seconds, leading = 0, trailing = 0) => {
+  const buffer = mockAudioContext.createBuffer(1, seconds * 8000, 8000);
+  buffer
+    .getChannelData(0)
+    .fill(0.5, leading * 8000, (seconds - trailing) * 8000);
+  return buffer;
+};
+
 describe('AudioController', () => {
   let audioController;
   let originalConsoleError;
@@ -69,7 +127,7 @@ describe('AudioController', () => {
     expect(audioController.gainNode).toBeNull(); // Not created until init
     expect(audioController.volume).toBe(0.75); // Default initial volume
     expect(audioController.isPlaying).toBe(false);
-    expect(audioController.soundBuffers).toBeInstanceOf(Map);
+    expect(audioController.soundBuffers).toBeInstanceOf(SoundBufferCache);
   });
 
   describe('init', () => {
@@ -118,6 +176,22 @@ describe('AudioController', () => {
       expect(audioController.gainNode.gain.setValueAtTime).toHaveBeenCalledWith(0, mockAudioContext.currentTime);
     });
 
+    test('fadeOut should ramp the master gain to silence without changing the volume', () => {
+      audioController.fadeOut(300);
+      expect(
+        audioController.gainNode.gain.linearRampToValueAtTime
+      ).toHaveBeenCalledWith(0, 300);
+      expect(audioController.getVolume()).toBe(0.75);
+
+      audioController.cancelFadeOut();
+      expect(
+        audioController.gainNode.gain.cancelScheduledValues
+      ).toHaveBeenCalled();
+      expect(
+        audioController.gainNode.gain.setValueAtTime
+      ).toHaveBeenLastCalledWith(0.75, 0);
+    });
+
     test('getVolume should return the current volume', () => {
       audioController.volume = 0.65;
       expect(audioController.getVolume()).toBe(0.65);
@@ -132,12 +206,599 @@ describe('AudioController', () => {
       await audioController.loadSound(soundName, soundSources[0].url);
     });
 
-    test('play should connect source to gainNode', async () => {
+    test('play should connect source to gainNode through its own gain', async () => {
+      await audioController.play(soundName);
+      expect(audioController.currentSourceNode.connect).toHaveBeenCalledWith(
+        audioController.currentGainNode
+      );
+      expect(audioController.currentGainNode.connect).toHaveBeenCalledWith(
+        audioController.gainNode
+      );
+    });
+
+    test('play should start at full level without a fade when nothing is playing', async () => {
+      await audioController.play(soundName);
+      expect(audioController.currentGainNode.gain.value).toBe(1);
+      expect(
+        audioController.currentGainNode.gain.linearRampToValueAtTime
+      ).not.toHaveBeenCalled();
+    });
+
+    test('switching sounds should crossfade the outgoing and incoming sources', async () => {
+      audioController.setCrossfadeDuration(3);
+      await audioController.play(soundName);
+      const outgoingSource = audioController.currentSourceNode;
+      const outgoingGain = audioController.currentGainNode;
+
+      await audioController.play('Forest');
+
+      expect(outgoingGain.gain.linearRampToValueAtTime).toHaveBeenCalledWith(
+        0,
+        3
+      );
+      expect(outgoingSource.stop).toHaveBeenCalledWith(3);
+      expect(audioController.fadingSources.has(outgoingSource)).toBe(true);
+      expect(audioController.currentGainNode).not.toBe(outgoingGain);
+      expect(
+        audioController.currentGainNode.gain.setValueAtTime
+      ).toHaveBeenCalledWith(0, 0);
+      expect(
+        audioController.currentGainNode.gain.linearRampToValueAtTime
+      ).toHaveBeenCalledWith(1, 3);
+
+      outgoingSource.onended();
+      expect(outgoingSource.disconnect).toHaveBeenCalled();
+      expect(audioController.fadingSources.size).toBe(0);
+    });
+
+    test('a crossfade duration of 0 should hard-cut the outgoing source', async () => {
+      audioController.setCrossfadeDuration(0);
+      await audioController.play(soundName);
+      const outgoingSource = audioController.currentSourceNode;
+
+      await audioController.play('Forest');
+      expect(outgoingSource.stop).toHaveBeenCalledWith(0);
+      expect(audioController.fadingSources.size).toBe(0);
+    });
+
+    test('pause should cut sources that are still fading out', async () => {
       await audioController.play(soundName);
-      expect(audioController.currentSourceNode.connect).toHaveBeenCalledWith(audioController.gainNode);
+      const outgoingSource = audioController.currentSourceNode;
+      await audioController.play('Forest');
+
+      audioController.pause();
+      expect(outgoingSource.stop).toHaveBeenLastCalledWith(0.15);
+    });
+  });
+
+
+  describe('mute', () => {
+    beforeEach(async () => {
+      await audioController.init();
+    });
+
+    test('setMuted should ramp the master gain to silence and keep the volume', () => {
+      audioController.setVolume(0.6);
+      audioController.setMuted(true);
+
+      expect(audioController.isMuted).toBe(true);
+      expect(audioController.getVolume()).toBe(0.6);
+      expect(
+        audioController.gainNode.gain.linearRampToValueAtTime
+      ).toHaveBeenLastCalledWith(0, 0.15);
+
+      audioController.setMuted(false);
+      expect(
+        audioController.gainNode.gain.linearRampToValueAtTime
+      ).toHaveBeenLastCalledWith(0.6, 0.15);
+    });
+
+    test('volume changes while muted should stay silent', () => {
+      audioController.setMuted(true);
+      audioController.setVolume(0.9);
+      expect(
+        audioController.gainNode.gain.setValueAtTime
+      ).toHaveBeenLastCalledWith(0, 0);
+      expect(audioController.getState().isMuted).toBe(true);
+    });
+
+    describe('during the sleep timer fade', () => {
+      let clock; // Date.now() in ms, kept in step with the context's currentTime
+
+      const advance = (seconds) => {
+        clock += seconds * 1000;
+        mockAudioContext.currentTime += seconds;
+      };
+
+      beforeEach(() => {
+        clock = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => clock);
+      });
+
+      afterEach(() => {
+        Date.now.mockRestore();
+        mockAudioContext.currentTime = 0;
+      });
+
+      test('muting should not interrupt the fade', () => {
+        audioController.fadeOut(60);
+        advance(30);
+        audioController.setMuted(true);
+        audioController.setMuted(false);
+        // Back to where the fade would be by the end of the unmute ramp
+        expect(
+          audioController.gainNode.gain.linearRampToValueAtTime
+        ).toHaveBeenNthCalledWith(
+          4,
+          expect.closeTo(0.75 * (29.85 / 60)),
+          30.15
+        );
+        expect(
+          audioController.gainNode.gain.linearRampToValueAtTime
+        ).toHaveBeenLastCalledWith(0, 60);
+
+        audioController.setVolume(0.5);
+        expect(
+          audioController.gainNode.gain.setValueAtTime
+        ).toHaveBeenLastCalledWith(0.25, 30);
+        expect(
+          audioController.gainNode.gain.linearRampToValueAtTime
+        ).toHaveBeenLastCalledWith(0, 60);
+      });
+
+      test('pause and resume should come back at the faded level', async () => {
+        await audioController.play('Rain');
+        audioController.fadeOut(60);
+        advance(30);
+        audioController.pause();
+        expect(
+          audioController.gainNode.gain.linearRampToValueAtTime
+        ).toHaveBeenLastCalledWith(0, 60);
+
+        advance(10);
+        await audioController.resume();
+        expect(
+          audioController.gainNode.gain.linearRampToValueAtTime
+        ).toHaveBeenNthCalledWith(
+          4,
+          expect.closeTo(0.75 * (19.85 / 60)),
+          40.15
+        );
+        expect(
+          audioController.gainNode.gain.linearRampToValueAtTime
+        ).toHaveBeenLastCalledWith(0, 60);
+      });
+
+      test('a fade that began before init should apply to the new master gain', async () => {
+        const controller = new AudioController();
+        controller.preloadAllSounds = jest.fn();
+        controller.fadeOut(60);
+        advance(15);
+        await controller.init();
+        expect(
+          controller.gainNode.gain.setValueAtTime
+        ).toHaveBeenLastCalledWith(0.75 * (45 / 60), 15);
+        expect(
+          controller.gainNode.gain.linearRampToValueAtTime
+        ).toHaveBeenLastCalledWith(0, 60);
+      });
+    });
+
+    test('resume while muted should not fade the master back in', async () => {
+      await audioController.play('Rain');
+      audioController.setMuted(true);
+      audioController.pause();
+      expect(
+        audioController.gainNode.gain.setValueAtTime
+      ).toHaveBeenLastCalledWith(0, 0.15);
+
+      await audioController.resume();
+      expect(
+        audioController.gainNode.gain.linearRampToValueAtTime
+      ).toHaveBeenLastCalledWith(0, 0.15);
+    });
+  });
+
+  describe('store', () => {
+    let store;
+    let transitions;
+
+    beforeEach(() => {
+      store = new AppStore();
+      transitions = [];
+      store.on('change', (state, changedKeys) =>
+        changedKeys.forEach((key) => transitions.push([key, state[key]]))
+      );
+      audioController = new AudioController(store);
+    });
+
+    test('should publish loading, playing and pausing', async () => {
+      await audioController.init();
+      await audioController.play('Rain');
+      audioController.pause();
+
+      expect(transitions).toEqual([
+        ['isLoading', true],
+        ['isLoading', false],
+        ['isPlaying', true],
+        ['currentSound', 'Rain'],
+        ['isPlaying', false],
+      ]);
+    });
+
+    test('should publish volume and mute changes', () => {
+      audioController.setVolume(0.3);
+      audioController.setMuted(true);
+      expect(store.getState()).toMatchObject({ volume: 0.3, isMuted: true });
+    });
+
+    test('should report sounds that cannot be played', async () => {
+      const onError = jest.fn();
+      store.on('error', onError);
+      await audioController.init();
+
+      await audioController.play('Thunder');
+      expect(onError).toHaveBeenCalledWith({
+        source: 'audio',
+        message: '"Thunder" is not available.',
+      });
+      expect(store.getState().isPlaying).toBe(false);
+    });
+
+    test('removing the selected sound should clear the current sound', async () => {
+      audioController.addSoundSource({ name: 'Office Hum', custom: true }, {});
+      await audioController.init();
+      await audioController.play('Office Hum');
+
+      audioController.removeSoundSource('Office Hum');
+      expect(store.getState()).toMatchObject({
+        isPlaying: false,
+        currentSound: null,
+      });
     });
   });
 
+  describe('sound loading', () => {
+    let store;
+    let events;
+
+    // A fetch response whose body arrives in the given chunk sizes
+    const streamedResponse = (chunkSizes, contentLength) => {
+      const chunks = chunkSizes.map((size) => new Uint8Array(size).fill(1));
+      return {
+        ok: true,
+        headers: {
+          get: (name) =>
+            name === 'Content-Length' && contentLength !== undefined
+              ? String(contentLength)
+              : null,
+        },
+        body: {
+          getReader: () => ({
+            read: () =>
+              Promise.resolve(
+                chunks.length > 0
+                  ? { done: false, value: chunks.shift() }
+                  : { done: true, value: undefined }
+              ),
+          }),
+        },
+      };
+    };
+
+    beforeEach(async () => {
+      store = new AppStore();
+      events = [];
+      store.on('soundload', (event) => events.push(event));
+      audioController = new AudioController(store);
+      await audioController.init();
+    });
+
+    test('should stream the download and announce its progress', async () => {
+      fetch.mockResolvedValueOnce(streamedResponse([4, 6], 10));
+
+      await audioController.loadSound('Rain', '/audio/rain.mp3');
+
+      expect(events).toEqual([
+        { name: 'Rain', status: 'loading', progress: 0 },
+        { name: 'Rain', status: 'loading', progress: 0.4 },
+        { name: 'Rain', status: 'loading', progress: 1 },
+        { name: 'Rain', status: 'ready', progress: 1 },
+      ]);
+      const decoded = mockAudioContext.decodeAudioData.mock.calls[0][0];
+      expect(new Uint8Array(decoded)).toEqual(new Uint8Array(10).fill(1));
+      expect(audioController.getSoundLoadState('Rain')).toEqual({
+        status: 'ready',
+        progress: 1,
+      });
+    });
+
+    test('progress should be unknown without a Content-Length', async () => {
+      fetch.mockResolvedValueOnce(streamedResponse([4, 6]));
+      await audioController.loadSound('Rain', '/audio/rain.mp3');
+      expect(events.map((event) => event.progress)).toEqual([0, null, 1]);
+    });
+
+    test('failures should be recorded per sound', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+
+      await expect(
+        audioController.loadSound('Rain', '/audio/rain.mp3')
+      ).rejects.toThrow('"Rain" could not be downloaded (HTTP 404).');
+      expect(audioController.getSoundLoadState('Rain')).toEqual({
+        status: 'error',
+        progress: null,
+        error: '"Rain" could not be downloaded (HTTP 404).',
+        kind: 'http',
+        attempts: 1,
+      });
+      expect(audioController.isLoading).toBe(false);
+    });
+
+    test('a sound requested while it preloads should join that download', async () => {
+      const background = audioController.loadSound('Rain', '/audio/rain.mp3', {
+        background: true,
+      });
+      expect(audioController.isLoading).toBe(false); // Nobody is waiting yet
+
+      const requested = audioController.loadSound('Rain', '/audio/rain.mp3');
+      expect(audioController.isLoading).toBe(true);
+      expect(await requested).toBe(await background);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(audioController.isLoading).toBe(false);
+    });
+
+    test('getSoundLoadStates should cover every source', async () => {
+      await audioController.loadSound('White Noise');
+      const states = audioController.getSoundLoadStates();
+
+      expect(Object.keys(states)).toEqual(soundSources.map((s) => s.name));
+      expect(states['White Noise'].status).toBe('ready'); // Generated, nothing to fetch
+      expect(states.Rain).toEqual({ status: 'idle', progress: 0 });
+    });
+  });
+
+  describe('load errors and retries', () => {
+    let store;
+
+    const loadRain = () =>
+      audioController
+        .loadSound('Rain', '/audio/rain.mp3')
+        .catch((error) => error);
+
+    beforeEach(async () => {
+      store = new AppStore();
+      audioController = new AudioController(store);
+      await audioController.init();
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('network failures should be retried with exponential backoff', async () => {
+      fetch
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+      const loading = loadRain();
+
+      await jest.advanceTimersByTimeAsync(499);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(audioController.getSoundLoadState('Rain')).toMatchObject({
+        status: 'loading',
+        attempt: 2,
+      });
+      await jest.advanceTimersByTimeAsync(1); // First retry after 500 ms
+      expect(fetch).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(1000); // Second after another 1 s
+      expect(fetch).toHaveBeenCalledTimes(3);
+
+      expect(await loading).toEqual({ name: 'mockBuffer', duration: 120 });
+      expect(audioController.getSoundLoadState('Rain').status).toBe('ready');
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+
+    test('server errors should give up after the last attempt', async () => {
+      for (let i = 0; i < RETRY_POLICY.attempts; i++) {
+        fetch.mockResolvedValueOnce({ ok: false, status: 503 });
+      }
+      const loading = loadRain();
+
+      await jest.advanceTimersByTimeAsync(500 + 1000 + 2000);
+      const error = await loading;
+
+      expect(fetch).toHaveBeenCalledTimes(RETRY_POLICY.attempts);
+      expect(error).toBeInstanceOf(SoundLoadError);
+      expect(error).toMatchObject({ kind: 'http', status: 503, attempts: 4 });
+      expect(audioController.getSoundLoadState('Rain')).toMatchObject({
+        status: 'error',
+        kind: 'http',
+        attempts: 4,
+      });
+    });
+
+    test('missing files and undecodable audio should not be retried', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+      expect(await loadRain()).toMatchObject({ kind: 'http', attempts: 1 });
+
+      // Every format is tried once, none of them again
+      const { formats } = soundSources.find((s) => s.name === 'Rain');
+      formats.forEach(() =>
+        mockAudioContext.decodeAudioData.mockRejectedValueOnce(
+          new Error('EncodingError')
+        )
+      );
+      expect(await loadRain()).toMatchObject({
+        kind: 'decode',
+        message: '"Rain" is not audio this browser can play.',
+      });
+      expect(fetch).toHaveBeenCalledTimes(1 + formats.length);
+    });
+
+    test('a download that breaks off should count as a network failure', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        headers: { get: () => null },
+        body: {
+          getReader: () => ({
+            read: () => Promise.reject(new TypeError('network error')),
+          }),
+        },
+      });
+      const loading = loadRain();
+      await jest.advanceTimersByTimeAsync(500);
+
+      expect(await loading).toEqual({ name: 'mockBuffer', duration: 120 });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('play should report the failure with a retry that plays the sound', async () => {
+      const onError = jest.fn();
+      store.on('error', onError);
+      fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+
+      await audioController.play('Rain');
+      expect(audioController.isPlaying).toBe(false);
+      expect(onError).toHaveBeenCalledWith({
+        source: 'audio',
+        message: '"Rain" could not be downloaded (HTTP 404).',
+        retry: expect.any(Function),
+      });
+
+      await onError.mock.calls[0][0].retry();
+      expect(audioController.isPlaying).toBe(true);
+      expect(audioController.selectedSound).toBe('Rain');
+    });
+
+    test('retryLoad should load a failed sound again', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+      await loadRain();
+
+      expect(await audioController.retryLoad('Rain')).toBe(true);
+      expect(audioController.getSoundLoadState('Rain').status).toBe('ready');
+      expect(await audioController.retryLoad('Thunder')).toBe(false);
+    });
+  });
+
+  describe('media session', () => {
+    let mediaSession;
+    let store;
+    let originalMediaMetadata;
+
+    beforeEach(() => {
+      originalMediaMetadata = global.MediaMetadata;
+      global.MediaMetadata = class {
+        constructor(init) {
+          Object.assign(this, init);
+        }
+      };
+      const handlers = {};
+      mediaSession = {
+        metadata: null,
+        playbackState: 'none',
+        handlers,
+        setActionHandler: jest.fn((action, handler) => {
+          if (action === 'stop') throw new TypeError('Unsupported action');
+          handlers[action] = handler;
+        }),
+      };
+      jest
+        .spyOn(HTMLCanvasElement.prototype, 'getContext')
+        .mockReturnValue(null); // SVG artwork, no canvas needed
+      store = new AppStore();
+      audioController = new AudioController(store);
+    });
+
+    afterEach(() => {
+      global.MediaMetadata = originalMediaMetadata;
+      HTMLCanvasElement.prototype.getContext.mockRestore();
+    });
+
+    test('should do nothing without the Media Session API', () => {
+      delete global.MediaMetadata;
+      expect(audioController.registerMediaSession({}, mediaSession)).toBe(
+        false
+      );
+      expect(audioController.registerMediaSession({}, undefined)).toBe(false);
+      expect(mediaSession.setActionHandler).not.toHaveBeenCalled();
+    });
+
+    test('should register the transport actions, skipping unsupported ones', () => {
+      expect(audioController.registerMediaSession({}, mediaSession)).toBe(true);
+      expect(Object.keys(mediaSession.handlers)).toEqual([
+        'play',
+        'pause',
+        'nexttrack',
+        'previoustrack',
+      ]);
+      expect(console.warn).toHaveBeenCalledWith(
+        'AudioController: Media action "stop" not supported.'
+      );
+      expect(mediaSession.metadata.title).toBe('Ambient Mood');
+    });
+
+    test('play and pause actions should drive playback and playbackState', async () => {
+      audioController.registerMediaSession(
+        { getInitialSound: () => 'Forest' },
+        mediaSession
+      );
+
+      await mediaSession.handlers.play();
+      expect(audioController.selectedSound).toBe('Forest');
+      expect(mediaSession.playbackState).toBe('playing');
+      expect(mediaSession.metadata.title).toBe('Forest');
+
+      mediaSession.handlers.pause();
+      expect(mediaSession.playbackState).toBe('paused');
+
+      await mediaSession.handlers.play(); // Resumes the paused sound
+      expect(audioController.isPlaying).toBe(true);
+      expect(audioController.selectedSound).toBe('Forest');
+    });
+
+    test('the play action should go through onPlay when given', async () => {
+      const onPlay = jest.fn(() => Promise.resolve());
+      audioController.registerMediaSession({ onPlay }, mediaSession);
+
+      await mediaSession.handlers.play();
+      expect(onPlay).toHaveBeenCalledTimes(1);
+      expect(audioController.isPlaying).toBe(false);
+    });
+
+    test('next and previous should cycle through the sound sources', async () => {
+      const onTrackChange = jest.fn();
+      audioController.registerMediaSession({ onTrackChange }, mediaSession);
+      const names = soundSources.map((s) => s.name);
+
+      await audioController.init();
+      await audioController.play(names[names.length - 1]);
+      await mediaSession.handlers.nexttrack(); // Wraps around
+      expect(audioController.selectedSound).toBe(names[0]);
+      await mediaSession.handlers.previoustrack();
+      expect(audioController.selectedSound).toBe(names[names.length - 1]);
+      expect(onTrackChange.mock.calls).toEqual([
+        [names[0]],
+        [names[names.length - 1]],
+      ]);
+    });
+
+    test('artwork should follow the background palette', () => {
+      audioController.registerMediaSession({}, mediaSession);
+      const before = mediaSession.metadata;
+
+      store.setState({ palette: { name: 'Forest Green', color: '#294B29' } });
+      expect(mediaSession.metadata).not.toBe(before);
+      expect(mediaSession.metadata.album).toBe('Forest Green');
+      expect(
+        decodeURIComponent(mediaSession.metadata.artwork[0].src)
+      ).toContain('fill="#294B29"');
+
+      const current = mediaSession.metadata;
+      audioController.setVolume(0.2); // Unrelated change: no new metadata
+      expect(mediaSession.metadata).toBe(current);
+    });
+  });
 
   describe('getState', () => {
     beforeEach(async () => {
@@ -154,10 +815,722 @@ describe('AudioController', () => {
       expect(state).toEqual({
         isPlaying: true,
         currentSound: 'Rain',
+        format: null, // Not loaded yet
         volume: 0.8,
+        isMuted: false,
         isLoading: false,
+        layers: [],
+        position: 0,
+        tone: null,
       });
     });
+
+    test('getState should report active layers', async () => {
+      await audioController.addLayer('Forest', 0.4);
+      expect(audioController.getState().layers).toEqual([
+        { name: 'Forest', volume: 0.4 },
+      ]);
+    });
+  });
+
+  describe('pause and resume', () => {
+    beforeEach(async () => {
+      await audioController.init();
+      await audioController.play('Forest');
+    });
+
+    afterEach(() => {
+      mockAudioContext.currentTime = 0;
+    });
+
+    test('pause should record the position within the buffer and fade out', () => {
+      const sourceNode = audioController.currentSourceNode;
+      mockAudioContext.currentTime = 130; // Mock buffer is 120s long, so 10s into the second loop
+
+      audioController.pause();
+
+      expect(audioController.getPosition()).toBe(10);
+      expect(audioController.getState().position).toBe(10);
+      expect(sourceNode.stop).toHaveBeenCalledWith(130.15);
+      expect(
+        audioController.gainNode.gain.linearRampToValueAtTime
+      ).toHaveBeenCalledWith(0, 130.15);
+      expect(audioController.gainNode.gain.setValueAtTime).toHaveBeenCalledWith(
+        audioController.volume,
+        130.15
+      );
+      expect(audioController.isPlaying).toBe(false);
+    });
+
+    test('resume should continue from the paused position with a fade in', async () => {
+      mockAudioContext.currentTime = 30;
+      audioController.pause();
+      mockAudioContext.currentTime = 100;
+
+      await audioController.resume();
+
+      expect(audioController.currentSourceNode.start).toHaveBeenCalledWith(
+        0,
+        30
+      );
+      expect(
+        audioController.gainNode.gain.linearRampToValueAtTime
+      ).toHaveBeenLastCalledWith(audioController.volume, 100.15);
+      expect(audioController.isPlaying).toBe(true);
+
+      mockAudioContext.currentTime = 105;
+      expect(audioController.getPosition()).toBe(35);
+    });
+
+    test('resume should start the sound once when called again while it loads', async () => {
+      audioController.pause();
+      audioController.soundBuffers.delete('Forest');
+      const sourceCount = mockAudioContext.createBufferSource.mock.calls.length;
+
+      await Promise.all([audioController.resume(), audioController.resume()]);
+
+      expect(mockAudioContext.createBufferSource.mock.calls.length).toBe(
+        sourceCount + 1
+      );
+      expect(audioController.isPlaying).toBe(true);
+      expect(audioController.resumePromise).toBeNull();
+    });
+
+    test('layers should resume from their own positions', async () => {
+      mockAudioContext.currentTime = 10;
+      await audioController.addLayer('Rain');
+      mockAudioContext.currentTime = 25;
+      audioController.pause();
+
+      await audioController.resume();
+      const layer = audioController.layers.get('Rain');
+      expect(layer.sourceNode.start).toHaveBeenCalledWith(0, 15);
+    });
+
+    test('stop should rewind to the beginning', async () => {
+      mockAudioContext.currentTime = 30;
+      audioController.stop();
+      expect(audioController.getPosition()).toBe(0);
+
+      await audioController.resume();
+      expect(audioController.currentSourceNode.start).toHaveBeenCalledWith(
+        0,
+        0
+      );
+    });
+
+    test('playing a different sound should start it from the beginning', async () => {
+      mockAudioContext.currentTime = 30;
+      audioController.pause();
+      await audioController.play('Rain');
+      expect(audioController.currentSourceNode.start).toHaveBeenCalledWith(
+        0,
+        0
+      );
+    });
+  });
+
+  describe('looping', () => {
+    beforeEach(async () => {
+      audioController.preloadAllSounds = jest.fn();
+      await audioController.init();
+    });
+
+    afterEach(() => {
+      mockAudioContext.currentTime = 0;
+    });
+
+    test('should loop between the silence trimmed from either end', async () => {
+      mockAudioContext.decodeAudioData.mockResolvedValueOnce(
+        createRecording(4, 0.5, 1)
+      );
+      await audioController.play('Rain');
+
+      const sourceNode = audioController.currentSourceNode;
+      expect(sourceNode.loop).toBe(true);
+      expect(sourceNode.loopStart).toBe(0.5);
+      expect(sourceNode.loopEnd).toBe(3);
+      expect(sourceNode.start).toHaveBeenCalledWith(0, 0.5);
+
+      mockAudioContext.currentTime = 3.5; // 1s into the second repeat of the 2.5s region
+      expect(audioController.getPosition()).toBe(1.5);
+    });
+
+    test('pause and resume should stay inside the loop region', async () => {
+      mockAudioContext.decodeAudioData.mockResolvedValueOnce(
+        createRecording(4, 0.5, 1)
+      );
+      await audioController.play('Rain');
+      mockAudioContext.currentTime = 4;
+      audioController.pause();
+      expect(audioController.getPosition()).toBe(2);
+
+      await audioController.resume();
+      expect(audioController.currentSourceNode.start).toHaveBeenCalledWith(
+        0,
+        2
+      );
+    });
+
+    test('should crossfade repeats of sounds with a loopCrossfade', async () => {
+      mockAudioContext.decodeAudioData.mockResolvedValueOnce(
+        createRecording(10)
+      );
+      await audioController.play('Ocean Waves');
+
+      expect(audioController.currentSourceNode).toBeInstanceOf(OverlapLoop);
+      const [first, second] = mockAudioContext.createBufferSource.mock.results
+        .slice(-2)
+        .map((result) => result.value);
+      expect(first.start).toHaveBeenCalledWith(0, 0);
+      expect(second.start).toHaveBeenCalledWith(7, 0); // 3s before the first one ends
+
+      mockAudioContext.currentTime = 8;
+      expect(audioController.getPosition()).toBe(1);
+    });
+
+    test('should play sounds without loop metadata over the whole buffer', async () => {
+      await audioController.play('White Noise');
+      const sourceNode = audioController.currentSourceNode;
+      expect(sourceNode.loop).toBe(true);
+      expect(sourceNode.loopStart).toBeUndefined();
+      expect(sourceNode.start).toHaveBeenCalledWith(0, 0);
+    });
+  });
+
+  describe('playChime', () => {
+    test('should synthesize decaying tones into the master gain', async () => {
+      await audioController.init();
+      audioController.playChime();
+
+      expect(mockAudioContext.createOscillator).toHaveBeenCalledTimes(2);
+      const oscillator =
+        mockAudioContext.createOscillator.mock.results[0].value;
+      const envelope = oscillator.connect.mock.calls[0][0];
+      expect(oscillator.frequency.value).toBe(880);
+      expect(oscillator.start).toHaveBeenCalledWith(0);
+      expect(oscillator.stop).toHaveBeenCalledWith(2.5);
+      expect(envelope.gain.exponentialRampToValueAtTime).toHaveBeenCalled();
+      expect(envelope.connect).toHaveBeenCalledWith(audioController.gainNode);
+    });
+
+    test('should do nothing before the audio system is initialized', () => {
+      audioController.playChime();
+      expect(mockAudioContext.createOscillator).not.toHaveBeenCalled();
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('layers', () => {
+    beforeEach(async () => {
+      await audioController.init();
+      await audioController.play('Rain');
+    });
+
+    test('addLayer should start a looping source on its own gain node feeding the master gain', async () => {
+      await audioController.addLayer('Forest', 0.5);
+      const layer = audioController.layers.get('Forest');
+
+      expect(layer.gainNode).not.toBe(audioController.gainNode);
+      expect(layer.gainNode.gain.value).toBe(0.5);
+      expect(layer.gainNode.connect).toHaveBeenCalledWith(
+        audioController.gainNode
+      );
+      expect(layer.sourceNode.connect).toHaveBeenCalledWith(layer.gainNode);
+      expect(layer.sourceNode.loop).toBe(true);
+      expect(layer.sourceNode.start).toHaveBeenCalled();
+      // The selected sound keeps playing underneath
+      expect(audioController.currentSourceNode.stop).not.toHaveBeenCalled();
+    });
+
+    test('addLayer should reject unknown sounds', async () => {
+      await expect(audioController.addLayer('Thunder')).resolves.toBe(false);
+      expect(audioController.layers.size).toBe(0);
+    });
+
+    test('setLayerVolume should clamp and apply the layer level', async () => {
+      await audioController.addLayer('Forest', 0.5);
+      audioController.setLayerVolume('Forest', 2);
+      const layer = audioController.layers.get('Forest');
+      expect(layer.level).toBe(1);
+      expect(layer.gainNode.gain.setValueAtTime).toHaveBeenCalledWith(
+        1,
+        mockAudioContext.currentTime
+      );
+    });
+
+    test('removeLayer should stop and disconnect the layer', async () => {
+      await audioController.addLayer('Forest');
+      const layer = audioController.layers.get('Forest');
+      const sourceNode = layer.sourceNode;
+
+      expect(audioController.removeLayer('Forest')).toBe(true);
+      expect(sourceNode.stop).toHaveBeenCalled();
+      expect(layer.gainNode.disconnect).toHaveBeenCalled();
+      expect(audioController.layers.has('Forest')).toBe(false);
+    });
+
+    test('layers should follow pause and resume', async () => {
+      await audioController.addLayer('Forest');
+      const layer = audioController.layers.get('Forest');
+      const firstSource = layer.sourceNode;
+
+      audioController.pause();
+      expect(firstSource.stop).toHaveBeenCalled();
+      expect(layer.sourceNode).toBeNull();
+
+      await audioController.play('Rain');
+      expect(layer.sourceNode).not.toBeNull();
+      expect(layer.sourceNode.start).toHaveBeenCalled();
+    });
+
+    test('a layer added while paused should wait for playback', async () => {
+      audioController.pause();
+      await audioController.addLayer('Ocean Waves');
+      expect(audioController.layers.get('Ocean Waves').sourceNode).toBeNull();
+    });
+  });
+
+  describe('tone generator', () => {
+    const alphaTone = { carrier: 200, beat: 10, mode: 'binaural' };
+
+    beforeEach(async () => {
+      await audioController.init();
+    });
+
+    test('setTone should only store the tone while nothing is playing', async () => {
+      expect(await audioController.setTone(alphaTone)).toBe(true);
+      expect(audioController.getTone()).toEqual({
+        ...alphaTone,
+        level: 0.3,
+        solo: false,
+      });
+      expect(mockAudioContext.createOscillator).not.toHaveBeenCalled();
+      expect(audioController.toneGainNode.connect).toHaveBeenCalledWith(
+        audioController.gainNode
+      );
+    });
+
+    test('setTone should reject unknown modes', async () => {
+      expect(
+        await audioController.setTone({ ...alphaTone, mode: 'monaural' })
+      ).toBe(false);
+      expect(audioController.getTone()).toBeNull();
+      expect(console.warn).toHaveBeenCalled();
+    });
+
+    test('the tone should start and stop with playback', async () => {
+      await audioController.setTone(alphaTone);
+      await audioController.play('Rain');
+      expect(audioController.toneGenerator.isRunning()).toBe(true);
+      const [left] = audioController.toneGenerator.carriers;
+
+      audioController.pause();
+      expect(left.stop).toHaveBeenCalledWith(0.15);
+      expect(audioController.toneGenerator.isRunning()).toBe(false);
+
+      await audioController.resume();
+      expect(audioController.toneGenerator.isRunning()).toBe(true);
+    });
+
+    test('setTone during playback should fade the tone in', async () => {
+      await audioController.play('Rain');
+      await audioController.setTone({ ...alphaTone, level: 0.5 });
+      expect(audioController.toneGenerator.isRunning()).toBe(true);
+      expect(
+        audioController.toneGainNode.gain.linearRampToValueAtTime
+      ).toHaveBeenCalledWith(0.5, 0.15);
+    });
+
+    test('solo should silence the ambient sound and layers', async () => {
+      await audioController.play('Rain');
+      await audioController.addLayer('Forest', 0.4);
+      await audioController.setTone({ ...alphaTone, solo: true });
+
+      expect(
+        audioController.currentGainNode.gain.linearRampToValueAtTime
+      ).toHaveBeenLastCalledWith(0, 0.15);
+      expect(
+        audioController.layers.get('Forest').gainNode.gain
+          .linearRampToValueAtTime
+      ).toHaveBeenLastCalledWith(0, 0.15);
+
+      audioController.clearTone();
+      expect(
+        audioController.layers.get('Forest').gainNode.gain
+          .linearRampToValueAtTime
+      ).toHaveBeenLastCalledWith(0.4, 0.15);
+      expect(audioController.getState().tone).toBeNull();
+    });
+
+    test('clearTone should fade out the running tone', async () => {
+      await audioController.play('Rain');
+      await audioController.setTone(alphaTone);
+      const [left] = audioController.toneGenerator.carriers;
+
+      audioController.clearTone();
+      expect(
+        audioController.toneGainNode.gain.linearRampToValueAtTime
+      ).toHaveBeenLastCalledWith(0, 0.15);
+      expect(left.stop).toHaveBeenCalledWith(0.15);
+    });
+  });
+
+  describe('loudness normalization', () => {
+    beforeEach(async () => {
+      audioController.preloadAllSounds = jest.fn();
+      await audioController.init();
+    });
+
+    afterEach(() => {
+      audioController.removeSoundSource('Cafe');
+    });
+
+    test('should trim each sound to the common loudness', async () => {
+      mockAudioContext.decodeAudioData.mockResolvedValueOnce(
+        createRecording(4)
+      );
+      await audioController.play('Rain');
+      // -6 dBFS brought down to -20 dBFS
+      expect(audioController.currentGainNode.gain.value).toBeCloseTo(0.2);
+    });
+
+    test('should prefer the loudness given by the catalog', async () => {
+      audioController.addSoundSource(
+        { name: 'Cafe', loudness: -26 },
+        createRecording(4)
+      );
+      await audioController.addLayer('Cafe', 0.5);
+      // 6 dB quieter than the target: boosted twofold, at half the layer level
+      expect(
+        audioController.layers.get('Cafe').gainNode.gain.value
+      ).toBeCloseTo(0.5 * 10 ** (6 / 20));
+    });
+
+    test('setNormalizeLoudness(false) should ramp sounds back to their own level', async () => {
+      mockAudioContext.decodeAudioData.mockResolvedValueOnce(
+        createRecording(4)
+      );
+      await audioController.play('Rain');
+      audioController.setNormalizeLoudness(false);
+
+      expect(
+        audioController.currentGainNode.gain.linearRampToValueAtTime
+      ).toHaveBeenLastCalledWith(1, 0.15);
+
+      audioController.addSoundSource({ name: 'Cafe' }, createRecording(4));
+      await audioController.addLayer('Cafe', 0.5);
+      expect(audioController.layers.get('Cafe').gainNode.gain.value).toBe(0.5);
+    });
+
+    test('setNormalizeLoudness(true) should re-apply the trims to what is playing', async () => {
+      audioController.setNormalizeLoudness(false);
+      mockAudioContext.decodeAudioData.mockResolvedValueOnce(
+        createRecording(4)
+      );
+      await audioController.play('Rain');
+      audioController.addSoundSource(
+        { name: 'Cafe', loudness: -26 },
+        createRecording(4)
+      );
+      await audioController.addLayer('Cafe', 0.5);
+      expect(audioController.currentGainNode.gain.value).toBe(1);
+
+      audioController.setNormalizeLoudness(true);
+      expect(
+        audioController.currentGainNode.gain.linearRampToValueAtTime
+      ).toHaveBeenLastCalledWith(expect.closeTo(0.2), 0.15);
+      expect(
+        audioController.layers.get('Cafe').gainNode.gain.linearRampToValueAtTime
+      ).toHaveBeenLastCalledWith(expect.closeTo(0.5 * 10 ** (6 / 20)), 0.15);
+    });
+  });
+
+  describe('buffer cache', () => {
+    const SECOND = 8000 * 4; // Bytes of one second of a createRecording() buffer
+
+    beforeEach(async () => {
+      jest.useFakeTimers();
+      audioController = new AudioController(null, {
+        bufferBudget: 10 * SECOND,
+      });
+      await audioController.init();
+      ['Cafe', 'Library', 'Market'].forEach((name) =>
+        audioController.addSoundSource({
+          name,
+          url: `/audio/${name.toLowerCase()}.mp3`,
+        })
+      );
+    });
+
+    afterEach(() => {
+      ['Cafe', 'Library', 'Market'].forEach((name) =>
+        audioController.removeSoundSource(name)
+      );
+      jest.useRealTimers();
+    });
+
+    const decodeAs = (seconds) =>
+      mockAudioContext.decodeAudioData.mockResolvedValueOnce(
+        createRecording(seconds)
+      );
+
+    test('should evict the least recently used sounds beyond the budget', async () => {
+      decodeAs(4);
+      await audioController.loadSound('Cafe', '/audio/cafe.mp3');
+      decodeAs(4);
+      await audioController.loadSound('Library', '/audio/library.mp3');
+      decodeAs(4);
+      await audioController.loadSound('Market', '/audio/market.mp3');
+
+      expect(audioController.soundBuffers.has('Cafe')).toBe(false);
+      expect(audioController.getSoundLoadState('Cafe')).toEqual({
+        status: 'idle',
+        progress: 0,
+      });
+      expect(audioController.getBufferCacheStats()).toEqual({
+        hits: 0,
+        misses: 0,
+        evictions: 1,
+        entries: 2,
+        bytes: 8 * SECOND,
+        budget: 10 * SECOND,
+      });
+    });
+
+    test('should keep the selected sound and layers', async () => {
+      decodeAs(4);
+      await audioController.play('Cafe');
+      decodeAs(4);
+      await audioController.addLayer('Library');
+      audioController.pause(); // Paused sounds are still needed to resume
+      decodeAs(4);
+      await audioController.loadSound('Market', '/audio/market.mp3');
+
+      expect(audioController.soundBuffers.has('Cafe')).toBe(true);
+      expect(audioController.soundBuffers.has('Library')).toBe(true);
+      expect(audioController.getBufferCacheStats()).toMatchObject({
+        evictions: 0,
+        bytes: 12 * SECOND,
+      });
+    });
+
+    test('should count hits and misses and load evicted sounds again', async () => {
+      decodeAs(4);
+      await audioController.play('Cafe');
+      await audioController.play('Cafe');
+      decodeAs(4);
+      await audioController.play('Library');
+      decodeAs(4);
+      // Cafe is no longer selected, so it makes room
+      await audioController.loadSound('Market', '/audio/market.mp3');
+      decodeAs(4);
+      await audioController.play('Cafe'); // Evicts Market in turn
+
+      expect(audioController.getBufferCacheStats()).toMatchObject({
+        hits: 1,
+        misses: 3,
+        evictions: 2,
+        entries: 2,
+      });
+      expect(audioController.getSoundLoadState('Cafe').status).toBe('ready');
+    });
+
+    test('setBufferBudget should evict what no longer fits', async () => {
+      decodeAs(4);
+      await audioController.loadSound('Cafe', '/audio/cafe.mp3');
+      audioController.setBufferBudget(2 * SECOND);
+      expect(audioController.getBufferCacheStats()).toMatchObject({
+        entries: 0,
+        budget: 2 * SECOND,
+      });
+    });
+
+    test('data saver should skip the background preload', async () => {
+      audioController.setDataSaver(true);
+      const loadSound = jest.spyOn(audioController, 'loadSound');
+      await audioController.preloadAllSounds();
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(loadSound).not.toHaveBeenCalled();
+
+      audioController.setDataSaver(false);
+      await audioController.preloadAllSounds();
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(loadSound).toHaveBeenCalledWith('Cafe', '/audio/cafe.mp3', {
+        background: true,
+      });
+    });
+
+    test('data saver should only keep the sounds that were played', async () => {
+      const createStarted = async (dataSaver) => {
+        const controller = new AudioController();
+        controller.setDataSaver(dataSaver);
+        await controller.init('Forest');
+        await jest.advanceTimersByTimeAsync(3000);
+        return controller;
+      };
+
+      const preloading = await createStarted(false);
+      expect(preloading.getBufferCacheStats().entries).toBe(
+        soundSources.length
+      );
+
+      const saving = await createStarted(true);
+      expect(Array.from(saving.soundBuffers.entries.keys())).toEqual([
+        'Forest',
+      ]);
+      await saving.play('Rain');
+      expect(Array.from(saving.soundBuffers.entries.keys())).toEqual([
+        'Forest',
+        'Rain',
+      ]);
+    });
+
+    test('setBufferBudget(null) should go back to the default budget', () => {
+      audioController.setBufferBudget(null);
+      expect(audioController.getBufferCacheStats().budget).toBe(DEFAULT_BUDGET);
+    });
+  });
+
+  describe('audio formats', () => {
+    const createCafe = () => ({
+      name: 'Cafe',
+      formats: [
+        { url: '/audio/cafe.opus', type: 'audio/ogg; codecs=opus' },
+        { url: '/audio/cafe.mp3', type: 'audio/mpeg' },
+      ],
+    });
+    let canPlayTypeSpy;
+
+    beforeEach(async () => {
+      audioController.preloadAllSounds = jest.fn();
+      await audioController.init();
+    });
+
+    afterEach(() => {
+      if (canPlayTypeSpy) canPlayTypeSpy.mockRestore();
+      canPlayTypeSpy = null;
+      audioController.removeSoundSource('Cafe');
+    });
+
+    test('addSoundSource should put the formats the browser plays first', () => {
+      canPlayTypeSpy = jest
+        .spyOn(HTMLMediaElement.prototype, 'canPlayType')
+        .mockImplementation((type) =>
+          type === 'audio/mpeg' ? 'probably' : ''
+        );
+      const cafe = createCafe();
+      audioController.addSoundSource(cafe);
+
+      expect(cafe.formats.map((format) => format.type)).toEqual([
+        'audio/mpeg',
+        'audio/ogg; codecs=opus',
+      ]);
+      expect(cafe.url).toBe('/audio/cafe.mp3');
+    });
+
+    test('loadSound should download the best format and report it', async () => {
+      canPlayTypeSpy = jest
+        .spyOn(HTMLMediaElement.prototype, 'canPlayType')
+        .mockReturnValue('maybe');
+      audioController.addSoundSource(createCafe());
+
+      await audioController.play('Cafe');
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch).toHaveBeenCalledWith('/audio/cafe.opus');
+      expect(audioController.getState().format).toBe('audio/ogg; codecs=opus');
+    });
+
+    test('loadSound should fall back to the next format when decoding fails', async () => {
+      const cafe = createCafe();
+      audioController.addSoundSource(cafe);
+      mockAudioContext.decodeAudioData.mockRejectedValueOnce(
+        new Error('EncodingError')
+      );
+
+      await audioController.loadSound('Cafe', cafe.url);
+      expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+        '/audio/cafe.opus',
+        '/audio/cafe.mp3',
+      ]);
+      expect(audioController.getSoundFormat('Cafe')).toBe('audio/mpeg');
+      expect(cafe.url).toBe('/audio/cafe.mp3'); // Offline downloads fetch it too
+      expect(audioController.getSoundLoadState('Cafe').status).toBe('ready');
+    });
+
+    test('loadSound should fail once no format decodes', async () => {
+      audioController.addSoundSource(createCafe());
+      mockAudioContext.decodeAudioData
+        .mockRejectedValueOnce(new Error('EncodingError'))
+        .mockRejectedValueOnce(new Error('EncodingError'));
+
+      await expect(audioController.loadSound('Cafe')).rejects.toThrow(
+        '"Cafe" is not audio this browser can play.'
+      );
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('runtime sound sources', () => {
+    afterEach(() => {
+      audioController.removeSoundSource('Cafe');
+      audioController.removeSoundSource('Corner Cafe');
+    });
+
+    test('addSoundSource should register a source with an optional buffer', () => {
+      const buffer = { duration: 30 };
+      expect(
+        audioController.addSoundSource(
+          { name: 'Cafe', load: jest.fn() },
+          buffer
+        )
+      ).toBe(true);
+      expect(audioController.getSoundNames()).toContain('Cafe');
+      expect(audioController.soundBuffers.get('Cafe')).toBe(buffer);
+
+      expect(audioController.addSoundSource({ name: 'Rain' })).toBe(false);
+    });
+
+    test('loadSound should read sources with load() instead of fetching', async () => {
+      await audioController.init();
+      const load = jest.fn(() => Promise.resolve(new ArrayBuffer(8)));
+      audioController.addSoundSource({ name: 'Cafe', load });
+
+      await audioController.loadSound('Cafe');
+      expect(load).toHaveBeenCalled();
+      expect(fetch).not.toHaveBeenCalled();
+      expect(audioController.soundBuffers.has('Cafe')).toBe(true);
+    });
+
+    test('renameSoundSource should keep playback and layers under the new name', async () => {
+      await audioController.init();
+      audioController.addSoundSource({ name: 'Cafe' }, { duration: 30 });
+      await audioController.play('Cafe');
+      const sourceNode = audioController.currentSourceNode;
+
+      expect(audioController.renameSoundSource('Cafe', 'Corner Cafe')).toBe(
+        true
+      );
+      expect(audioController.selectedSound).toBe('Corner Cafe');
+      expect(audioController.currentSourceNode).toBe(sourceNode);
+      expect(audioController.soundBuffers.has('Cafe')).toBe(false);
+      expect(audioController.renameSoundSource('Corner Cafe', 'Rain')).toBe(
+        false
+      );
+    });
+
+    test('removeSoundSource should stop the sound if it is playing', async () => {
+      await audioController.init();
+      audioController.addSoundSource({ name: 'Cafe' }, { duration: 30 });
+      await audioController.play('Cafe');
+      const sourceNode = audioController.currentSourceNode;
+
+      expect(audioController.removeSoundSource('Cafe')).toBe(true);
+      expect(sourceNode.stop).toHaveBeenCalled();
+      expect(audioController.isPlaying).toBe(false);
+      expect(audioController.selectedSound).toBeNull();
+      expect(audioController.getSoundNames()).not.toContain('Cafe');
+    });
   });
 
   // Test for loadSound to ensure it still works (simplified)
@@ -173,4 +1546,22 @@ describe('AudioController', () => {
     expect(buffer).toBeDefined();
   });
 
+  test('loadSound should generate noise sounds without fetching', async () => {
+    await audioController.init();
+    const buffer = await audioController.loadSound('Pink Noise');
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(mockAudioContext.decodeAudioData).not.toHaveBeenCalled();
+    expect(mockAudioContext.createBuffer).toHaveBeenCalledWith(2, 80000, 8000);
+    expect(audioController.soundBuffers.get('Pink Noise')).toBe(buffer);
+  });
+
+  test('noise sounds should be playable like any other sound', async () => {
+    await audioController.init();
+    await audioController.play('Brown Noise');
+    expect(audioController.isPlaying).toBe(true);
+    expect(audioController.currentSourceNode.buffer).toBe(
+      audioController.soundBuffers.get('Brown Noise')
+    );
+  });
 });
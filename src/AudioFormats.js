@@ -0,0 +1,34 @@
+// src/AudioFormats.js
+
+// Picks which of a sound's encodings to download (catalog `sources`, see SoundCatalog.js).
+// canPlayType() only answers for media elements and only with a guess, so formats it
+// rejects are kept as a last resort: AudioController falls back to the next format when
+// decodeAudioData fails on a download.
+const SUPPORT_RANK = { probably: 0, maybe: 1, '': 2 };
+
+let probeElement = null;
+
+// 'probably', 'maybe' or '' like HTMLMediaElement.canPlayType; 'maybe' when it cannot be asked
+function canPlayType(type) {
+  if (!type) return 'maybe';
+  if (!probeElement && typeof document !== 'undefined') {
+    probeElement = document.createElement('audio');
+  }
+  if (!probeElement || !probeElement.canPlayType) return 'maybe';
+  return probeElement.canPlayType(type);
+}
+
+// formats: [{ url, type }]. Returns a copy ordered from most to least likely to play,
+// keeping the catalog's order among formats that are equally likely.
+function rankFormats(formats, check = canPlayType) {
+  const rankOf = (format) => {
+    const rank = SUPPORT_RANK[check(format.type)];
+    return rank === undefined ? SUPPORT_RANK[''] : rank;
+  };
+  return formats
+    .map((format, index) => ({ format, index, rank: rankOf(format) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ format }) => format);
+}
+
+export { canPlayType, rankFormats };
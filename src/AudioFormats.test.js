@@ -0,0 +1,50 @@
+// src/AudioFormats.test.js
+import { canPlayType, rankFormats } from './AudioFormats';
+
+const formats = [
+  { url: '/audio/a.opus', type: 'audio/ogg; codecs=opus' },
+  { url: '/audio/a.m4a', type: 'audio/mp4; codecs=mp4a.40.2' },
+  { url: '/audio/a.mp3', type: 'audio/mpeg' },
+];
+
+describe('rankFormats', () => {
+  test('should order formats from most to least likely to play', () => {
+    const support = {
+      'audio/ogg; codecs=opus': '',
+      'audio/mp4; codecs=mp4a.40.2': 'maybe',
+      'audio/mpeg': 'probably',
+    };
+    expect(
+      rankFormats(formats, (type) => support[type]).map((f) => f.url)
+    ).toEqual(['/audio/a.mp3', '/audio/a.m4a', '/audio/a.opus']);
+  });
+
+  test('should keep the catalog order among equally likely formats', () => {
+    expect(rankFormats(formats, () => 'maybe')).toEqual(formats);
+    expect(rankFormats(formats, () => '')).toEqual(formats);
+  });
+
+  test('should not change the list it is given', () => {
+    const copy = [...formats];
+    rankFormats(formats, (type) => (type === 'audio/mpeg' ? 'probably' : ''));
+    expect(formats).toEqual(copy);
+  });
+});
+
+describe('canPlayType', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should ask a media element', () => {
+    const spy = jest
+      .spyOn(HTMLMediaElement.prototype, 'canPlayType')
+      .mockReturnValue('probably');
+    expect(canPlayType('audio/mpeg')).toBe('probably');
+    expect(spy).toHaveBeenCalledWith('audio/mpeg');
+  });
+
+  test('should treat formats without a type as worth trying', () => {
+    expect(canPlayType(null)).toBe('maybe');
+  });
+});
@@ -1,22 +1,22 @@
 // src/BackgroundController.js
 const calmingColorPalettes = [
   // Blues
-  { name: 'Deep Ocean', color: '#003973' }, // Transition to -> #E5E5BE (example)
-  { name: 'Clear Sky', color: '#75DBCD' },
-  { name: 'Evening Blue', color: '#2E4057' },
+  { name: 'Deep Ocean', color: '#003973', group: 'blue' }, // Transition to -> #E5E5BE (example)
+  { name: 'Clear Sky', color: '#75DBCD', group: 'blue' },
+  { name: 'Evening Blue', color: '#2E4057', group: 'blue' },
   // Greens
-  { name: 'Forest Green', color: '#294B29' },
-  { name: 'Minty Fresh', color: '#A2D9A5' },
-  { name: 'Olive Grove', color: '#5C5E3A' },
+  { name: 'Forest Green', color: '#294B29', group: 'green' },
+  { name: 'Minty Fresh', color: '#A2D9A5', group: 'green' },
+  { name: 'Olive Grove', color: '#5C5E3A', group: 'green' },
   // Purples
-  { name: 'Lavender Mist', color: '#E6E6FA' }, // Light
-  { name: 'Deep Purple', color: '#4B0082' },   // Dark
+  { name: 'Lavender Mist', color: '#E6E6FA', group: 'purple' }, // Light
+  { name: 'Deep Purple', color: '#4B0082', group: 'purple' }, // Dark
   // Warm Neutrals
-  { name: 'Sandy Beach', color: '#F4A460' },
-  { name: 'Warm Taupe', color: '#A98F78' },
+  { name: 'Sandy Beach', color: '#F4A460', group: 'warm' },
+  { name: 'Warm Taupe', color: '#A98F78', group: 'warm' },
   // Adding a few more to ensure at least 8 combinations can be derived
-  { name: 'Soft Lilac', color: '#C8A2C8' },
-  { name: 'Misty Blue', color: '#A0B2C6' },
+  { name: 'Soft Lilac', color: '#C8A2C8', group: 'purple' },
+  { name: 'Misty Blue', color: '#A0B2C6', group: 'blue' },
 ];
 
 // For smooth transitions, we'll change the background color of one element.
@@ -30,14 +30,18 @@ const calmingColorPalettes = [
 // non-distracting, and avoid sudden brightness changes as per US-001 and US-002.
 // Adjust colors or transition timings if necessary based on visual feedback.
 class BackgroundController {
-  constructor(element) {
+  constructor(element, store = null) {
     this.element = element;
+    this.store = store; // Optional AppStore that the current palette is published to
     this.palettes = calmingColorPalettes;
     this.currentIndex = 0; // This property doesn't seem to be used, consider removing if not planned.
     this.lastPaletteIndex = -1; // Initialize lastPaletteIndex
     this.baseTransitionDuration = 45000; // 45 seconds, within 30-60s range
     this.transitionDuration = this.baseTransitionDuration;
+    this.speedFactor = 1;
     this.timeoutId = null;
+    this.paletteGroup = null; // null = cycle through every palette
+    this.reducedMotion = false;
 
     if (!this.element) {
       throw new Error('BackgroundController: Target element not provided.');
@@ -65,6 +69,11 @@ class BackgroundController {
     // US-002: Color changes are subtle and gradual. CSS transition will handle this.
     // US-002: No sudden brightness changes - depends on palette selection.
     this.element.style.backgroundColor = palette.color;
+    if (this.store) {
+      this.store.setState({
+        palette: { name: palette.name, color: palette.color },
+      });
+    }
     console.log(`Background color changed to: ${palette.name} (${palette.color})`);
   }
 
@@ -92,6 +101,7 @@ class BackgroundController {
 
   // For US-001: Option to disable for motion sensitivity (to be implemented via SettingsController later)
   setReducedMotion(enabled) {
+    this.reducedMotion = enabled;
     if (enabled) {
       this.stop();
       // Apply a static calming color
@@ -101,6 +111,30 @@ class BackgroundController {
     }
   }
 
+  // Restricts cycling to one palette group (e.g. 'warm' during focus-session breaks).
+  // Passing null restores the full set of palettes.
+  setPaletteGroup(group) {
+    const palettes = group
+      ? calmingColorPalettes.filter((palette) => palette.group === group)
+      : calmingColorPalettes;
+    if (palettes.length === 0) {
+      console.warn(`BackgroundController: Unknown palette group "${group}".`);
+      return;
+    }
+
+    this.paletteGroup = group;
+    this.palettes = palettes;
+    this.lastPaletteIndex = -1;
+
+    if (this.reducedMotion) {
+      this.applyColor(this.palettes[0]);
+    } else if (this.timeoutId) {
+      // Move to the new group straight away rather than waiting for the next cycle
+      this.stop();
+      this.cycleColor();
+    }
+  }
+
   setSpeed(speedFactor) {
     if (speedFactor <= 0) {
       console.warn('BackgroundController: Speed factor must be positive.');
@@ -108,16 +142,26 @@ class BackgroundController {
     }
 
     const elapsed = Date.now() - (this.lastCycleTime || Date.now());
+    this.speedFactor = speedFactor;
     this.transitionDuration = this.baseTransitionDuration / speedFactor;
     const remaining = Math.max(0, this.transitionDuration - elapsed);
 
     console.log(`BackgroundController: Speed adjusted. New duration: ${this.transitionDuration}ms. Remaining time for current transition: ${remaining}ms.`);
 
+    // Only reschedule a running cycle; a stopped one (e.g. reduced motion) picks up the speed on start
     if (this.timeoutId) {
       clearTimeout(this.timeoutId);
+      this.timeoutId = setTimeout(() => this.cycleColor(), remaining);
     }
+  }
 
-    this.timeoutId = setTimeout(() => this.cycleColor(), remaining);
+  // type BackgroundState = { speed: number, reducedMotion: boolean, paletteGroup: string | null };
+  getState() {
+    return {
+      speed: this.speedFactor,
+      reducedMotion: this.reducedMotion,
+      paletteGroup: this.paletteGroup,
+    };
   }
 
   getCurrentColors() { // Renamed from getCurrentColorPalette and adapted to return string[]
@@ -1,5 +1,6 @@
 // src/BackgroundController.test.js
 import BackgroundController from './BackgroundController';
+import AppStore from './AppStore';
 
 describe('BackgroundController', () => {
   let backgroundController;
@@ -32,6 +33,20 @@ describe('BackgroundController', () => {
     expect(backgroundController.timeoutId).toBeNull();
   });
 
+  test('applyColor should publish the palette to the store', () => {
+    const store = new AppStore();
+    const controller = new BackgroundController(mockElement, store);
+    controller.applyColor({
+      name: 'Deep Ocean',
+      color: '#003973',
+      group: 'blue',
+    });
+    expect(store.getState().palette).toEqual({
+      name: 'Deep Ocean',
+      color: '#003973',
+    });
+  });
+
   test('start should initiate color cycling', () => {
     backgroundController.cycleColor = jest.fn(); // Mock cycleColor
     backgroundController.start();
@@ -84,6 +99,43 @@ describe('BackgroundController', () => {
     });
   });
 
+  describe('setPaletteGroup', () => {
+    test('should restrict palettes to the group and cycle to it immediately', () => {
+      backgroundController.start();
+      backgroundController.setPaletteGroup('warm');
+
+      expect(backgroundController.paletteGroup).toBe('warm');
+      expect(backgroundController.palettes.length).toBeGreaterThan(0);
+      expect(
+        backgroundController.palettes.every((p) => p.group === 'warm')
+      ).toBe(true);
+      const warmColors = backgroundController.palettes.map((p) => p.color);
+      expect(warmColors).toContain(mockElement.style.backgroundColor);
+    });
+
+    test('should apply a static color from the group when reduced motion is on', () => {
+      backgroundController.setReducedMotion(true);
+      backgroundController.setPaletteGroup('green');
+      expect(mockElement.style.backgroundColor).toBe(
+        backgroundController.palettes[0].color
+      );
+      expect(backgroundController.timeoutId).toBeNull();
+    });
+
+    test('null should restore every palette', () => {
+      const allCount = backgroundController.palettes.length;
+      backgroundController.setPaletteGroup('warm');
+      backgroundController.setPaletteGroup(null);
+      expect(backgroundController.palettes.length).toBe(allCount);
+    });
+
+    test('should ignore unknown groups', () => {
+      backgroundController.setPaletteGroup('neon');
+      expect(backgroundController.paletteGroup).toBeNull();
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
   describe('setSpeed', () => {
     beforeEach(() => {
       // Ensure start/stop can be spied on for setSpeed's restart logic
@@ -122,6 +174,20 @@ describe('BackgroundController', () => {
       backgroundController.setSpeed(1.5);
       expect(backgroundController.stop).not.toHaveBeenCalled();
       expect(backgroundController.start).not.toHaveBeenCalled();
+      expect(backgroundController.timeoutId).toBeNull();
+    });
+  });
+
+  describe('getState', () => {
+    test('should report speed, reduced motion and palette group', () => {
+      backgroundController.setSpeed(2);
+      backgroundController.setPaletteGroup('warm');
+      backgroundController.setReducedMotion(true);
+      expect(backgroundController.getState()).toEqual({
+        speed: 2,
+        reducedMotion: true,
+        paletteGroup: 'warm',
+      });
     });
   });
 
@@ -0,0 +1,158 @@
+// src/CustomSoundLibrary.js
+import CustomSoundStore from './CustomSoundStore.js';
+
+const MAX_IMPORT_BYTES = 100 * 1024 * 1024; // Decoded audio is ~10x larger, keep imports sane
+
+// User-imported sounds: decoded to check they are playable, persisted in IndexedDB and
+// registered with AudioController next to the built-in soundSources.
+class CustomSoundLibrary {
+  constructor(audioController, store = new CustomSoundStore()) {
+    this.audioController = audioController;
+    this.store = store;
+    this.sounds = new Map(); // name -> stored metadata ({ id, name, type, size, createdAt })
+  }
+
+  // Registers every stored sound; their audio is only read when first played.
+  async load() {
+    if (!this.store.isAvailable()) {
+      console.warn(
+        'CustomSoundLibrary: IndexedDB unavailable, imports are disabled.'
+      );
+      return [];
+    }
+    const sounds = await this.store.getAll();
+    for (const sound of sounds) {
+      this._register(await this._renameIfTaken(sound));
+    }
+    console.log(`CustomSoundLibrary: Loaded ${sounds.length} imported sounds.`);
+    return this.getNames();
+  }
+
+  // A built-in sound added since the import (e.g. by a catalog update) may have taken its
+  // name: the import gets a unique one like a new import would, and keeps it.
+  async _renameIfTaken(sound) {
+    if (!this.audioController.getSoundNames().includes(sound.name)) {
+      return sound;
+    }
+    const name = this._uniqueName(sound.name);
+    try {
+      await this.store.rename(sound.id, name);
+    } catch (error) {
+      console.warn(
+        `CustomSoundLibrary: Could not store the new name of "${sound.name}":`,
+        error
+      );
+    }
+    console.log(
+      `CustomSoundLibrary: Renamed import "${sound.name}" to "${name}", a built-in sound has its name.`
+    );
+    return { ...sound, name };
+  }
+
+  getNames() {
+    return Array.from(this.sounds.keys());
+  }
+
+  // What a settings export records about imported sounds; the audio itself stays here
+  getMetadata() {
+    return Array.from(
+      this.sounds.values(),
+      ({ name, type, size, createdAt }) => ({
+        name,
+        type,
+        size,
+        createdAt,
+      })
+    );
+  }
+
+  isCustomSound(soundName) {
+    return this.sounds.has(soundName);
+  }
+
+  // Imports a File (or Blob with a name). Resolves to the new sound's name and rejects
+  // with a user-facing message if the file is not usable audio.
+  async import(file) {
+    if (!this.store.isAvailable()) {
+      throw new Error('Importing sounds is not supported in this browser.');
+    }
+    if (file.type && !file.type.startsWith('audio/')) {
+      throw new Error(`"${file.name}" is not an audio file.`);
+    }
+    if (file.size > MAX_IMPORT_BYTES) {
+      throw new Error(`"${file.name}" is too large to import.`);
+    }
+
+    const data = await file.arrayBuffer();
+    await this.audioController.init();
+    let buffer;
+    try {
+      // decodeAudioData detaches the buffer it is given, so decode a copy
+      buffer = await this.audioController.audioContext.decodeAudioData(
+        data.slice(0)
+      );
+    } catch (error) {
+      console.error(
+        `CustomSoundLibrary: Could not decode ${file.name}:`,
+        error
+      );
+      throw new Error(`"${file.name}" could not be decoded as audio.`);
+    }
+
+    const name = this._uniqueName(file.name.replace(/\.[^.]+$/, '').trim());
+    const sound = await this.store.add({ name, type: file.type, data });
+    this._register(sound, buffer);
+    console.log(`CustomSoundLibrary: Imported ${file.name} as "${name}".`);
+    return name;
+  }
+
+  async rename(soundName, newName) {
+    const sound = this.sounds.get(soundName);
+    const trimmed = (newName || '').trim();
+    if (!sound) throw new Error(`"${soundName}" is not an imported sound.`);
+    if (!trimmed) throw new Error('Sound names cannot be empty.');
+    if (trimmed === soundName) return soundName;
+    if (this.audioController.getSoundNames().includes(trimmed)) {
+      throw new Error(`A sound named "${trimmed}" already exists.`);
+    }
+
+    await this.store.rename(sound.id, trimmed);
+    this.audioController.renameSoundSource(soundName, trimmed);
+    this.sounds.delete(soundName);
+    this.sounds.set(trimmed, { ...sound, name: trimmed });
+    return trimmed;
+  }
+
+  async remove(soundName) {
+    const sound = this.sounds.get(soundName);
+    if (!sound) throw new Error(`"${soundName}" is not an imported sound.`);
+    await this.store.remove(sound.id);
+    this.audioController.removeSoundSource(soundName);
+    this.sounds.delete(soundName);
+  }
+
+  _register(sound, buffer = null) {
+    const registered = this.audioController.addSoundSource(
+      {
+        name: sound.name,
+        custom: true,
+        category: 'Imported', // Listed in its own group after the catalog's
+        trimSilence: true, // Exported clips often start or end with a moment of silence
+        load: () => this.store.getData(sound.id),
+      },
+      buffer
+    );
+    if (registered) this.sounds.set(sound.name, sound);
+  }
+
+  // "Cafe" -> "Cafe (2)" when a sound of that name exists already
+  _uniqueName(baseName) {
+    const base = baseName || 'Imported sound';
+    const existing = this.audioController.getSoundNames();
+    let name = base;
+    for (let n = 2; existing.includes(name); n++) name = `${base} (${n})`;
+    return name;
+  }
+}
+
+export default CustomSoundLibrary;
@@ -0,0 +1,205 @@
+// src/CustomSoundLibrary.test.js
+import CustomSoundLibrary from './CustomSoundLibrary';
+import AudioController, { soundSources } from './AudioController';
+import { parseSoundCatalog } from './SoundCatalog';
+import catalog from '../public/audio/sounds.json';
+
+const builtInSounds = parseSoundCatalog(catalog).sounds;
+const builtInNames = builtInSounds.map((s) => s.name);
+
+// The built-in sounds are registered from the catalog, as main.js does at startup
+const catalogController = new AudioController();
+builtInSounds.forEach((sound) => catalogController.addSoundSource(sound));
+
+// In-memory stand-in for the IndexedDB-backed CustomSoundStore
+const createMockStore = (stored = []) => {
+  const sounds = new Map(stored.map((sound) => [sound.id, sound]));
+  let nextId = 1;
+  return {
+    isAvailable: jest.fn(() => true),
+    getAll: jest.fn(async () => Array.from(sounds.values())),
+    getData: jest.fn(async () => new ArrayBuffer(16)),
+    add: jest.fn(async ({ name, type, data }) => {
+      const sound = {
+        id: `custom-${nextId++}`,
+        name,
+        type,
+        size: data.byteLength,
+      };
+      sounds.set(sound.id, sound);
+      return sound;
+    }),
+    rename: jest.fn(async (id, name) => {
+      sounds.set(id, { ...sounds.get(id), name });
+    }),
+    remove: jest.fn(async (id) => {
+      sounds.delete(id);
+    }),
+  };
+};
+
+const createFile = (name, type = 'audio/mpeg', size = 1024) => ({
+  name,
+  type,
+  size,
+  arrayBuffer: () => Promise.resolve(new ArrayBuffer(size)),
+});
+
+describe('CustomSoundLibrary', () => {
+  let audioController;
+  let store;
+  let library;
+  let originalConsoleError;
+  let originalConsoleWarn;
+
+  beforeEach(() => {
+    originalConsoleError = console.error;
+    originalConsoleWarn = console.warn;
+    console.error = jest.fn();
+    console.warn = jest.fn();
+    audioController = new AudioController();
+    audioController.init = jest.fn(() => Promise.resolve());
+    audioController.audioContext = {
+      currentTime: 0,
+      decodeAudioData: jest.fn(() => Promise.resolve({ duration: 60 })),
+    };
+    store = createMockStore();
+    library = new CustomSoundLibrary(audioController, store);
+  });
+
+  afterEach(() => {
+    // soundSources is shared module state: drop anything registered by a test
+    soundSources
+      .filter((s) => s.custom)
+      .forEach((s) => audioController.removeSoundSource(s.name));
+    console.error = originalConsoleError;
+    console.warn = originalConsoleWarn;
+  });
+
+  test('load should register stored sounds next to the built-in ones', async () => {
+    store = createMockStore([
+      { id: 'custom-a', name: 'Office Hum', type: 'audio/wav', size: 10 },
+    ]);
+    library = new CustomSoundLibrary(audioController, store);
+
+    expect(await library.load()).toEqual(['Office Hum']);
+    expect(audioController.getSoundNames()).toEqual([
+      ...builtInNames,
+      'Office Hum',
+    ]);
+    expect(library.isCustomSound('Office Hum')).toBe(true);
+    expect(library.isCustomSound('Rain')).toBe(false);
+  });
+
+  test('load should rename stored sounds that a built-in sound has the name of', async () => {
+    store = createMockStore([
+      { id: 'custom-a', name: 'Rain', type: 'audio/wav', size: 10 },
+    ]);
+    library = new CustomSoundLibrary(audioController, store);
+
+    expect(await library.load()).toEqual(['Rain (2)']);
+    expect(store.rename).toHaveBeenCalledWith('custom-a', 'Rain (2)');
+    expect(await store.getAll()).toEqual([
+      expect.objectContaining({ id: 'custom-a', name: 'Rain (2)' }),
+    ]);
+    expect(library.isCustomSound('Rain')).toBe(false);
+    expect(audioController.getSoundNames()).toEqual([
+      ...builtInNames,
+      'Rain (2)',
+    ]);
+  });
+
+  test('stored sounds should be read from the store when first played', async () => {
+    store = createMockStore([
+      { id: 'custom-a', name: 'Office Hum', type: 'audio/wav', size: 10 },
+    ]);
+    library = new CustomSoundLibrary(audioController, store);
+    await library.load();
+
+    await audioController.loadSound('Office Hum');
+    expect(store.getData).toHaveBeenCalledWith('custom-a');
+    expect(audioController.soundBuffers.has('Office Hum')).toBe(true);
+  });
+
+  test('getMetadata should describe imports without their audio', async () => {
+    await library.import(createFile('Cafe.mp3'));
+    expect(library.getMetadata()).toEqual([
+      { name: 'Cafe', type: 'audio/mpeg', size: 1024, createdAt: undefined },
+    ]);
+  });
+
+  test('load should do nothing without IndexedDB', async () => {
+    store.isAvailable.mockReturnValue(false);
+    expect(await library.load()).toEqual([]);
+    expect(store.getAll).not.toHaveBeenCalled();
+  });
+
+  test('import should decode, store and register the file', async () => {
+    const name = await library.import(createFile('Cafe.mp3'));
+
+    expect(name).toBe('Cafe');
+    expect(audioController.audioContext.decodeAudioData).toHaveBeenCalled();
+    expect(store.add).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'Cafe', type: 'audio/mpeg' })
+    );
+    expect(audioController.getSoundNames()).toContain('Cafe');
+    expect(audioController.soundBuffers.get('Cafe')).toEqual({ duration: 60 });
+  });
+
+  test('import should keep names unique', async () => {
+    await library.import(createFile('Cafe.mp3'));
+    expect(await library.import(createFile('Cafe.ogg'))).toBe('Cafe (2)');
+    expect(await library.import(createFile('Rain.wav'))).toBe('Rain (2)');
+  });
+
+  test('import should reject files that are not audio', async () => {
+    await expect(
+      library.import(createFile('notes.txt', 'text/plain'))
+    ).rejects.toThrow('"notes.txt" is not an audio file.');
+
+    audioController.audioContext.decodeAudioData.mockRejectedValue(
+      new Error('EncodingError')
+    );
+    await expect(library.import(createFile('broken.mp3'))).rejects.toThrow(
+      '"broken.mp3" could not be decoded as audio.'
+    );
+    expect(store.add).not.toHaveBeenCalled();
+  });
+
+  test('rename should update the store and the registered source', async () => {
+    await library.import(createFile('Cafe.mp3'));
+    audioController.selectedSound = 'Cafe';
+
+    expect(await library.rename('Cafe', '  Corner Cafe ')).toBe('Corner Cafe');
+    expect(store.rename).toHaveBeenCalledWith('custom-1', 'Corner Cafe');
+    expect(audioController.getSoundNames()).toContain('Corner Cafe');
+    expect(audioController.getSoundNames()).not.toContain('Cafe');
+    expect(audioController.selectedSound).toBe('Corner Cafe');
+    expect(audioController.soundBuffers.has('Corner Cafe')).toBe(true);
+  });
+
+  test('rename should refuse empty or taken names', async () => {
+    await library.import(createFile('Cafe.mp3'));
+    await expect(library.rename('Cafe', ' ')).rejects.toThrow(
+      'Sound names cannot be empty.'
+    );
+    await expect(library.rename('Cafe', 'Forest')).rejects.toThrow(
+      'A sound named "Forest" already exists.'
+    );
+    await expect(library.rename('Rain', 'Drizzle')).rejects.toThrow(
+      '"Rain" is not an imported sound.'
+    );
+    expect(store.rename).not.toHaveBeenCalled();
+  });
+
+  test('remove should delete the stored sound and unregister it', async () => {
+    await library.import(createFile('Cafe.mp3'));
+    audioController.selectedSound = 'Cafe';
+
+    await library.remove('Cafe');
+    expect(store.remove).toHaveBeenCalledWith('custom-1');
+    expect(audioController.getSoundNames()).toEqual(builtInNames);
+    expect(audioController.selectedSound).toBeNull();
+    expect(library.getNames()).toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+// src/CustomSoundStore.js
+
+// IndexedDB persistence for user-imported sounds. Metadata and audio bytes live in
+// separate object stores so listing the library does not read every file into memory.
+
+const DB_NAME = 'ambientMood';
+const DB_VERSION = 1;
+const SOUNDS_STORE = 'customSounds'; // { id, name, type, size, createdAt }
+const DATA_STORE = 'customSoundData'; // { id, data: ArrayBuffer }
+
+// Resolves with a request's result once it succeeds
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolves once every write in the transaction has been committed
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+class CustomSoundStore {
+  constructor(idbFactory = window.indexedDB) {
+    this.idbFactory = idbFactory; // Undefined in browsers/modes without IndexedDB
+    this.dbPromise = null;
+  }
+
+  isAvailable() {
+    return Boolean(this.idbFactory);
+  }
+
+  _open() {
+    if (!this.isAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not available.'));
+    }
+    if (!this.dbPromise) {
+      const request = this.idbFactory.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SOUNDS_STORE)) {
+          db.createObjectStore(SOUNDS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(DATA_STORE)) {
+          db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+        }
+      };
+      this.dbPromise = promisifyRequest(request).catch((error) => {
+        this.dbPromise = null; // Allow a later retry
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Metadata of every stored sound, oldest first
+  async getAll() {
+    const db = await this._open();
+    const store = db.transaction(SOUNDS_STORE).objectStore(SOUNDS_STORE);
+    const sounds = await promisifyRequest(store.getAll());
+    return sounds.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async getData(id) {
+    const db = await this._open();
+    const store = db.transaction(DATA_STORE).objectStore(DATA_STORE);
+    const record = await promisifyRequest(store.get(id));
+    if (!record) throw new Error(`No stored audio for sound "${id}".`);
+    return record.data;
+  }
+
+  async add({ name, type, data }) {
+    const db = await this._open();
+    const sound = {
+      id: `custom-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      type,
+      size: data.byteLength,
+      createdAt: Date.now(),
+    };
+    const transaction = db.transaction([SOUNDS_STORE, DATA_STORE], 'readwrite');
+    transaction.objectStore(SOUNDS_STORE).put(sound);
+    transaction.objectStore(DATA_STORE).put({ id: sound.id, data });
+    await promisifyTransaction(transaction);
+    return sound;
+  }
+
+  async rename(id, name) {
+    const db = await this._open();
+    const transaction = db.transaction(SOUNDS_STORE, 'readwrite');
+    const store = transaction.objectStore(SOUNDS_STORE);
+    const sound = await promisifyRequest(store.get(id));
+    if (!sound) throw new Error(`No stored sound "${id}".`);
+    store.put({ ...sound, name });
+    await promisifyTransaction(transaction);
+  }
+
+  async remove(id) {
+    const db = await this._open();
+    const transaction = db.transaction([SOUNDS_STORE, DATA_STORE], 'readwrite');
+    transaction.objectStore(SOUNDS_STORE).delete(id);
+    transaction.objectStore(DATA_STORE).delete(id);
+    await promisifyTransaction(transaction);
+  }
+}
+
+export default CustomSoundStore;
@@ -0,0 +1,113 @@
+// src/CustomSoundStore.test.js
+import CustomSoundStore from './CustomSoundStore';
+
+// jsdom has no IndexedDB. This fake implements the part the store uses: requests
+// succeed on a later task, and a transaction completes once none of its requests are
+// left, so a request made from another's success (as rename does) joins the transaction.
+const createFakeIndexedDB = () => {
+  const stores = new Map(); // Object store name -> Map(key -> value)
+  const createRequest = (transaction, run) => {
+    const request = {};
+    transaction.pending++;
+    setTimeout(() => {
+      request.result = run();
+      transaction.pending--;
+      if (request.onsuccess) request.onsuccess();
+      setTimeout(() => {
+        if (transaction.pending === 0 && transaction.oncomplete) {
+          transaction.oncomplete();
+          transaction.oncomplete = null;
+        }
+      });
+    });
+    return request;
+  };
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name) => stores.set(name, new Map()),
+    transaction: () => {
+      const transaction = { pending: 0 };
+      transaction.objectStore = (name) => {
+        const records = stores.get(name);
+        return {
+          get: (id) => createRequest(transaction, () => records.get(id)),
+          getAll: () =>
+            createRequest(transaction, () => Array.from(records.values())),
+          put: (value) =>
+            createRequest(transaction, () => {
+              records.set(value.id, { ...value });
+            }),
+          delete: (id) =>
+            createRequest(transaction, () => {
+              records.delete(id);
+            }),
+        };
+      };
+      return transaction;
+    },
+  };
+  return {
+    open: jest.fn(() => {
+      const request = { result: db };
+      setTimeout(() => {
+        request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    }),
+  };
+};
+
+describe('CustomSoundStore', () => {
+  test('should report IndexedDB as unavailable when there is none', async () => {
+    const store = new CustomSoundStore(undefined);
+    expect(store.isAvailable()).toBe(false);
+    await expect(store.getAll()).rejects.toThrow('IndexedDB is not available.');
+  });
+
+  test('should retry opening the database after a failure', async () => {
+    const request = {};
+    const idbFactory = { open: jest.fn(() => request) };
+    const store = new CustomSoundStore(idbFactory);
+
+    const firstAttempt = store.getAll();
+    request.error = new Error('Blocked');
+    request.onerror();
+    await expect(firstAttempt).rejects.toThrow('Blocked');
+
+    store.getAll();
+    expect(idbFactory.open).toHaveBeenCalledTimes(2);
+  });
+
+  test('should store, list, rename and delete sounds with their audio', async () => {
+    const idbFactory = createFakeIndexedDB();
+    const store = new CustomSoundStore(idbFactory);
+    const data = new ArrayBuffer(8);
+
+    const hum = await store.add({
+      name: 'Office Hum',
+      type: 'audio/wav',
+      data,
+    });
+    expect(hum).toMatchObject({
+      name: 'Office Hum',
+      type: 'audio/wav',
+      size: 8,
+    });
+    expect(await store.getAll()).toEqual([hum]);
+    expect(await store.getData(hum.id)).toBe(data);
+
+    await store.rename(hum.id, 'Fridge');
+    expect(await store.getAll()).toEqual([{ ...hum, name: 'Fridge' }]);
+    await expect(store.rename('custom-missing', 'Fan')).rejects.toThrow(
+      'No stored sound "custom-missing".'
+    );
+
+    await store.remove(hum.id);
+    expect(await store.getAll()).toEqual([]);
+    await expect(store.getData(hum.id)).rejects.toThrow(
+      `No stored audio for sound "${hum.id}".`
+    );
+    expect(idbFactory.open).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,173 @@
+// src/FocusSession.js
+
+const DEFAULT_WORK_MINUTES = 25;
+const DEFAULT_BREAK_MINUTES = 5;
+const BREAK_PALETTE_GROUP = 'warm'; // Warmer colors signal "step away" during breaks
+const TICK_INTERVAL = 1000;
+
+// Pomodoro-style work/break cycle. Marks every boundary with a chime and can switch
+// the sound and background palette while on a break, restoring them for the next work interval.
+class FocusSession {
+  constructor(
+    audioController,
+    backgroundController,
+    { onTick, onPhaseChange, onWorkComplete } = {}
+  ) {
+    this.audioController = audioController;
+    this.backgroundController = backgroundController; // May be undefined if the element is missing
+    this.onTick = onTick; // (phase, remainingMs)
+    this.onPhaseChange = onPhaseChange; // (phase), after the break/work ambience has been applied
+    this.onWorkComplete = onWorkComplete; // Called each time a full work interval finishes
+    this.options = null;
+    this.phase = null; // 'work' | 'break' | null when inactive
+    this.phaseEnd = null;
+    this.intervalId = null;
+    this.workSound = null; // Sound the break sound replaced; null unless the break sound is playing
+
+    // A break that began while paused switches to its sound once playback starts
+    if (audioController.store) {
+      audioController.store.on('change', (state, changedKeys) => {
+        if (changedKeys.includes('isPlaying') && state.isPlaying) {
+          this._onPlaybackStarted();
+        }
+      });
+    }
+  }
+
+  start({
+    workMinutes = DEFAULT_WORK_MINUTES,
+    breakMinutes = DEFAULT_BREAK_MINUTES,
+    breakSound = null,
+    breakPalette = true,
+  } = {}) {
+    if (!(workMinutes > 0) || !(breakMinutes > 0)) {
+      console.warn(
+        `FocusSession: Invalid lengths (work: ${workMinutes}, break: ${breakMinutes}).`
+      );
+      return false;
+    }
+    this.stop();
+
+    this.options = { workMinutes, breakMinutes, breakSound, breakPalette };
+    this.intervalId = setInterval(() => this._tick(), TICK_INTERVAL);
+    console.log(
+      `FocusSession: Started (${workMinutes} min work / ${breakMinutes} min break).`
+    );
+    this._switchPhase('work');
+    return true;
+  }
+
+  stop() {
+    if (!this.isActive()) return;
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    if (this.phase === 'break') {
+      this._restoreWorkAmbience().catch((error) =>
+        console.error(
+          'FocusSession: Could not restore the work ambience:',
+          error
+        )
+      );
+    }
+    this.phase = null;
+    this.phaseEnd = null;
+    console.log('FocusSession: Stopped.');
+  }
+
+  isActive() {
+    return this.phase !== null;
+  }
+
+  getPhase() {
+    return this.phase;
+  }
+
+  getRemaining() {
+    if (!this.isActive()) return 0;
+    return Math.max(0, this.phaseEnd - Date.now());
+  }
+
+  _tick() {
+    if (this.getRemaining() <= 0) {
+      this.audioController.playChime();
+      if (this.phase === 'work') {
+        if (this.onWorkComplete) this.onWorkComplete();
+        this._switchPhase('break');
+      } else {
+        this._switchPhase('work');
+      }
+      return;
+    }
+    if (this.onTick) this.onTick(this.phase, this.getRemaining());
+  }
+
+  // Phase changes start from the interval timer and controls, which cannot wait for the
+  // sound and palette to switch, so failures are logged here
+  _switchPhase(phase) {
+    this._enterPhase(phase).catch((error) =>
+      console.error(`FocusSession: Could not switch to ${phase}:`, error)
+    );
+  }
+
+  async _enterPhase(phase) {
+    const wasOnBreak = this.phase === 'break';
+    const minutes =
+      phase === 'work' ? this.options.workMinutes : this.options.breakMinutes;
+    this.phase = phase;
+    this.phaseEnd = Date.now() + minutes * 60 * 1000;
+    if (this.onTick) this.onTick(phase, this.getRemaining());
+
+    if (phase === 'break') {
+      await this._applyBreakAmbience();
+    } else if (wasOnBreak) {
+      await this._restoreWorkAmbience();
+    }
+    if (this.onPhaseChange) this.onPhaseChange(phase);
+  }
+
+  _onPlaybackStarted() {
+    if (this.phase !== 'break' || this.workSound) return;
+    this._applyBreakSound().catch((error) =>
+      console.error('FocusSession: Could not play the break sound:', error)
+    );
+  }
+
+  _applyBreakAmbience() {
+    if (this.options.breakPalette && this.backgroundController) {
+      this.backgroundController.setPaletteGroup(BREAK_PALETTE_GROUP);
+    }
+    return this._applyBreakSound();
+  }
+
+  // Only switches if something is playing; a paused player stays paused
+  async _applyBreakSound() {
+    const { breakSound } = this.options;
+    const { selectedSound } = this.audioController;
+    if (
+      breakSound &&
+      this.audioController.isPlaying &&
+      breakSound !== selectedSound
+    ) {
+      this.workSound = selectedSound;
+      await this.audioController.play(breakSound); // Crossfades like a manual selection
+    }
+  }
+
+  async _restoreWorkAmbience() {
+    if (this.options.breakPalette && this.backgroundController) {
+      this.backgroundController.setPaletteGroup(null);
+    }
+    const workSound = this.workSound;
+    this.workSound = null;
+    // Leave a sound picked during the break playing
+    if (
+      workSound &&
+      this.audioController.isPlaying &&
+      this.audioController.selectedSound === this.options.breakSound
+    ) {
+      await this.audioController.play(workSound);
+    }
+  }
+}
+
+export default FocusSession;
@@ -0,0 +1,221 @@
+// src/FocusSession.test.js
+import FocusSession from './FocusSession';
+import AppStore from './AppStore';
+
+describe('FocusSession', () => {
+  let focusSession;
+  let mockAudioController;
+  let mockBackgroundController;
+  let onTick;
+  let onPhaseChange;
+  let onWorkComplete;
+  let originalConsoleWarn;
+  let originalConsoleError;
+
+  const minutes = (n) => n * 60 * 1000;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    originalConsoleWarn = console.warn;
+    console.warn = jest.fn();
+    originalConsoleError = console.error;
+    console.error = jest.fn();
+
+    mockAudioController = {
+      isPlaying: true,
+      selectedSound: 'Rain',
+      playChime: jest.fn(),
+      play: jest.fn(function (soundName) {
+        this.selectedSound = soundName;
+        return Promise.resolve();
+      }),
+    };
+    mockBackgroundController = { setPaletteGroup: jest.fn() };
+    onTick = jest.fn();
+    onPhaseChange = jest.fn();
+    onWorkComplete = jest.fn();
+    focusSession = new FocusSession(
+      mockAudioController,
+      mockBackgroundController,
+      { onTick, onPhaseChange, onWorkComplete }
+    );
+  });
+
+  afterEach(() => {
+    focusSession.stop();
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    console.warn = originalConsoleWarn;
+    console.error = originalConsoleError;
+  });
+
+  test('start should begin with a work interval', () => {
+    focusSession.start({ workMinutes: 25, breakMinutes: 5 });
+    expect(focusSession.isActive()).toBe(true);
+    expect(focusSession.getPhase()).toBe('work');
+    expect(onTick).toHaveBeenLastCalledWith('work', minutes(25));
+    expect(mockAudioController.playChime).not.toHaveBeenCalled();
+  });
+
+  test('start should reject non-positive lengths', () => {
+    expect(focusSession.start({ workMinutes: 0, breakMinutes: 5 })).toBe(false);
+    expect(focusSession.isActive()).toBe(false);
+  });
+
+  test('should chime and switch to a break when work ends', async () => {
+    focusSession.start({ workMinutes: 25, breakMinutes: 5 });
+    jest.advanceTimersByTime(minutes(25));
+    await Promise.resolve();
+
+    expect(mockAudioController.playChime).toHaveBeenCalledTimes(1);
+    expect(onWorkComplete).toHaveBeenCalledTimes(1);
+    expect(focusSession.getPhase()).toBe('break');
+    expect(onPhaseChange).toHaveBeenCalledWith('break');
+    expect(mockBackgroundController.setPaletteGroup).toHaveBeenCalledWith(
+      'warm'
+    );
+  });
+
+  test('should cycle back to work after the break without counting it', async () => {
+    focusSession.start({ workMinutes: 25, breakMinutes: 5 });
+    jest.advanceTimersByTime(minutes(30));
+    await Promise.resolve();
+
+    expect(mockAudioController.playChime).toHaveBeenCalledTimes(2);
+    expect(onWorkComplete).toHaveBeenCalledTimes(1);
+    expect(focusSession.getPhase()).toBe('work');
+    expect(mockBackgroundController.setPaletteGroup).toHaveBeenLastCalledWith(
+      null
+    );
+  });
+
+  test('should log a break sound that fails to play', async () => {
+    const error = new Error('offline');
+    mockAudioController.play.mockImplementation(() => Promise.reject(error));
+    focusSession.start({
+      workMinutes: 25,
+      breakMinutes: 5,
+      breakSound: 'Forest',
+    });
+    await jest.advanceTimersByTimeAsync(minutes(25));
+
+    expect(console.error).toHaveBeenCalledWith(
+      'FocusSession: Could not switch to break:',
+      error
+    );
+    expect(focusSession.getPhase()).toBe('break'); // The timer carries on
+  });
+
+  test('should switch to the break sound and back when playing', async () => {
+    focusSession.start({
+      workMinutes: 25,
+      breakMinutes: 5,
+      breakSound: 'Forest',
+    });
+    jest.advanceTimersByTime(minutes(25));
+    await Promise.resolve();
+    expect(mockAudioController.play).toHaveBeenLastCalledWith('Forest');
+
+    jest.advanceTimersByTime(minutes(5));
+    await Promise.resolve();
+    expect(mockAudioController.play).toHaveBeenLastCalledWith('Rain');
+  });
+
+  test('should not start playback for the break sound when paused', async () => {
+    mockAudioController.isPlaying = false;
+    focusSession.start({
+      workMinutes: 25,
+      breakMinutes: 5,
+      breakSound: 'Forest',
+    });
+    jest.advanceTimersByTime(minutes(25));
+    await Promise.resolve();
+    expect(mockAudioController.play).not.toHaveBeenCalled();
+  });
+
+  test('should switch to the break sound when playback starts during a break', async () => {
+    const store = new AppStore();
+    mockAudioController.store = store;
+    mockAudioController.isPlaying = false;
+    focusSession = new FocusSession(
+      mockAudioController,
+      mockBackgroundController
+    );
+    focusSession.start({
+      workMinutes: 25,
+      breakMinutes: 5,
+      breakSound: 'Forest',
+    });
+    jest.advanceTimersByTime(minutes(25));
+    await Promise.resolve();
+    expect(mockAudioController.play).not.toHaveBeenCalled();
+
+    mockAudioController.isPlaying = true;
+    store.setState({ isPlaying: true });
+    await Promise.resolve();
+    expect(mockAudioController.play).toHaveBeenCalledWith('Forest');
+
+    focusSession.stop();
+    expect(mockAudioController.play).toHaveBeenLastCalledWith('Rain');
+  });
+
+  test('stop should not restore a work sound the break never replaced', async () => {
+    mockAudioController.isPlaying = false;
+    focusSession.start({
+      workMinutes: 25,
+      breakMinutes: 5,
+      breakSound: 'Forest',
+    });
+    jest.advanceTimersByTime(minutes(25));
+    await Promise.resolve();
+    mockAudioController.isPlaying = true; // Resumed without a store to tell the session
+
+    focusSession.stop();
+    expect(mockAudioController.play).not.toHaveBeenCalled();
+  });
+
+  test('stop should keep a sound picked during the break', async () => {
+    focusSession.start({
+      workMinutes: 25,
+      breakMinutes: 5,
+      breakSound: 'Forest',
+    });
+    jest.advanceTimersByTime(minutes(25));
+    await Promise.resolve();
+    mockAudioController.selectedSound = 'Ocean Waves';
+
+    focusSession.stop();
+    expect(mockAudioController.play).toHaveBeenCalledTimes(1); // Only the break sound
+  });
+
+  test('should leave the palette alone when breakPalette is off', async () => {
+    focusSession.start({
+      workMinutes: 25,
+      breakMinutes: 5,
+      breakPalette: false,
+    });
+    jest.advanceTimersByTime(minutes(25));
+    await Promise.resolve();
+    expect(mockBackgroundController.setPaletteGroup).not.toHaveBeenCalled();
+  });
+
+  test('stop during a break should restore the work sound and palette', async () => {
+    focusSession.start({
+      workMinutes: 25,
+      breakMinutes: 5,
+      breakSound: 'Forest',
+    });
+    jest.advanceTimersByTime(minutes(25));
+    await Promise.resolve();
+
+    focusSession.stop();
+    expect(focusSession.isActive()).toBe(false);
+    expect(mockBackgroundController.setPaletteGroup).toHaveBeenLastCalledWith(
+      null
+    );
+    expect(mockAudioController.play).toHaveBeenLastCalledWith('Rain');
+
+    jest.advanceTimersByTime(minutes(60));
+    expect(mockAudioController.playChime).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,69 @@
+// src/Loudness.js
+
+// Level matching between sounds, so switching from Forest to White Noise does not jump in
+// loudness. The estimate follows LUFS without its K-weighting filter: the mean square over
+// 400 ms blocks, skipping near-silent blocks and blocks far below the average, so the gaps
+// between bird calls do not make a forest count as quiet.
+const TARGET_LOUDNESS = -20; // dBFS every sound is trimmed towards
+const BLOCK_SECONDS = 0.4;
+const ABSOLUTE_GATE = -70; // dBFS, blocks below are silence
+const RELATIVE_GATE = -10; // dB below the average of the audible blocks
+const MAX_BOOST = 12; // dB; sounds that much quieter are quiet on purpose
+const MAX_CUT = -24; // dB
+const MAX_ANALYSIS_SECONDS = 60; // Ambient sounds are steady, a minute is representative
+
+const toDecibels = (meanSquare) => 10 * Math.log10(meanSquare);
+const average = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Returns { loudness, peak }: loudness in dBFS (null for silence or when the buffer's
+// samples cannot be read) and the highest sample magnitude (0 to 1, null if unread).
+function analyzeLoudness(buffer) {
+  if (!buffer.getChannelData) return { loudness: null, peak: null };
+  const { sampleRate, numberOfChannels } = buffer;
+  const length = Math.min(
+    buffer.length,
+    Math.floor(MAX_ANALYSIS_SECONDS * sampleRate)
+  );
+  const blockLength = Math.max(1, Math.floor(BLOCK_SECONDS * sampleRate));
+  const channels = Array.from({ length: numberOfChannels }, (_, i) =>
+    buffer.getChannelData(i)
+  );
+
+  const blocks = []; // Mean square of each block, averaged over the channels
+  let peak = 0;
+  for (let start = 0; start < length; start += blockLength) {
+    const end = Math.min(length, start + blockLength);
+    let sum = 0;
+    channels.forEach((data) => {
+      for (let i = start; i < end; i++) {
+        const sample = data[i];
+        sum += sample * sample;
+        if (sample > peak) peak = sample;
+        else if (-sample > peak) peak = -sample;
+      }
+    });
+    blocks.push(sum / ((end - start) * numberOfChannels));
+  }
+
+  const audible = blocks.filter(
+    (meanSquare) => meanSquare > 0 && toDecibels(meanSquare) > ABSOLUTE_GATE
+  );
+  if (audible.length === 0) return { loudness: null, peak };
+  const threshold = toDecibels(average(audible)) + RELATIVE_GATE;
+  const gated = audible.filter(
+    (meanSquare) => toDecibels(meanSquare) > threshold
+  );
+  return { loudness: toDecibels(average(gated)), peak };
+}
+
+// Linear gain that brings a sound of `loudness` dBFS to the target. Boosts are limited so
+// a known `peak` stays below full scale; unknown loudness is left alone.
+function getLoudnessTrim({ loudness, peak = null }, target = TARGET_LOUDNESS) {
+  if (!Number.isFinite(loudness)) return 1;
+  const decibels = Math.max(MAX_CUT, Math.min(MAX_BOOST, target - loudness));
+  const gain = 10 ** (decibels / 20);
+  return peak > 0 ? Math.min(gain, Math.max(1, 1 / peak)) : gain;
+}
+
+export { analyzeLoudness, getLoudnessTrim, TARGET_LOUDNESS };
@@ -0,0 +1,78 @@
+// src/Loudness.test.js
+import { analyzeLoudness, getLoudnessTrim, TARGET_LOUDNESS } from './Loudness';
+
+const SAMPLE_RATE = 1000;
+
+// Mono buffer made of [seconds, level] sections at a steady level
+const createBuffer = (...sections) => {
+  const data = new Float32Array(
+    sections.reduce((length, [seconds]) => length + seconds * SAMPLE_RATE, 0)
+  );
+  let offset = 0;
+  sections.forEach(([seconds, level]) => {
+    data.fill(level, offset, offset + seconds * SAMPLE_RATE);
+    offset += seconds * SAMPLE_RATE;
+  });
+  return {
+    length: data.length,
+    sampleRate: SAMPLE_RATE,
+    numberOfChannels: 1,
+    getChannelData: () => data,
+  };
+};
+
+describe('analyzeLoudness', () => {
+  test('should measure a steady level in dBFS', () => {
+    const { loudness, peak } = analyzeLoudness(createBuffer([4, 0.5]));
+    expect(loudness).toBeCloseTo(-6.02);
+    expect(peak).toBe(0.5);
+  });
+
+  test('should ignore quiet gaps between the audible parts', () => {
+    const { loudness } = analyzeLoudness(
+      createBuffer([4, 0.5], [4, 0.01], [4, -0.5])
+    );
+    expect(loudness).toBeCloseTo(-6.02);
+  });
+
+  test('should report silence as unknown loudness', () => {
+    expect(analyzeLoudness(createBuffer([4, 0]))).toEqual({
+      loudness: null,
+      peak: 0,
+    });
+  });
+
+  test('should leave buffers it cannot read alone', () => {
+    expect(analyzeLoudness({ duration: 10 })).toEqual({
+      loudness: null,
+      peak: null,
+    });
+  });
+});
+
+describe('getLoudnessTrim', () => {
+  test('should bring sounds to the target loudness', () => {
+    expect(getLoudnessTrim({ loudness: TARGET_LOUDNESS })).toBe(1);
+    expect(getLoudnessTrim({ loudness: TARGET_LOUDNESS + 20 })).toBeCloseTo(
+      0.1
+    );
+    expect(getLoudnessTrim({ loudness: TARGET_LOUDNESS - 6 })).toBeCloseTo(
+      1.995
+    );
+  });
+
+  test('should limit boosts and cuts', () => {
+    expect(getLoudnessTrim({ loudness: -60 })).toBeCloseTo(10 ** (12 / 20));
+    expect(getLoudnessTrim({ loudness: 10 })).toBeCloseTo(10 ** (-24 / 20));
+  });
+
+  test('should not boost peaks past full scale', () => {
+    expect(getLoudnessTrim({ loudness: -32, peak: 0.5 })).toBe(2);
+    // Cuts are never limited by the peak
+    expect(getLoudnessTrim({ loudness: -6, peak: 1.2 })).toBeCloseTo(0.2);
+  });
+
+  test('should leave sounds of unknown loudness at their level', () => {
+    expect(getLoudnessTrim({ loudness: null, peak: 0 })).toBe(1);
+  });
+});
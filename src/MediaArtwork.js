@@ -0,0 +1,44 @@
+// src/MediaArtwork.js
+
+const DEFAULT_ARTWORK_COLOR = '#2E4057'; // Matches the reduced-motion background
+
+// Square artwork for the OS media controls: the current background color with a soft
+// highlight, so the lock screen matches what the page looks like.
+// Returns { src, sizes, type } for a MediaMetadata artwork entry.
+function createArtwork(color = DEFAULT_ARTWORK_COLOR, size = 512) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext && canvas.getContext('2d');
+  if (context) {
+    const gradient = context.createRadialGradient(
+      size * 0.35,
+      size * 0.3,
+      0,
+      size / 2,
+      size / 2,
+      size * 0.75
+    );
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 0.35)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    context.fillStyle = color;
+    context.fillRect(0, 0, size, size);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, size, size);
+    return {
+      src: canvas.toDataURL('image/png'),
+      sizes: `${size}x${size}`,
+      type: 'image/png',
+    };
+  }
+
+  // No 2D canvas (e.g. some embedded browsers): a flat SVG works in most media UIs
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}"><rect width="100%" height="100%" fill="${color}"/></svg>`;
+  return {
+    src: `data:image/svg+xml,${encodeURIComponent(svg)}`,
+    sizes: `${size}x${size}`,
+    type: 'image/svg+xml',
+  };
+}
+
+export { createArtwork, DEFAULT_ARTWORK_COLOR };
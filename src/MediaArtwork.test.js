@@ -0,0 +1,51 @@
+// src/MediaArtwork.test.js
+import { createArtwork, DEFAULT_ARTWORK_COLOR } from './MediaArtwork';
+
+describe('createArtwork', () => {
+  let getContextSpy;
+
+  afterEach(() => {
+    if (getContextSpy) getContextSpy.mockRestore();
+    getContextSpy = null;
+  });
+
+  test('should paint the color on a canvas when 2D canvas is available', () => {
+    const context = {
+      createRadialGradient: jest.fn(() => ({ addColorStop: jest.fn() })),
+      fillRect: jest.fn(),
+    };
+    const fills = [];
+    Object.defineProperty(context, 'fillStyle', {
+      set: (value) => {
+        fills.push(value);
+      },
+    });
+    getContextSpy = jest
+      .spyOn(HTMLCanvasElement.prototype, 'getContext')
+      .mockReturnValue(context);
+    jest
+      .spyOn(HTMLCanvasElement.prototype, 'toDataURL')
+      .mockReturnValue('data:image/png;base64,AAAA');
+
+    expect(createArtwork('#294B29', 256)).toEqual({
+      src: 'data:image/png;base64,AAAA',
+      sizes: '256x256',
+      type: 'image/png',
+    });
+    expect(fills[0]).toBe('#294B29');
+    expect(context.fillRect).toHaveBeenCalledWith(0, 0, 256, 256);
+  });
+
+  test('should fall back to an SVG without a 2D canvas', () => {
+    getContextSpy = jest
+      .spyOn(HTMLCanvasElement.prototype, 'getContext')
+      .mockReturnValue(null);
+
+    const artwork = createArtwork();
+    expect(artwork.type).toBe('image/svg+xml');
+    expect(artwork.sizes).toBe('512x512');
+    expect(decodeURIComponent(artwork.src)).toContain(
+      `fill="${DEFAULT_ARTWORK_COLOR}"`
+    );
+  });
+});
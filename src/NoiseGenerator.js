@@ -0,0 +1,89 @@
+// src/NoiseGenerator.js
+
+// Procedural noise rendered straight into an AudioBuffer, so noise sounds need no download.
+// The buffer is rendered slightly longer than needed and its tail is crossfaded into its
+// head, which makes the loop point continuous: there is no seam when it repeats.
+
+const NOISE_TYPES = ['white', 'pink', 'brown'];
+const NOISE_BUFFER_SECONDS = 10; // Long enough that the repetition is not noticeable
+const LOOP_CROSSFADE_SECONDS = 0.5;
+
+// Each factory returns a function producing the next sample in roughly [-1, 1];
+// rare peaks beyond full scale are clamped while rendering
+const noiseFactories = {
+  white: () => () => Math.random() * 2 - 1,
+
+  // Paul Kellet's refined pink noise filter (-3 dB/octave)
+  pink: () => {
+    let b0 = 0,
+      b1 = 0,
+      b2 = 0,
+      b3 = 0,
+      b4 = 0,
+      b5 = 0,
+      b6 = 0;
+    return () => {
+      const white = Math.random() * 2 - 1;
+      b0 = 0.99886 * b0 + white * 0.0555179;
+      b1 = 0.99332 * b1 + white * 0.0750759;
+      b2 = 0.969 * b2 + white * 0.153852;
+      b3 = 0.8665 * b3 + white * 0.3104856;
+      b4 = 0.55 * b4 + white * 0.5329522;
+      b5 = -0.7616 * b5 - white * 0.016898;
+      const pink = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+      b6 = white * 0.115926;
+      return pink * 0.11; // Roughly normalize the summed filters back to [-1, 1]
+    };
+  },
+
+  // Leaky integration of white noise (-6 dB/octave)
+  brown: () => {
+    let last = 0;
+    return () => {
+      const white = Math.random() * 2 - 1;
+      last = (last + 0.02 * white) / 1.02;
+      return last * 3.5; // Compensate for the integrator's gain loss
+    };
+  },
+};
+
+const clamp = (sample) => Math.max(-1, Math.min(1, sample));
+
+function isNoiseType(type) {
+  return NOISE_TYPES.includes(type);
+}
+
+function createNoiseBuffer(audioContext, type, seconds = NOISE_BUFFER_SECONDS) {
+  if (!isNoiseType(type)) {
+    throw new Error(`Unknown noise type "${type}".`);
+  }
+  const { sampleRate } = audioContext;
+  const length = Math.floor(seconds * sampleRate);
+  const fadeLength = Math.min(
+    Math.floor(LOOP_CROSSFADE_SECONDS * sampleRate),
+    length
+  );
+  const buffer = audioContext.createBuffer(2, length, sampleRate);
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    // Independent noise per channel gives a wide, natural stereo image
+    const next = noiseFactories[type]();
+    const rendered = new Float32Array(length + fadeLength);
+    for (let i = 0; i < rendered.length; i++) rendered[i] = clamp(next());
+
+    const data = buffer.getChannelData(channel);
+    data.set(rendered.subarray(0, length));
+    // Equal-power crossfade of the overhang into the start: sample 0 continues
+    // seamlessly from sample length - 1.
+    for (let i = 0; i < fadeLength; i++) {
+      const t = i / fadeLength;
+      const sample =
+        rendered[i] * Math.sin((t * Math.PI) / 2) +
+        rendered[length + i] * Math.cos((t * Math.PI) / 2);
+      data[i] = clamp(sample);
+    }
+  }
+  return buffer;
+}
+
+export { createNoiseBuffer, isNoiseType, NOISE_TYPES };
@@ -0,0 +1,82 @@
+// src/NoiseGenerator.test.js
+import { createNoiseBuffer, isNoiseType, NOISE_TYPES } from './NoiseGenerator';
+
+// Minimal AudioContext stand-in: only buffer creation is needed
+const createMockContext = (sampleRate = 8000) => ({
+  sampleRate,
+  createBuffer: jest.fn((channels, length, rate) => {
+    const data = Array.from(
+      { length: channels },
+      () => new Float32Array(length)
+    );
+    return {
+      numberOfChannels: channels,
+      length,
+      sampleRate: rate,
+      getChannelData: (channel) => data[channel],
+    };
+  }),
+});
+
+// Correlation between neighbouring samples: high for low-frequency (brown) noise
+const lagOneCorrelation = (data) => {
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 1; i < data.length; i++) {
+    sum += data[i] * data[i - 1];
+    sumSquares += data[i] * data[i];
+  }
+  return sum / sumSquares;
+};
+
+describe('NoiseGenerator', () => {
+  test('exposes white, pink and brown noise', () => {
+    expect(NOISE_TYPES).toEqual(['white', 'pink', 'brown']);
+    expect(isNoiseType('pink')).toBe(true);
+    expect(isNoiseType('purple')).toBe(false);
+  });
+
+  test('createNoiseBuffer should render a stereo buffer of the requested length', () => {
+    const context = createMockContext();
+    const buffer = createNoiseBuffer(context, 'white', 2);
+
+    expect(context.createBuffer).toHaveBeenCalledWith(2, 16000, 8000);
+    expect(buffer.getChannelData(0)).not.toEqual(buffer.getChannelData(1));
+  });
+
+  test.each(NOISE_TYPES)('%s noise should stay within [-1, 1]', (type) => {
+    const buffer = createNoiseBuffer(createMockContext(), type, 2);
+    const data = buffer.getChannelData(0);
+    const peak = data.reduce(
+      (max, sample) => Math.max(max, Math.abs(sample)),
+      0
+    );
+
+    expect(peak).toBeGreaterThan(0);
+    expect(peak).toBeLessThanOrEqual(1);
+  });
+
+  test('the loop point should be continuous for brown noise', () => {
+    const buffer = createNoiseBuffer(createMockContext(), 'brown', 2);
+    const data = buffer.getChannelData(0);
+    const seamJump = Math.abs(data[0] - data[data.length - 1]);
+
+    // A smooth signal changes very little between neighbouring samples, across the seam too
+    expect(seamJump).toBeLessThan(0.1);
+  });
+
+  test('brown noise should be smoother than white noise', () => {
+    const context = createMockContext();
+    const white = createNoiseBuffer(context, 'white', 2).getChannelData(0);
+    const brown = createNoiseBuffer(context, 'brown', 2).getChannelData(0);
+
+    expect(Math.abs(lagOneCorrelation(white))).toBeLessThan(0.1);
+    expect(lagOneCorrelation(brown)).toBeGreaterThan(0.9);
+  });
+
+  test('createNoiseBuffer should throw for unknown types', () => {
+    expect(() => createNoiseBuffer(createMockContext(), 'purple')).toThrow(
+      'Unknown noise type "purple".'
+    );
+  });
+});
@@ -0,0 +1,171 @@
+// src/OfflineController.js
+
+const SERVICE_WORKER_URL = '/sw.js'; // Served from public/, so its scope is the whole app
+const DOWNLOAD_STALL_TIMEOUT = 60 * 1000; // Give up on a download-all that stops reporting progress
+
+// Page side of the service worker (public/sw.js): registers it, tracks which recordings
+// are cached, asks it to download the rest and hands over to a new version when asked.
+// Generated and imported sounds never need the network, only `url` sounds are tracked.
+class OfflineController {
+  constructor(
+    { onChange, onUpdateReady } = {},
+    serviceWorker = navigator.serviceWorker
+  ) {
+    this.serviceWorker = serviceWorker;
+    this.onChange = onChange; // Called when the cached sounds, a download or the connection changes
+    this.onUpdateReady = onUpdateReady; // Called when a new version is installed and waiting
+    this.registration = null;
+    this.cachedPaths = new Set();
+    this.isDownloading = false;
+    this.pendingDownload = null; // { promise, resolve, urls, timeoutId } while a download-audio request runs
+  }
+
+  isAvailable() {
+    return Boolean(this.serviceWorker);
+  }
+
+  // Resolves to whether a service worker is now registered
+  async register(scriptUrl = SERVICE_WORKER_URL) {
+    if (!this.isAvailable()) {
+      console.log('OfflineController: Service workers unavailable.');
+      return false;
+    }
+    this.serviceWorker.addEventListener('message', (event) =>
+      this._handleMessage(event.data)
+    );
+    window.addEventListener('online', () => this._notify());
+    window.addEventListener('offline', () => this._notify());
+    // A new worker never heard of the running download and will not report its end
+    this.serviceWorker.addEventListener('controllerchange', () =>
+      this._abandonDownload('the service worker was replaced')
+    );
+
+    try {
+      this.registration = await this.serviceWorker.register(scriptUrl);
+    } catch (error) {
+      console.error(
+        'OfflineController: Service worker registration failed:',
+        error
+      );
+      return false;
+    }
+    this._watchForUpdates();
+    await this.serviceWorker.ready;
+    this._post({ type: 'get-offline-status' });
+    return true;
+  }
+
+  isOnline() {
+    return navigator.onLine !== false;
+  }
+
+  isCached(url) {
+    return this.cachedPaths.has(new URL(url, window.location.href).pathname);
+  }
+
+  isSoundAvailableOffline(source) {
+    return !source.url || this.isCached(source.url);
+  }
+
+  // Asks the worker to cache every given URL. Resolves to the paths that failed.
+  downloadAll(urls) {
+    if (!this.registration) return Promise.resolve(urls);
+    if (this.pendingDownload) return this.pendingDownload.promise;
+
+    let resolve;
+    const promise = new Promise((done) => {
+      resolve = done;
+    });
+    this.pendingDownload = { promise, resolve, urls, timeoutId: null };
+    this.isDownloading = true;
+    this._watchDownload();
+    this._notify();
+    this._post({ type: 'download-audio', urls });
+    return promise;
+  }
+
+  // (Re)starts the stall timeout; every file the worker reports pushes it back
+  _watchDownload() {
+    const download = this.pendingDownload;
+    clearTimeout(download.timeoutId);
+    download.timeoutId = setTimeout(
+      () => this._abandonDownload('it stopped making progress'),
+      DOWNLOAD_STALL_TIMEOUT
+    );
+  }
+
+  _finishDownload(failed) {
+    const download = this.pendingDownload;
+    clearTimeout(download.timeoutId);
+    this.pendingDownload = null;
+    this.isDownloading = false;
+    download.resolve(failed);
+  }
+
+  // Ends a download the worker will not finish; whatever is not cached yet counts as failed
+  _abandonDownload(reason) {
+    if (!this.pendingDownload) return;
+    console.warn(`OfflineController: Download abandoned, ${reason}.`);
+    this._finishDownload(
+      this.pendingDownload.urls.filter((url) => !this.isCached(url))
+    );
+    this._notify();
+  }
+
+  // Activates the waiting version; the page reloads once it has taken over
+  applyUpdate() {
+    const waiting = this.registration && this.registration.waiting;
+    if (!waiting) return;
+    this.serviceWorker.addEventListener('controllerchange', () =>
+      window.location.reload()
+    );
+    waiting.postMessage({ type: 'skip-waiting' });
+  }
+
+  _watchForUpdates() {
+    // Only an update has a controller to replace; the first install just takes over
+    const reportIfWaiting = () => {
+      if (this.registration.waiting && this.serviceWorker.controller) {
+        if (this.onUpdateReady) this.onUpdateReady();
+      }
+    };
+    reportIfWaiting(); // Installed during an earlier visit
+    this.registration.addEventListener('updatefound', () => {
+      const installing = this.registration.installing;
+      if (!installing) return;
+      installing.addEventListener('statechange', () => {
+        if (installing.state === 'installed') reportIfWaiting();
+      });
+    });
+  }
+
+  _post(message) {
+    const worker =
+      this.serviceWorker.controller ||
+      (this.registration && this.registration.active);
+    if (worker) worker.postMessage(message);
+  }
+
+  _handleMessage(message) {
+    if (!message) return;
+    if (message.type === 'offline-status') {
+      this.cachedPaths = new Set(message.paths);
+    } else if (message.type === 'audio-cached') {
+      this.cachedPaths.add(message.path);
+      if (this.pendingDownload) this._watchDownload();
+    } else if (message.type === 'download-complete') {
+      if (this.pendingDownload) this._finishDownload(message.failed);
+      this.isDownloading = false;
+    } else {
+      return;
+    }
+    this._notify();
+  }
+
+  _notify() {
+    if (this.onChange) this.onChange();
+  }
+}
+
+export default OfflineController;
+export { SERVICE_WORKER_URL };
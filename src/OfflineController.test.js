@@ -0,0 +1,193 @@
+// src/OfflineController.test.js
+import OfflineController, { SERVICE_WORKER_URL } from './OfflineController';
+
+// Stand-ins for navigator.serviceWorker and a registration; `worker.received` records
+// what the page posted, `container.reply()` plays a message from the worker.
+const createWorker = (state = 'activated') => {
+  const worker = new EventTarget();
+  worker.state = state;
+  worker.received = [];
+  worker.postMessage = (message) => worker.received.push(message);
+  return worker;
+};
+
+const createServiceWorker = ({ controller = null, waiting = null } = {}) => {
+  const container = new EventTarget();
+  const registration = new EventTarget();
+  registration.active = createWorker();
+  registration.waiting = waiting;
+  registration.installing = null;
+  container.controller = controller;
+  container.register = jest.fn(() => Promise.resolve(registration));
+  container.ready = Promise.resolve(registration);
+  container.registration = registration;
+  container.reply = (data) =>
+    container.dispatchEvent(new MessageEvent('message', { data }));
+  return container;
+};
+
+describe('OfflineController', () => {
+  let serviceWorker;
+  let offlineController;
+  let onChange;
+  let onUpdateReady;
+  let originalConsoleError;
+  let originalConsoleLog;
+
+  beforeEach(() => {
+    originalConsoleError = console.error;
+    originalConsoleLog = console.log;
+    console.error = jest.fn();
+    console.log = jest.fn();
+    onChange = jest.fn();
+    onUpdateReady = jest.fn();
+    serviceWorker = createServiceWorker();
+    offlineController = new OfflineController(
+      { onChange, onUpdateReady },
+      serviceWorker
+    );
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+    console.log = originalConsoleLog;
+  });
+
+  test('register should install the worker and ask what is cached', async () => {
+    expect(await offlineController.register()).toBe(true);
+    expect(serviceWorker.register).toHaveBeenCalledWith(SERVICE_WORKER_URL);
+    expect(serviceWorker.registration.active.received).toEqual([
+      { type: 'get-offline-status' },
+    ]);
+
+    serviceWorker.reply({
+      type: 'offline-status',
+      paths: ['/audio/rain.mp3'],
+    });
+    expect(offlineController.isCached('/audio/rain.mp3')).toBe(true);
+    expect(offlineController.isCached('/audio/forest_sounds.mp3')).toBe(false);
+    expect(onChange).toHaveBeenCalled();
+  });
+
+  test('register should report missing or failing service workers', async () => {
+    const unsupported = new OfflineController({}, undefined);
+    expect(unsupported.isAvailable()).toBe(false);
+    expect(await unsupported.register()).toBe(false);
+
+    serviceWorker.register.mockRejectedValue(new Error('SecurityError'));
+    expect(await offlineController.register()).toBe(false);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  test('sounds without a url are always available offline', async () => {
+    await offlineController.register();
+    serviceWorker.reply({ type: 'audio-cached', path: '/audio/rain.mp3' });
+
+    expect(
+      offlineController.isSoundAvailableOffline({ generator: 'white' })
+    ).toBe(true);
+    expect(
+      offlineController.isSoundAvailableOffline({ url: '/audio/rain.mp3' })
+    ).toBe(true);
+    expect(
+      offlineController.isSoundAvailableOffline({
+        url: '/audio/ocean_waves.mp3',
+      })
+    ).toBe(false);
+  });
+
+  test('downloadAll should resolve with the failures once the worker is done', async () => {
+    await offlineController.register();
+    const urls = ['/audio/rain.mp3', '/audio/ocean_waves.mp3'];
+
+    const download = offlineController.downloadAll(urls);
+    expect(offlineController.downloadAll(urls)).toBe(download); // One at a time
+    expect(offlineController.isDownloading).toBe(true);
+    expect(serviceWorker.registration.active.received).toContainEqual({
+      type: 'download-audio',
+      urls,
+    });
+
+    serviceWorker.reply({ type: 'audio-cached', path: '/audio/rain.mp3' });
+    serviceWorker.reply({
+      type: 'download-complete',
+      failed: ['/audio/ocean_waves.mp3'],
+    });
+    expect(await download).toEqual(['/audio/ocean_waves.mp3']);
+    expect(offlineController.isDownloading).toBe(false);
+    expect(offlineController.isCached('/audio/rain.mp3')).toBe(true);
+  });
+
+  test('downloadAll should give up when the worker goes away or stalls', async () => {
+    const originalConsoleWarn = console.warn;
+    console.warn = jest.fn();
+    jest.useFakeTimers();
+    try {
+      await offlineController.register();
+      const urls = ['/audio/rain.mp3', '/audio/ocean_waves.mp3'];
+
+      const replaced = offlineController.downloadAll(urls);
+      serviceWorker.reply({ type: 'audio-cached', path: '/audio/rain.mp3' });
+      serviceWorker.dispatchEvent(new Event('controllerchange'));
+      expect(await replaced).toEqual(['/audio/ocean_waves.mp3']);
+      expect(offlineController.isDownloading).toBe(false);
+
+      const stalled = offlineController.downloadAll(urls);
+      jest.advanceTimersByTime(59 * 1000);
+      expect(offlineController.isDownloading).toBe(true);
+      jest.advanceTimersByTime(1000);
+      expect(await stalled).toEqual(['/audio/ocean_waves.mp3']);
+      expect(offlineController.isDownloading).toBe(false);
+    } finally {
+      jest.useRealTimers();
+      console.warn = originalConsoleWarn;
+    }
+  });
+
+  test('downloadAll should fail everything without a worker', async () => {
+    expect(await offlineController.downloadAll(['/audio/rain.mp3'])).toEqual([
+      '/audio/rain.mp3',
+    ]);
+  });
+
+  test('a version waiting from an earlier visit should be reported', async () => {
+    const waiting = createWorker('installed');
+    serviceWorker = createServiceWorker({
+      controller: createWorker(),
+      waiting,
+    });
+    offlineController = new OfflineController({ onUpdateReady }, serviceWorker);
+
+    await offlineController.register();
+    expect(onUpdateReady).toHaveBeenCalledTimes(1);
+
+    offlineController.applyUpdate();
+    expect(waiting.received).toEqual([{ type: 'skip-waiting' }]);
+  });
+
+  test('an update found while open should be reported once installed', async () => {
+    serviceWorker.controller = createWorker();
+    await offlineController.register();
+    expect(onUpdateReady).not.toHaveBeenCalled();
+
+    const installing = createWorker('installing');
+    serviceWorker.registration.installing = installing;
+    serviceWorker.registration.dispatchEvent(new Event('updatefound'));
+    installing.state = 'installed';
+    serviceWorker.registration.waiting = installing;
+    installing.dispatchEvent(new Event('statechange'));
+
+    expect(onUpdateReady).toHaveBeenCalledTimes(1);
+  });
+
+  test('the first install should not be reported as an update', async () => {
+    await offlineController.register(); // No controller yet
+    const installing = createWorker('installing');
+    serviceWorker.registration.installing = installing;
+    serviceWorker.registration.dispatchEvent(new Event('updatefound'));
+    installing.state = 'installed';
+    installing.dispatchEvent(new Event('statechange'));
+
+    expect(onUpdateReady).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,151 @@
+// src/OverlapLoop.js
+
+// Seam-free looping for recordings. findLoopRegion() works out which part of a buffer
+// should repeat (explicit loop points, or the audio between leading and trailing silence,
+// which also drops MP3 encoder padding). OverlapLoop plays that region for recordings
+// whose end does not match their start: two sources take turns and each repeat is
+// crossfaded into the tail of the previous one.
+
+const SILENCE_THRESHOLD = 0.001; // About -60 dBFS
+const MIN_LOOP_SECONDS = 0.5; // Shorter regions are a mistake in the metadata, use the whole buffer
+
+// Loop metadata comes from the sound's soundSources entry:
+//   loopStart / loopEnd (seconds), trimSilence (boolean), loopCrossfade (seconds).
+// Returns { start, end, crossfade } in seconds within the buffer.
+function findLoopRegion(
+  buffer,
+  { loopStart, loopEnd, trimSilence = false, loopCrossfade = 0 } = {}
+) {
+  const duration = buffer.duration;
+  let start = loopStart >= 0 && loopStart < duration ? loopStart : 0;
+  let end = loopEnd > 0 && loopEnd <= duration ? loopEnd : duration;
+
+  if (trimSilence && buffer.getChannelData) {
+    const rate = buffer.sampleRate;
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) =>
+      buffer.getChannelData(i)
+    );
+    const isSilent = (index) =>
+      channels.every((data) => Math.abs(data[index]) <= SILENCE_THRESHOLD);
+    let first = Math.floor(start * rate);
+    let last = Math.min(buffer.length, Math.ceil(end * rate)) - 1;
+    while (first < last && isSilent(first)) first++;
+    while (last > first && isSilent(last)) last--;
+    start = first / rate;
+    end = (last + 1) / rate;
+  }
+
+  if (end - start < MIN_LOOP_SECONDS) {
+    console.warn('OverlapLoop: Loop region too short, using the whole sound.');
+    start = 0;
+    end = duration;
+  }
+  // Each repeat must be longer than the overlap on both of its ends
+  const crossfade = Math.max(0, Math.min(loopCrossfade, (end - start) / 3));
+  return { start, end, crossfade };
+}
+
+// Seconds after which the region repeats: shortened by the overlap
+function getLoopPeriod({ start, end, crossfade }) {
+  return end - start - crossfade;
+}
+
+// Equal-power curves: the overlapping parts are different audio, so a linear
+// crossfade would dip in loudness halfway
+const CURVE_STEPS = 64;
+const fadeCurve = (fadeIn) =>
+  Float32Array.from({ length: CURVE_STEPS }, (_, i) => {
+    const t = i / (CURVE_STEPS - 1);
+    return fadeIn ? Math.sin((t * Math.PI) / 2) : Math.cos((t * Math.PI) / 2);
+  });
+
+// Behaves like a looping AudioBufferSourceNode (buffer, connect, disconnect, start, stop,
+// onended) so AudioController can treat both the same way.
+class OverlapLoop {
+  constructor(audioContext, buffer, region) {
+    this.audioContext = audioContext;
+    this.buffer = buffer;
+    this.region = region;
+    this.output = audioContext.createGain(); // Sums the voices
+    this.voices = new Set(); // Sources scheduled or playing
+    this.nextStartTime = 0; // Context time at which the next repeat starts
+    this.stopTime = null; // Set by stop(); no repeats are scheduled after it
+    this.onended = null;
+  }
+
+  connect(destination) {
+    this.output.connect(destination);
+  }
+
+  disconnect() {
+    this.output.disconnect();
+  }
+
+  // Plays from `offset` (within the region) at context time `when`, like start() on a source
+  start(when = 0, offset = this.region.start) {
+    const startTime = Math.max(when, this.audioContext.currentTime);
+    const { start, end, crossfade } = this.region;
+    const position = Math.min(Math.max(offset, start), end - crossfade);
+    // The first voice starts mid-region without a fade in; later ones cover the whole region
+    this._scheduleVoice(startTime, position, false);
+    this.nextStartTime = startTime + (end - crossfade - position);
+    this._scheduleVoice(this.nextStartTime, start, true);
+  }
+
+  stop(when = 0) {
+    this.stopTime = Math.max(when, this.audioContext.currentTime);
+    // A later stop() replaces the earlier one, so keep voices that end sooner as they are
+    this.voices.forEach((voice) =>
+      voice.source.stop(Math.min(voice.endTime, this.stopTime))
+    );
+  }
+
+  // Each voice plays from `position` to the region end, fading out over the overlap
+  _scheduleVoice(startTime, position, fadeIn) {
+    const { end, crossfade } = this.region;
+    const source = this.audioContext.createBufferSource();
+    const gain = this.audioContext.createGain();
+    source.buffer = this.buffer;
+    source.connect(gain);
+    gain.connect(this.output);
+
+    const endTime = startTime + (end - position);
+    if (crossfade > 0) {
+      // Curves may not overlap other automation, so the first voice just rests at 1
+      if (fadeIn) {
+        gain.gain.setValueCurveAtTime(fadeCurve(true), startTime, crossfade);
+      }
+      gain.gain.setValueCurveAtTime(
+        fadeCurve(false),
+        endTime - crossfade,
+        crossfade
+      );
+    }
+
+    const voice = { source, gain, endTime };
+    source.onended = () => this._handleVoiceEnded(voice);
+    source.start(startTime, position);
+    source.stop(
+      this.stopTime === null ? endTime : Math.min(endTime, this.stopTime)
+    );
+    this.voices.add(voice);
+  }
+
+  // Keeps one repeat scheduled ahead: when a voice ends, the next one is already
+  // playing, so the one after it is scheduled a whole period in advance
+  _handleVoiceEnded(voice) {
+    voice.source.disconnect();
+    voice.gain.disconnect();
+    this.voices.delete(voice);
+    const nextStartTime = this.nextStartTime + getLoopPeriod(this.region);
+    if (this.stopTime === null || nextStartTime < this.stopTime) {
+      this.nextStartTime = nextStartTime;
+      this._scheduleVoice(nextStartTime, this.region.start, true);
+    } else if (this.voices.size === 0 && this.onended) {
+      this.onended();
+    }
+  }
+}
+
+export default OverlapLoop;
+export { findLoopRegion, getLoopPeriod, SILENCE_THRESHOLD };
@@ -0,0 +1,162 @@
+// src/OverlapLoop.test.js
+import OverlapLoop, { findLoopRegion, getLoopPeriod } from './OverlapLoop';
+
+const SAMPLE_RATE = 1000;
+
+// Mono buffer of `seconds`, silent for `leading` and `trailing` seconds at either end
+const createBuffer = (seconds, leading = 0, trailing = 0) => {
+  const data = new Float32Array(seconds * SAMPLE_RATE);
+  data.fill(0.5, leading * SAMPLE_RATE, (seconds - trailing) * SAMPLE_RATE);
+  return {
+    duration: seconds,
+    length: data.length,
+    sampleRate: SAMPLE_RATE,
+    numberOfChannels: 1,
+    getChannelData: () => data,
+  };
+};
+
+const createMockContext = () => ({
+  currentTime: 0,
+  createGain: jest.fn(() => ({
+    connect: jest.fn(),
+    disconnect: jest.fn(),
+    gain: { value: 1, setValueCurveAtTime: jest.fn() },
+  })),
+  createBufferSource: jest.fn(() => ({
+    connect: jest.fn(),
+    disconnect: jest.fn(),
+    start: jest.fn(),
+    stop: jest.fn(),
+    buffer: null,
+    onended: null,
+  })),
+});
+
+describe('findLoopRegion', () => {
+  let originalConsoleWarn;
+
+  beforeEach(() => {
+    originalConsoleWarn = console.warn;
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    console.warn = originalConsoleWarn;
+  });
+
+  test('should loop over the whole buffer without metadata', () => {
+    expect(findLoopRegion(createBuffer(10, 1, 1))).toEqual({
+      start: 0,
+      end: 10,
+      crossfade: 0,
+    });
+  });
+
+  test('should use explicit loop points', () => {
+    expect(
+      findLoopRegion(createBuffer(10), { loopStart: 2, loopEnd: 8 })
+    ).toEqual({ start: 2, end: 8, crossfade: 0 });
+  });
+
+  test('should ignore loop points outside the buffer', () => {
+    expect(
+      findLoopRegion(createBuffer(10), { loopStart: -1, loopEnd: 12 })
+    ).toEqual({ start: 0, end: 10, crossfade: 0 });
+  });
+
+  test('should trim leading and trailing silence', () => {
+    expect(
+      findLoopRegion(createBuffer(10, 1, 2), { trimSilence: true })
+    ).toEqual({ start: 1, end: 8, crossfade: 0 });
+  });
+
+  test('should fall back to the whole buffer when the region is too short', () => {
+    expect(
+      findLoopRegion(createBuffer(10, 5, 5), { trimSilence: true })
+    ).toEqual({ start: 0, end: 10, crossfade: 0 });
+    expect(console.warn).toHaveBeenCalledWith(
+      'OverlapLoop: Loop region too short, using the whole sound.'
+    );
+  });
+
+  test('should limit the crossfade to a third of the region', () => {
+    expect(
+      findLoopRegion(createBuffer(6), { loopCrossfade: 1 }).crossfade
+    ).toBe(1);
+    expect(
+      findLoopRegion(createBuffer(6), { loopCrossfade: 5 }).crossfade
+    ).toBe(2);
+  });
+});
+
+describe('OverlapLoop', () => {
+  const region = { start: 1, end: 9, crossfade: 2 };
+  let audioContext;
+  let loop;
+
+  const voices = () =>
+    audioContext.createBufferSource.mock.results.map((result) => result.value);
+
+  beforeEach(() => {
+    audioContext = createMockContext();
+    loop = new OverlapLoop(audioContext, createBuffer(10), region);
+  });
+
+  test('getLoopPeriod should shorten the region by the overlap', () => {
+    expect(getLoopPeriod(region)).toBe(6);
+  });
+
+  test('start should schedule the next repeat to overlap the first one', () => {
+    loop.start(0, 3);
+
+    const [first, second] = voices();
+    expect(first.start).toHaveBeenCalledWith(0, 3);
+    expect(first.stop).toHaveBeenCalledWith(6);
+    expect(second.start).toHaveBeenCalledWith(4, 1); // Fades in as the first fades out
+    expect(second.stop).toHaveBeenCalledWith(12);
+
+    const [, firstGain, secondGain] = audioContext.createGain.mock.results.map(
+      (result) => result.value
+    );
+    expect(firstGain.gain.setValueCurveAtTime).toHaveBeenCalledTimes(1);
+    expect(firstGain.gain.setValueCurveAtTime).toHaveBeenCalledWith(
+      expect.any(Float32Array),
+      4,
+      2
+    );
+    expect(secondGain.gain.setValueCurveAtTime).toHaveBeenCalledWith(
+      expect.any(Float32Array),
+      4,
+      2
+    );
+  });
+
+  test('should keep one repeat scheduled ahead as voices end', () => {
+    loop.start(0, 1);
+    const [first] = voices();
+    first.onended();
+
+    const third = voices()[2];
+    expect(third.start).toHaveBeenCalledWith(12, 1);
+    expect(first.disconnect).toHaveBeenCalled();
+    expect(loop.voices.size).toBe(2);
+  });
+
+  test('stop should end every voice and then fire onended', () => {
+    loop.onended = jest.fn();
+    loop.start(0, 1);
+    audioContext.currentTime = 2;
+    loop.stop(3);
+
+    const [first, second] = voices();
+    expect(first.stop).toHaveBeenLastCalledWith(3);
+    expect(second.stop).toHaveBeenLastCalledWith(3);
+
+    first.onended();
+    expect(voices()).toHaveLength(2); // No repeat after the stop time
+    expect(loop.onended).not.toHaveBeenCalled();
+    second.onended();
+    expect(loop.onended).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,103 @@
+// src/PlaybackCoordinator.js
+
+const CHANNEL_NAME = 'ambientMood-playback';
+
+// Keeps audio playing in one tab at a time. The tab that starts playing claims
+// ownership over a BroadcastChannel; every other tab is asked to yield (pause).
+// Messages: { type: 'claim' | 'release' | 'query', tabId }
+class PlaybackCoordinator {
+  constructor(
+    { onYield, onOwnerChange } = {},
+    createChannel = (name) => new BroadcastChannel(name)
+  ) {
+    this.onYield = onYield; // Called when another tab starts playing while this one owns playback
+    this.onOwnerChange = onOwnerChange; // Called with true/false when playback in another tab starts/stops
+    this.tabId = `tab-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this.isOwner = false;
+    this.remoteOwner = null; // tabId of the tab playing elsewhere, if any
+    this.channel = null;
+
+    try {
+      this.channel = createChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this._handleMessage(event.data);
+      this._post('query'); // Learn whether another tab is already playing
+    } catch (error) {
+      console.warn(
+        'PlaybackCoordinator: BroadcastChannel unavailable, tabs will play independently.',
+        error
+      );
+    }
+  }
+
+  isAvailable() {
+    return this.channel !== null;
+  }
+
+  isPlayingElsewhere() {
+    return this.remoteOwner !== null;
+  }
+
+  // Call when this tab starts playing
+  claim() {
+    this.isOwner = true;
+    this._setRemoteOwner(null);
+    this._post('claim');
+  }
+
+  // Call when this tab stops playing
+  release() {
+    if (!this.isOwner) return;
+    this.isOwner = false;
+    this._post('release');
+  }
+
+  // Releases ownership and stops listening, e.g. when the page is hidden for good
+  close() {
+    this.release();
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+
+  _handleMessage(message) {
+    if (!message || message.tabId === this.tabId) return;
+    switch (message.type) {
+      case 'claim':
+        this._setRemoteOwner(message.tabId);
+        if (this.isOwner) {
+          this.isOwner = false;
+          console.log(
+            'PlaybackCoordinator: Another tab started playing, yielding.'
+          );
+          if (this.onYield) this.onYield();
+        }
+        break;
+      case 'release':
+        if (this.remoteOwner === message.tabId) this._setRemoteOwner(null);
+        break;
+      case 'query':
+        if (this.isOwner) this._post('claim'); // Tell the new tab who is playing
+        break;
+      default:
+        console.warn(`PlaybackCoordinator: Unknown message "${message.type}".`);
+    }
+  }
+
+  _setRemoteOwner(tabId) {
+    const wasPlayingElsewhere = this.isPlayingElsewhere();
+    this.remoteOwner = tabId;
+    if (
+      wasPlayingElsewhere !== this.isPlayingElsewhere() &&
+      this.onOwnerChange
+    ) {
+      this.onOwnerChange(this.isPlayingElsewhere());
+    }
+  }
+
+  _post(type) {
+    if (this.channel) this.channel.postMessage({ type, tabId: this.tabId });
+  }
+}
+
+export default PlaybackCoordinator;
@@ -0,0 +1,109 @@
+// src/PlaybackCoordinator.test.js
+import PlaybackCoordinator from './PlaybackCoordinator';
+
+// Delivers messages between fake channels like BroadcastChannel does: to every
+// other channel of the same name, never back to the sender
+const createChannelNetwork = () => {
+  const channels = [];
+  return (name) => {
+    const channel = {
+      name,
+      onmessage: null,
+      postMessage: jest.fn((data) =>
+        channels
+          .filter((other) => other !== channel && other.name === name)
+          .forEach((other) => other.onmessage && other.onmessage({ data }))
+      ),
+      close: jest.fn(() => channels.splice(channels.indexOf(channel), 1)),
+    };
+    channels.push(channel);
+    return channel;
+  };
+};
+
+describe('PlaybackCoordinator', () => {
+  let createChannel;
+  let originalConsoleLog;
+  let originalConsoleWarn;
+
+  const createTab = () => {
+    const callbacks = { onYield: jest.fn(), onOwnerChange: jest.fn() };
+    return {
+      ...callbacks,
+      coordinator: new PlaybackCoordinator(callbacks, createChannel),
+    };
+  };
+
+  beforeEach(() => {
+    originalConsoleLog = console.log;
+    originalConsoleWarn = console.warn;
+    console.log = jest.fn();
+    console.warn = jest.fn();
+    createChannel = createChannelNetwork();
+  });
+
+  afterEach(() => {
+    console.log = originalConsoleLog;
+    console.warn = originalConsoleWarn;
+  });
+
+  test('claiming playback should make the owning tab yield', () => {
+    const first = createTab();
+    const second = createTab();
+
+    first.coordinator.claim();
+    expect(second.onOwnerChange).toHaveBeenCalledWith(true);
+    expect(second.coordinator.isPlayingElsewhere()).toBe(true);
+
+    second.coordinator.claim();
+    expect(first.onYield).toHaveBeenCalledTimes(1);
+    expect(first.coordinator.isOwner).toBe(false);
+    expect(first.onOwnerChange).toHaveBeenCalledWith(true);
+    expect(second.coordinator.isPlayingElsewhere()).toBe(false);
+    expect(second.onYield).not.toHaveBeenCalled();
+  });
+
+  test('release should clear the indicator in other tabs', () => {
+    const first = createTab();
+    const second = createTab();
+
+    first.coordinator.claim();
+    first.coordinator.release();
+    expect(second.onOwnerChange).toHaveBeenLastCalledWith(false);
+
+    second.onOwnerChange.mockClear();
+    first.coordinator.release(); // Not the owner anymore: nothing is sent
+    expect(second.onOwnerChange).not.toHaveBeenCalled();
+  });
+
+  test('a new tab should learn that another one is playing', () => {
+    const first = createTab();
+    first.coordinator.claim();
+
+    const second = createTab();
+    expect(second.coordinator.isPlayingElsewhere()).toBe(true);
+    expect(first.onYield).not.toHaveBeenCalled();
+  });
+
+  test('close should release ownership and stop listening', () => {
+    const first = createTab();
+    const second = createTab();
+    first.coordinator.claim();
+
+    first.coordinator.close();
+    expect(second.coordinator.isPlayingElsewhere()).toBe(false);
+    expect(first.coordinator.isAvailable()).toBe(false);
+
+    second.coordinator.claim(); // Closed tabs no longer react
+    expect(first.onYield).not.toHaveBeenCalled();
+  });
+
+  test('should work without BroadcastChannel', () => {
+    const coordinator = new PlaybackCoordinator({}, () => {
+      throw new ReferenceError('BroadcastChannel is not defined');
+    });
+    expect(coordinator.isAvailable()).toBe(false);
+    expect(() => coordinator.claim()).not.toThrow();
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,254 @@
+// src/PresetController.js
+
+const STORAGE_KEY = 'ambientMoodPresets'; // Kept apart from the settings so they can evolve independently
+const MAX_PRESET_NAME_LENGTH = 40;
+
+// Named snapshots of a whole mix: sound, volume, layers, tone and background behaviour.
+// type Preset = { id: string, name: string, createdAt: string, updatedAt: string,
+//                 audio: { sound: string | null, volume: number, layers: { name, volume }[],
+//                          tone: { carrier, beat, mode, level, solo } | null },
+//                 background: { speed: number, reducedMotion: boolean } };
+// Checks the shape of a preset read from outside, e.g. an imported settings file
+function isValidPreset(preset) {
+  return Boolean(
+    preset &&
+    typeof preset.id === 'string' &&
+    typeof preset.name === 'string' &&
+    preset.name.trim() &&
+    preset.audio &&
+    typeof preset.audio.volume === 'number' &&
+    Array.isArray(preset.audio.layers) &&
+    preset.background &&
+    typeof preset.background.speed === 'number'
+  );
+}
+
+class PresetController {
+  constructor(audioController, backgroundController, settingsController) {
+    this.audioController = audioController;
+    this.backgroundController = backgroundController; // May be undefined if the element is missing
+    this.settingsController = settingsController;
+    this.presets = this.loadPresets();
+  }
+
+  loadPresets() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        if (Array.isArray(parsed)) return parsed;
+      }
+    } catch (error) {
+      console.error(
+        'PresetController: Error loading presets from localStorage:',
+        error
+      );
+    }
+    return [];
+  }
+
+  savePresets() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.presets));
+    } catch (error) {
+      console.error(
+        'PresetController: Error saving presets to localStorage:',
+        error
+      );
+    }
+  }
+
+  getAll() {
+    return this.presets.map((preset) => ({ ...preset }));
+  }
+
+  get(id) {
+    return this.presets.find((preset) => preset.id === id) || null;
+  }
+
+  // Saves the current mix under a new name. Throws with a user-facing message on bad names.
+  save(name) {
+    const presetName = this._validateName(name);
+    const now = new Date().toISOString();
+    const preset = {
+      id: `preset-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: presetName,
+      createdAt: now,
+      updatedAt: now,
+      ...this._snapshot(),
+    };
+    this.presets.push(preset);
+    this.savePresets();
+    console.log(`PresetController: Saved preset "${presetName}".`);
+    return preset;
+  }
+
+  // Replaces a preset's mix with the current one, keeping its name
+  overwrite(id) {
+    const preset = this._require(id);
+    Object.assign(preset, this._snapshot(), {
+      updatedAt: new Date().toISOString(),
+    });
+    this.savePresets();
+    console.log(`PresetController: Overwrote preset "${preset.name}".`);
+    return preset;
+  }
+
+  rename(id, name) {
+    const preset = this._require(id);
+    preset.name = this._validateName(name, id);
+    preset.updatedAt = new Date().toISOString();
+    this.savePresets();
+    return preset;
+  }
+
+  delete(id) {
+    const preset = this._require(id);
+    this.presets = this.presets.filter((p) => p !== preset);
+    this.savePresets();
+    console.log(`PresetController: Deleted preset "${preset.name}".`);
+  }
+
+  // Restores a preset and mirrors it into the settings. The volume and tone are only set
+  // in the settings, whose subscribers (see main.js) apply them to the audio. Sounds that
+  // no longer exist (e.g. a deleted import) are skipped. Resolves to the preset, or null
+  // if unknown.
+  async apply(id) {
+    const preset = this.get(id);
+    if (!preset) {
+      console.warn(`PresetController: No preset with id "${id}".`);
+      return null;
+    }
+    const { audio, background } = preset;
+    const knownSounds = this.audioController.getSoundNames();
+
+    this.settingsController.set('volume', audio.volume);
+    await this._applyLayers(audio.layers, knownSounds);
+
+    if (audio.tone) {
+      this.settingsController.setToneOptions({ ...audio.tone, enabled: true });
+    } else {
+      this.settingsController.set('toneEnabled', false);
+    }
+
+    if (audio.sound && knownSounds.includes(audio.sound)) {
+      this.settingsController.set('selectedSound', audio.sound);
+      const { currentSound, isPlaying } = this.audioController.getState();
+      // play() would restart a sound that is already playing from the beginning
+      if (currentSound !== audio.sound || !isPlaying) {
+        await this.audioController.play(audio.sound); // Crossfades from what is playing
+      }
+    } else if (audio.sound) {
+      console.warn(
+        `PresetController: Skipping missing sound "${audio.sound}".`
+      );
+    }
+
+    this.settingsController.set('reducedMotion', background.reducedMotion);
+    if (this.backgroundController) {
+      this.backgroundController.setSpeed(background.speed);
+      if (
+        this.backgroundController.reducedMotion !== background.reducedMotion
+      ) {
+        this.backgroundController.setReducedMotion(background.reducedMotion);
+      }
+    }
+    console.log(`PresetController: Applied preset "${preset.name}".`);
+    return preset;
+  }
+
+  // Makes the layers match the snapshot, leaving layers that already play at the right
+  // volume alone so recalling the current mix does not interrupt them
+  async _applyLayers(layers, knownSounds) {
+    const wanted = new Map(
+      layers
+        .filter((layer) => {
+          if (knownSounds.includes(layer.name)) return true;
+          console.warn(
+            `PresetController: Skipping missing layer "${layer.name}".`
+          );
+          return false;
+        })
+        .map((layer) => [layer.name, layer.volume])
+    );
+    const current = new Map(
+      this.audioController
+        .getLayers()
+        .map((layer) => [layer.name, layer.volume])
+    );
+
+    current.forEach((volume, name) => {
+      if (!wanted.has(name)) this.audioController.removeLayer(name);
+    });
+    for (const [name, volume] of wanted) {
+      if (!current.has(name)) {
+        await this.audioController.addLayer(name, volume);
+      } else if (current.get(name) !== volume) {
+        this.audioController.setLayerVolume(name, volume);
+      }
+    }
+  }
+
+  // Replaces every preset, e.g. from an imported settings file. Malformed entries and
+  // repeated names are skipped. Returns the number of presets kept.
+  replaceAll(presets) {
+    const names = new Set();
+    this.presets = presets.filter((preset) => {
+      if (!isValidPreset(preset) || names.has(preset.name)) {
+        console.warn('PresetController: Skipping invalid preset:', preset);
+        return false;
+      }
+      names.add(preset.name);
+      return true;
+    });
+    this.savePresets();
+    return this.presets.length;
+  }
+
+  _snapshot() {
+    const audioState = this.audioController.getState();
+    const backgroundState = this.backgroundController
+      ? this.backgroundController.getState()
+      : { speed: 1, reducedMotion: this.settingsController.isReducedMotion() };
+    return {
+      audio: {
+        // Before anything has played, the selection only lives in the settings
+        sound:
+          audioState.currentSound || this.settingsController.getSelectedSound(),
+        volume: audioState.volume,
+        layers: audioState.layers,
+        tone: audioState.tone,
+      },
+      background: {
+        speed: backgroundState.speed,
+        reducedMotion: backgroundState.reducedMotion,
+      },
+    };
+  }
+
+  _require(id) {
+    const preset = this.get(id);
+    if (!preset) throw new Error('That preset no longer exists.');
+    return preset;
+  }
+
+  // Returns the trimmed name; `ignoreId` lets a preset keep its own name on rename
+  _validateName(name, ignoreId = null) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) throw new Error('Preset names cannot be empty.');
+    if (trimmed.length > MAX_PRESET_NAME_LENGTH) {
+      throw new Error(
+        `Preset names can be at most ${MAX_PRESET_NAME_LENGTH} characters.`
+      );
+    }
+    const taken = this.presets.some(
+      (preset) => preset.id !== ignoreId && preset.name === trimmed
+    );
+    if (taken) {
+      throw new Error(`A preset named "${trimmed}" already exists.`);
+    }
+    return trimmed;
+  }
+}
+
+export default PresetController;
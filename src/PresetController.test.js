@@ -0,0 +1,261 @@
+// src/PresetController.test.js
+import PresetController from './PresetController';
+import SettingsController from './SettingsController';
+
+const STORAGE_KEY = 'ambientMoodPresets';
+
+describe('PresetController', () => {
+  let presetController;
+  let mockAudioController;
+  let mockBackgroundController;
+  let settingsController;
+  let originalConsoleWarn;
+  let originalConsoleError;
+
+  const alphaTone = {
+    carrier: 200,
+    beat: 10,
+    mode: 'binaural',
+    level: 0.3,
+    solo: false,
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    originalConsoleWarn = console.warn;
+    originalConsoleError = console.error;
+    console.warn = jest.fn();
+    console.error = jest.fn();
+
+    mockAudioController = {
+      layers: [{ name: 'Forest', volume: 0.4 }],
+      getState: jest.fn(() => ({
+        isPlaying: true,
+        currentSound: 'Rain',
+        position: 12,
+        volume: 0.6,
+        isMuted: false,
+        isLoading: false,
+        layers: mockAudioController.layers,
+        tone: alphaTone,
+      })),
+      getSoundNames: jest.fn(() => ['Rain', 'Forest', 'Ocean Waves']),
+      getLayers: jest.fn(() => mockAudioController.layers),
+      setVolume: jest.fn(),
+      addLayer: jest.fn(() => Promise.resolve(true)),
+      removeLayer: jest.fn(),
+      setLayerVolume: jest.fn(),
+      setTone: jest.fn(() => Promise.resolve(true)),
+      clearTone: jest.fn(),
+      play: jest.fn(() => Promise.resolve()),
+    };
+    mockBackgroundController = {
+      reducedMotion: false,
+      getState: jest.fn(() => ({
+        speed: 2,
+        reducedMotion: mockBackgroundController.reducedMotion,
+        paletteGroup: null,
+      })),
+      setSpeed: jest.fn(),
+      setReducedMotion: jest.fn(),
+    };
+    settingsController = new SettingsController();
+    presetController = new PresetController(
+      mockAudioController,
+      mockBackgroundController,
+      settingsController
+    );
+  });
+
+  afterEach(() => {
+    console.warn = originalConsoleWarn;
+    console.error = originalConsoleError;
+  });
+
+  test('save should snapshot the mix under its own storage key', () => {
+    const preset = presetController.save('  Deep Work ');
+
+    expect(preset.name).toBe('Deep Work');
+    expect(preset.audio).toEqual({
+      sound: 'Rain',
+      volume: 0.6,
+      layers: [{ name: 'Forest', volume: 0.4 }],
+      tone: alphaTone,
+    });
+    expect(preset.background).toEqual({ speed: 2, reducedMotion: false });
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toEqual([preset]);
+    expect(localStorage.getItem('ambientMoodSettings')).toBeNull(); // Settings untouched
+  });
+
+  test('save should fall back to the selected sound before anything played', () => {
+    mockAudioController.getState.mockReturnValue({
+      ...mockAudioController.getState(),
+      currentSound: null,
+    });
+    settingsController.set('selectedSound', 'Ocean Waves');
+    expect(presetController.save('Waves').audio.sound).toBe('Ocean Waves');
+  });
+
+  test('save should reject empty and duplicate names', () => {
+    presetController.save('Sleep');
+    expect(() => presetController.save('  ')).toThrow(
+      'Preset names cannot be empty.'
+    );
+    expect(() => presetController.save('Sleep')).toThrow(
+      'A preset named "Sleep" already exists.'
+    );
+    expect(presetController.getAll()).toHaveLength(1);
+  });
+
+  test('presets should survive a reload', () => {
+    const { id } = presetController.save('Sleep');
+    const reloaded = new PresetController(
+      mockAudioController,
+      mockBackgroundController,
+      settingsController
+    );
+    expect(reloaded.get(id).name).toBe('Sleep');
+  });
+
+  test('loadPresets should ignore corrupt storage', () => {
+    localStorage.setItem(STORAGE_KEY, '{not json');
+    const reloaded = new PresetController(
+      mockAudioController,
+      mockBackgroundController,
+      settingsController
+    );
+    expect(reloaded.getAll()).toEqual([]);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  test('rename, overwrite and delete should update the stored list', () => {
+    const { id } = presetController.save('Sleep');
+    presetController.save('Focus');
+
+    presetController.rename(id, 'Night');
+    expect(() => presetController.rename(id, 'Focus')).toThrow();
+    expect(presetController.rename(id, 'Night').name).toBe('Night'); // Keeping its own name is fine
+
+    mockAudioController.layers = [];
+    presetController.overwrite(id);
+    expect(presetController.get(id).audio.layers).toEqual([]);
+    expect(presetController.get(id).name).toBe('Night');
+
+    presetController.delete(id);
+    expect(presetController.getAll().map((p) => p.name)).toEqual(['Focus']);
+    expect(() => presetController.delete(id)).toThrow(
+      'That preset no longer exists.'
+    );
+  });
+
+  test('apply should restore the mix and mirror it into the settings', async () => {
+    const { id } = presetController.save('Deep Work');
+    mockBackgroundController.reducedMotion = true;
+    mockAudioController.getState.mockReturnValue({
+      ...mockAudioController.getState(),
+      currentSound: 'Ocean Waves',
+    });
+
+    settingsController.set('volume', 0.2);
+    const onChange = jest.fn();
+    settingsController.subscribe('*', onChange);
+
+    await presetController.apply(id);
+
+    // Volume and tone reach the audio through the settings subscriptions in main.js
+    expect(mockAudioController.setVolume).not.toHaveBeenCalled();
+    expect(mockAudioController.setTone).not.toHaveBeenCalled();
+    expect(onChange).toHaveBeenCalledWith(
+      expect.arrayContaining([
+        expect.objectContaining({ key: 'toneEnabled', to: true }),
+      ])
+    );
+    // Forest already plays at the preset's volume
+    expect(mockAudioController.removeLayer).not.toHaveBeenCalled();
+    expect(mockAudioController.addLayer).not.toHaveBeenCalled();
+    expect(mockAudioController.play).toHaveBeenCalledWith('Rain');
+    expect(mockBackgroundController.setSpeed).toHaveBeenCalledWith(2);
+    expect(mockBackgroundController.setReducedMotion).toHaveBeenCalledWith(
+      false
+    );
+    expect(settingsController.get('volume')).toBe(0.6);
+    expect(settingsController.get('toneEnabled')).toBe(true);
+    expect(settingsController.isReducedMotion()).toBe(false);
+  });
+
+  test('apply should clear the tone and skip sounds that no longer exist', async () => {
+    mockAudioController.getState.mockReturnValue({
+      ...mockAudioController.getState(),
+      currentSound: 'Cafe',
+      layers: [{ name: 'Office Hum', volume: 0.5 }],
+      tone: null,
+    });
+    const { id } = presetController.save('Imported');
+    settingsController.set('toneEnabled', true);
+
+    await presetController.apply(id);
+
+    expect(settingsController.get('toneEnabled')).toBe(false);
+    expect(mockAudioController.addLayer).not.toHaveBeenCalled();
+    expect(mockAudioController.play).not.toHaveBeenCalled();
+    expect(settingsController.getSelectedSound()).toBe('Rain');
+  });
+
+  test('apply should only change the sound and layers that differ from the preset', async () => {
+    const { id } = presetController.save('Deep Work'); // Rain, with Forest at 0.4
+
+    mockAudioController.layers = [
+      { name: 'Forest', volume: 0.7 },
+      { name: 'Ocean Waves', volume: 0.2 },
+    ];
+    await presetController.apply(id);
+    expect(mockAudioController.removeLayer).toHaveBeenCalledTimes(1);
+    expect(mockAudioController.removeLayer).toHaveBeenCalledWith('Ocean Waves');
+    expect(mockAudioController.setLayerVolume).toHaveBeenCalledWith(
+      'Forest',
+      0.4
+    );
+    expect(mockAudioController.addLayer).not.toHaveBeenCalled();
+    expect(mockAudioController.play).not.toHaveBeenCalled(); // Rain plays already
+
+    mockAudioController.layers = [];
+    mockAudioController.getState.mockReturnValue({
+      ...mockAudioController.getState(),
+      currentSound: 'Ocean Waves',
+    });
+    await presetController.apply(id);
+    expect(mockAudioController.addLayer).toHaveBeenCalledWith('Forest', 0.4);
+    expect(mockAudioController.play).toHaveBeenCalledWith('Rain');
+
+    mockAudioController.play.mockClear();
+    mockAudioController.getState.mockReturnValue({
+      ...mockAudioController.getState(),
+      currentSound: 'Rain',
+      isPlaying: false,
+    });
+    await presetController.apply(id);
+    expect(mockAudioController.play).toHaveBeenCalledWith('Rain'); // Paused
+  });
+
+  test('replaceAll should keep only well-formed presets with unique names', () => {
+    const sleep = presetController.save('Sleep');
+    presetController.save('Focus');
+
+    const kept = presetController.replaceAll([
+      { ...sleep, id: 'preset-a' },
+      { ...sleep, id: 'preset-b' }, // Same name
+      { id: 'preset-c', name: 'Broken', audio: {} },
+      null,
+    ]);
+
+    expect(kept).toBe(1);
+    expect(presetController.getAll().map((p) => p.id)).toEqual(['preset-a']);
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toHaveLength(1);
+    expect(console.warn).toHaveBeenCalledTimes(3);
+  });
+
+  test('apply should resolve to null for unknown presets', async () => {
+    expect(await presetController.apply('missing')).toBeNull();
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
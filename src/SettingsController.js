@@ -1,4 +1,5 @@
 // src/SettingsController.js
+import { TONE_MODES } from './ToneGenerator.js';
 
 const DEFAULTS = {
   soundEnabled: true,
@@ -6,15 +7,77 @@ const DEFAULTS = {
   volume: 0.75, // Default volume (0 to 1)
   visualEnabled: true, // If background visuals can be turned off entirely
   reducedMotion: false, // For background animations
+  crossfadeDuration: 2, // Seconds to crossfade when switching sounds (0 = hard cut)
+  normalizeLoudness: true, // Level-match sounds by their measured loudness
+  dataSaver: false, // Only download sounds when they are played, no background preload
+  soundMemoryMB: null, // Memory for decoded sounds (null = chosen from the device's memory)
+  sleepTimerMinutes: 30, // Last-used sleep timer duration
+  focusWorkMinutes: 25, // Focus-session work interval
+  focusBreakMinutes: 5, // Focus-session break interval
+  focusBreakSound: null, // Sound to switch to during breaks (null = keep the current one)
+  focusBreakPalette: true, // Switch to warmer background colors during breaks
+  toneEnabled: false, // Binaural / isochronic tone under the ambient sound
+  toneMode: 'binaural', // 'binaural' (headphones) or 'isochronic' (speakers)
+  toneCarrier: 200, // Hz, defaults match the alpha preset
+  toneBeat: 10, // Hz
+  toneVolume: 0.3, // Level of the tone relative to the master volume (0 to 1)
+  toneSolo: false, // Play the tone alone, silencing the ambient sound
   lastUsed: null,
   sessionCount: 0,
+  focusSessionCount: 0, // Completed focus-session work intervals
 };
 
 const STORAGE_KEY = 'ambientMoodSettings';
+// Bump when stored settings need converting, and add the step to MIGRATIONS.
+// Stored as { version, settings }; version 1 was the bare settings object.
+const SETTINGS_VERSION = 2;
+const MAX_CROSSFADE_DURATION = 10; // Seconds
+const MAX_SLEEP_TIMER_MINUTES = 12 * 60;
+const MAX_FOCUS_INTERVAL_MINUTES = 4 * 60;
+const TONE_CARRIER_RANGE = [40, 1000]; // Hz; binaural beats fade out above ~1 kHz
+const TONE_BEAT_RANGE = [0.5, 40]; // Hz, from deep delta up to gamma
+const SOUND_MEMORY_RANGE = [32, 2048]; // MB; below 32 not even one long recording fits
+
+const EXPORT_FORMAT = 'ambient-mood-settings'; // Identifies exported settings files
+
+// MIGRATIONS[n] turns version n settings into version n + 1. Steps only handle renames
+// and reshaping; values are validated per key after the last step.
+const MIGRATIONS = {
+  // v1 -> v2: introduces the versioned wrapper. The keys carry over unchanged and
+  // ones that are no longer defined are dropped by the validation that follows.
+  1: (settings) => ({ ...settings }),
+};
+
+// Runs every step from `fromVersion` up to SETTINGS_VERSION
+function migrateSettings(settings, fromVersion, migrations = MIGRATIONS) {
+  let migrated = settings;
+  for (let version = fromVersion; version < SETTINGS_VERSION; version++) {
+    if (!migrations[version]) {
+      throw new Error(`No settings migration from version ${version}.`);
+    }
+    migrated = migrations[version](migrated);
+  }
+  return migrated;
+}
+
+const BOOLEAN_KEYS = [
+  'soundEnabled',
+  'visualEnabled',
+  'reducedMotion',
+  'normalizeLoudness',
+  'dataSaver',
+  'focusBreakPalette',
+  'toneEnabled',
+  'toneSolo',
+];
+const COUNT_KEYS = ['sessionCount', 'focusSessionCount'];
 
 class SettingsController {
-  constructor() {
+  constructor(store = null) {
     this.settings = this.loadSettings();
+    this.subscribers = new Map(); // Setting key (or '*') -> Set of handlers
+    this.store = store; // Optional AppStore that a snapshot of the settings is published to
+    if (this.store) this.store.setState({ settings: this.getAll() });
     // Ensure default sound is one of the available ones if possible
     // This might require access to soundSources from AudioController,
     // for now, 'Rain' is a placeholder.
@@ -24,9 +87,9 @@ class SettingsController {
     try {
       const storedSettings = localStorage.getItem(STORAGE_KEY);
       if (storedSettings) {
-        const parsed = JSON.parse(storedSettings);
-        // Merge with defaults to ensure all keys are present if new settings are added
-        return { ...DEFAULTS, ...parsed };
+        const { settings, version } = this._parseStored(storedSettings);
+        if (version < SETTINGS_VERSION) this._write(settings);
+        return settings;
       }
     } catch (error) {
       console.error('SettingsController: Error loading settings from localStorage:', error);
@@ -35,9 +98,100 @@ class SettingsController {
     return { ...DEFAULTS };
   }
 
+  // Reads the stored JSON into validated settings. Returns { settings, version }.
+  _parseStored(text) {
+    const parsed = JSON.parse(text);
+    const isWrapped =
+      parsed && Number.isInteger(parsed.version) && 'settings' in parsed;
+    const version = isWrapped ? parsed.version : 1;
+    let stored = isWrapped ? parsed.settings : parsed;
+    if (version < SETTINGS_VERSION) {
+      stored = migrateSettings(stored, version);
+      console.log(
+        `SettingsController: Migrated settings from version ${version} to ${SETTINGS_VERSION}.`
+      );
+    } else if (version > SETTINGS_VERSION) {
+      // Written by a newer build (maybe in another tab); keep whatever still validates
+      console.warn(
+        `SettingsController: Settings version ${version} is newer than ${SETTINGS_VERSION}.`
+      );
+    }
+    return { settings: this._sanitize(stored), version };
+  }
+
+  // Other tabs write the same storage key; the `storage` event only fires in the tabs
+  // that did not make the change. Their settings are adopted and announced to the
+  // subscribers like local changes. Returns a function that stops listening.
+  listenForExternalChanges() {
+    const handleStorage = (event) => {
+      if (event.key !== STORAGE_KEY || !event.newValue) return;
+      let settings;
+      try {
+        ({ settings } = this._parseStored(event.newValue));
+      } catch (error) {
+        console.error(
+          'SettingsController: Ignoring unreadable settings from another tab:',
+          error
+        );
+        return;
+      }
+      const changes = this.diff(settings);
+      this.settings = settings; // Not saved again, the other tab already did
+      this._emit(changes);
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }
+
+  // Keeps every stored value that passes validate() and falls back to the default
+  // for the rest, one key at a time. Keys that are no longer defined are dropped.
+  _sanitize(stored) {
+    const source = stored && typeof stored === 'object' ? stored : {};
+    const settings = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach((key) => {
+      if (!(key in source)) return; // Added since the settings were saved
+      const error = this.validate(key, source[key]);
+      if (error) {
+        console.warn(`SettingsController: ${error} Using the default.`);
+      } else {
+        settings[key] = source[key];
+      }
+    });
+    return settings;
+  }
+
+  // Resets sound settings naming sounds that no longer exist (e.g. a deleted import).
+  // Sounds are only known once imports are read, so this runs after loading.
+  dropUnknownSounds(soundNames) {
+    const fallbacks = {};
+    ['selectedSound', 'focusBreakSound'].forEach((key) => {
+      const value = this.settings[key];
+      if (value !== null && !soundNames.includes(value)) {
+        console.warn(
+          `SettingsController: Unknown ${key} "${value}". Using the default.`
+        );
+        const fallback = DEFAULTS[key];
+        fallbacks[key] =
+          fallback === null || soundNames.includes(fallback)
+            ? fallback
+            : soundNames[0] || null;
+      }
+    });
+    if (Object.keys(fallbacks).length === 0) return false;
+    this.update(fallbacks);
+    return true;
+  }
+
   saveSettings() {
+    this._write(this.settings);
+  }
+
+  _write(settings) {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+      localStorage.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ version: SETTINGS_VERSION, settings })
+      );
     } catch (error) {
       console.error('SettingsController: Error saving settings to localStorage:', error);
     }
@@ -47,28 +201,249 @@ class SettingsController {
     return this.settings[key];
   }
 
-  set(key, value) {
-    if (key === 'volume' && (typeof value !== 'number' || value < 0 || value > 1)) {
-      console.warn(`SettingsController: Invalid volume value "${value}". Must be between 0 and 1.`);
-      return;
+  // Returns why `value` is not acceptable for `key`, or null if it is
+  validate(key, value) {
+    if (BOOLEAN_KEYS.includes(key) && typeof value !== 'boolean') {
+      return `Invalid ${key} value "${value}". Must be true or false.`;
+    }
+    if (COUNT_KEYS.includes(key) && !(Number.isInteger(value) && value >= 0)) {
+      return `Invalid ${key} value "${value}". Must be a whole number of at least 0.`;
+    }
+    if (
+      key === 'lastUsed' &&
+      value !== null &&
+      (typeof value !== 'string' || Number.isNaN(Date.parse(value)))
+    ) {
+      return `Invalid lastUsed value "${value}". Must be a date.`;
+    }
+    if (
+      key === 'volume' &&
+      (typeof value !== 'number' || !(value >= 0 && value <= 1))
+    ) {
+      return `Invalid volume value "${value}". Must be between 0 and 1.`;
     }
     if (key === 'selectedSound' && (!value || typeof value !== 'string')) {
-      console.warn(`SettingsController: Invalid selectedSound value "${value}".`);
-      return;
+      return `Invalid selectedSound value "${value}".`;
+    }
+    if (
+      key === 'crossfadeDuration' &&
+      (typeof value !== 'number' || value < 0 || value > MAX_CROSSFADE_DURATION)
+    ) {
+      return `Invalid crossfadeDuration value "${value}". Must be between 0 and ${MAX_CROSSFADE_DURATION} seconds.`;
+    }
+    if (
+      key === 'sleepTimerMinutes' &&
+      (typeof value !== 'number' ||
+        !(value > 0) ||
+        value > MAX_SLEEP_TIMER_MINUTES)
+    ) {
+      return `Invalid sleepTimerMinutes value "${value}". Must be more than 0 and at most ${MAX_SLEEP_TIMER_MINUTES} minutes.`;
+    }
+    if (
+      (key === 'focusWorkMinutes' || key === 'focusBreakMinutes') &&
+      (typeof value !== 'number' ||
+        !(value > 0) ||
+        value > MAX_FOCUS_INTERVAL_MINUTES)
+    ) {
+      return `Invalid ${key} value "${value}". Must be more than 0 and at most ${MAX_FOCUS_INTERVAL_MINUTES} minutes.`;
     }
+    if (
+      key === 'focusBreakSound' &&
+      value !== null &&
+      (!value || typeof value !== 'string')
+    ) {
+      return `Invalid focusBreakSound value "${value}".`;
+    }
+    if (key === 'toneMode' && !TONE_MODES.includes(value)) {
+      return `Invalid toneMode value "${value}". Must be one of ${TONE_MODES.join(', ')}.`;
+    }
+    if (
+      key === 'toneCarrier' &&
+      (typeof value !== 'number' ||
+        !(value >= TONE_CARRIER_RANGE[0] && value <= TONE_CARRIER_RANGE[1]))
+    ) {
+      return `Invalid toneCarrier value "${value}". Must be between ${TONE_CARRIER_RANGE[0]} and ${TONE_CARRIER_RANGE[1]} Hz.`;
+    }
+    if (
+      key === 'toneBeat' &&
+      (typeof value !== 'number' ||
+        !(value >= TONE_BEAT_RANGE[0] && value <= TONE_BEAT_RANGE[1]))
+    ) {
+      return `Invalid toneBeat value "${value}". Must be between ${TONE_BEAT_RANGE[0]} and ${TONE_BEAT_RANGE[1]} Hz.`;
+    }
+    if (
+      key === 'toneVolume' &&
+      (typeof value !== 'number' || value < 0 || value > 1)
+    ) {
+      return `Invalid toneVolume value "${value}". Must be between 0 and 1.`;
+    }
+    if (
+      key === 'soundMemoryMB' &&
+      value !== null &&
+      !(
+        Number.isInteger(value) &&
+        value >= SOUND_MEMORY_RANGE[0] &&
+        value <= SOUND_MEMORY_RANGE[1]
+      )
+    ) {
+      return `Invalid soundMemoryMB value "${value}". Must be a whole number between ${SOUND_MEMORY_RANGE[0]} and ${SOUND_MEMORY_RANGE[1]} MB.`;
+    }
+    return null;
+  }
+
+  set(key, value) {
+    this.update({ [key]: value });
+  }
+
+  // Sets several settings at once: saves once and notifies subscribers once.
+  // Invalid values are rejected per key. Returns the changes as [{ key, from, to }].
+  update(values) {
+    const changes = [];
+    let isValid = false;
+    Object.entries(values).forEach(([key, value]) => {
+      const error = this.validate(key, value);
+      if (error) {
+        console.warn(`SettingsController: ${error}`);
+        return;
+      }
+      if (!(key in this.settings)) {
+        console.warn(
+          `SettingsController: Attempted to set unknown setting "${key}".`
+        );
+        return;
+      }
+      isValid = true;
+      if (this.settings[key] !== value) {
+        changes.push({ key, from: this.settings[key], to: value });
+        this.settings[key] = value;
+      }
+    });
+    if (isValid) this.saveSettings();
+    this._emit(changes);
+    return changes;
+  }
 
-    if (key in this.settings) {
-      this.settings[key] = value;
-      this.saveSettings();
-    } else {
-      console.warn(`SettingsController: Attempted to set unknown setting "${key}".`);
+  // --- Change notifications ---
+  // handler(value, previousValue) runs after `key` changed. Subscribing to '*' instead
+  // gets handler(changes) once per update with every change as [{ key, from, to }].
+  // Returns a function that unsubscribes.
+  subscribe(key, handler) {
+    if (key !== '*' && !(key in DEFAULTS)) {
+      console.warn(
+        `SettingsController: Cannot subscribe to unknown setting "${key}".`
+      );
+      return () => {};
     }
+    if (!this.subscribers.has(key)) this.subscribers.set(key, new Set());
+    this.subscribers.get(key).add(handler);
+    return () => this.unsubscribe(key, handler);
+  }
+
+  unsubscribe(key, handler) {
+    const handlers = this.subscribers.get(key);
+    if (handlers) handlers.delete(handler);
+  }
+
+  _emit(changes) {
+    if (changes.length === 0) return;
+    if (this.store) this.store.setState({ settings: this.getAll() });
+    const notify = (key, ...args) => {
+      // Copied so handlers can unsubscribe while being notified
+      Array.from(this.subscribers.get(key) || []).forEach((handler) => {
+        try {
+          handler(...args);
+        } catch (error) {
+          console.error(
+            `SettingsController: Error in "${key}" subscriber:`,
+            error
+          );
+        }
+      });
+    };
+    changes.forEach(({ key, from, to }) => notify(key, to, from));
+    notify('*', changes);
   }
 
   getAll() {
     return { ...this.settings };
   }
 
+  // Overwrites every setting, e.g. from an imported file. Invalid values fall back
+  // to their defaults the same way they do on load.
+  replaceAll(settings) {
+    const sanitized = this._sanitize(settings);
+    const changes = this.diff(sanitized);
+    this.settings = sanitized;
+    this.saveSettings();
+    this._emit(changes);
+  }
+
+  // Lists the settings `settings` would change as [{ key, from, to }]
+  diff(settings) {
+    return Object.keys(DEFAULTS)
+      .filter(
+        (key) =>
+          key in settings &&
+          JSON.stringify(settings[key]) !== JSON.stringify(this.settings[key])
+      )
+      .map((key) => ({ key, from: this.settings[key], to: settings[key] }));
+  }
+
+  // --- Export / import ---
+  // A versioned document holding the settings plus whatever the caller adds, i.e.
+  // the saved presets and the metadata of imported sounds (their audio is not included).
+  createExport({ presets = [], customSounds = [] } = {}) {
+    return {
+      format: EXPORT_FORMAT,
+      version: SETTINGS_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: this.getAll(),
+      presets,
+      customSounds,
+    };
+  }
+
+  // Reads a file made by createExport(), migrating older versions. Throws with a
+  // user-facing message if the file is unusable. Returns { settings, presets,
+  // customSounds, ignored } where `ignored` names the settings that failed validation.
+  parseExport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('That file is not valid JSON.');
+    }
+    if (!data || data.format !== EXPORT_FORMAT) {
+      throw new Error('That file is not an Ambient Mood settings export.');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      throw new Error('That settings file has no valid version.');
+    }
+    if (data.version > SETTINGS_VERSION) {
+      throw new Error(
+        'That settings file was made by a newer version of Ambient Mood.'
+      );
+    }
+    if (!data.settings || typeof data.settings !== 'object') {
+      throw new Error('That settings file contains no settings.');
+    }
+
+    const migrated = migrateSettings(data.settings, data.version);
+    const ignored = Object.keys(DEFAULTS).filter(
+      (key) => key in migrated && this.validate(key, migrated[key])
+    );
+    return {
+      settings: this._sanitize(migrated),
+      presets: Array.isArray(data.presets) ? data.presets : [],
+      customSounds: Array.isArray(data.customSounds)
+        ? data.customSounds.filter(
+            (sound) => sound && typeof sound.name === 'string'
+          )
+        : [],
+      ignored,
+    };
+  }
+
   // Specific helper methods as needed
   isSoundEnabled() {
     return this.get('soundEnabled');
@@ -90,11 +465,64 @@ class SettingsController {
     return this.get('reducedMotion');
   }
 
+  getCrossfadeDuration() {
+    return this.get('crossfadeDuration');
+  }
+
+  getSleepTimerMinutes() {
+    return this.get('sleepTimerMinutes');
+  }
+
+  getFocusSessionOptions() {
+    return {
+      workMinutes: this.get('focusWorkMinutes'),
+      breakMinutes: this.get('focusBreakMinutes'),
+      breakSound: this.get('focusBreakSound'),
+      breakPalette: this.get('focusBreakPalette'),
+    };
+  }
+
+  // Shaped for AudioController.setTone()
+  getToneOptions() {
+    return {
+      carrier: this.get('toneCarrier'),
+      beat: this.get('toneBeat'),
+      mode: this.get('toneMode'),
+      level: this.get('toneVolume'),
+      solo: this.get('toneSolo'),
+    };
+  }
+
+  // Accepts any subset of the getToneOptions() shape, plus `enabled` to switch the tone
+  // on or off in the same notification; invalid values are rejected per key
+  setToneOptions(options) {
+    const settingKeys = {
+      enabled: 'toneEnabled',
+      carrier: 'toneCarrier',
+      beat: 'toneBeat',
+      mode: 'toneMode',
+      level: 'toneVolume',
+      solo: 'toneSolo',
+    };
+    const values = {};
+    Object.entries(options).forEach(([option, value]) => {
+      if (settingKeys[option]) values[settingKeys[option]] = value;
+    });
+    this.update(values); // One notification for the whole change
+  }
+
+  incrementFocusSessionCount() {
+    this.set('focusSessionCount', (this.get('focusSessionCount') || 0) + 1);
+  }
+
   incrementSessionCount() {
     const currentCount = this.get('sessionCount') || 0;
-    this.set('sessionCount', currentCount + 1);
-    this.set('lastUsed', new Date().toISOString());
+    this.update({
+      sessionCount: currentCount + 1,
+      lastUsed: new Date().toISOString(),
+    });
   }
 }
 
 export default SettingsController;
+export { SETTINGS_VERSION, MIGRATIONS, migrateSettings };
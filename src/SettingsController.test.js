@@ -1,5 +1,10 @@
 // src/SettingsController.test.js
-import SettingsController from './SettingsController';
+import SettingsController, {
+  SETTINGS_VERSION,
+  MIGRATIONS,
+  migrateSettings,
+} from './SettingsController';
+import AppStore from './AppStore';
 
 const STORAGE_KEY = 'ambientMoodSettings';
 const DEFAULTS = {
@@ -8,8 +13,24 @@ const DEFAULTS = {
   volume: 0.75,
   visualEnabled: true,
   reducedMotion: false,
+  crossfadeDuration: 2,
+  normalizeLoudness: true,
+  dataSaver: false,
+  soundMemoryMB: null,
+  sleepTimerMinutes: 30,
+  focusWorkMinutes: 25,
+  focusBreakMinutes: 5,
+  focusBreakSound: null,
+  focusBreakPalette: true,
+  toneEnabled: false,
+  toneMode: 'binaural',
+  toneCarrier: 200,
+  toneBeat: 10,
+  toneVolume: 0.3,
+  toneSolo: false,
   lastUsed: null,
   sessionCount: 0,
+  focusSessionCount: 0,
 };
 
 describe('SettingsController', () => {
@@ -70,6 +91,357 @@ describe('SettingsController', () => {
     );
   });
 
+  describe('Schema versions', () => {
+    const load = (stored) => {
+      mockLocalStorage.getItem.mockReturnValueOnce(JSON.stringify(stored));
+      return new SettingsController();
+    };
+
+    test('current-version settings should load without being rewritten', () => {
+      const sc = load({
+        version: SETTINGS_VERSION,
+        settings: { ...DEFAULTS, volume: 0.4 },
+      });
+      expect(sc.getVolume()).toBe(0.4);
+      expect(mockLocalStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    test('migration 1 -> 2 should keep the keys of the bare settings object', () => {
+      const v1 = { ...DEFAULTS, volume: 0.5, legacyKey: true };
+      expect(MIGRATIONS[1](v1)).toEqual(v1);
+      expect(MIGRATIONS[1](v1)).not.toBe(v1);
+    });
+
+    test('version 1 settings should be migrated, cleaned and saved as the current version', () => {
+      const sc = load({ volume: 0.5, sessionCount: 5, legacyKey: 'stale' });
+
+      expect(sc.getAll()).toEqual({
+        ...DEFAULTS,
+        volume: 0.5,
+        sessionCount: 5,
+      });
+      expect(mockLocalStorage.setItem).toHaveBeenCalledWith(
+        STORAGE_KEY,
+        JSON.stringify({
+          version: SETTINGS_VERSION,
+          settings: { ...DEFAULTS, volume: 0.5, sessionCount: 5 },
+        })
+      );
+    });
+
+    test('migrateSettings should run each step in order', () => {
+      const step = jest.fn((settings) => ({ ...settings, migrated: true }));
+      expect(migrateSettings({ volume: 0.5 }, 1, { 1: step })).toEqual({
+        volume: 0.5,
+        migrated: true,
+      });
+      expect(step).toHaveBeenCalledTimes(1);
+      expect(migrateSettings({ volume: 0.5 }, SETTINGS_VERSION)).toEqual({
+        volume: 0.5,
+      });
+    });
+
+    test('settings without a migration path should fall back to defaults', () => {
+      const sc = load({ version: 0, settings: { volume: 0.5 } });
+      expect(sc.getAll()).toEqual(DEFAULTS);
+      expect(console.error).toHaveBeenCalled();
+    });
+
+    test('settings from a newer version should keep the values that still validate', () => {
+      const sc = load({
+        version: SETTINGS_VERSION + 1,
+        settings: { volume: 0.2, futureKey: 1 },
+      });
+      expect(sc.getAll()).toEqual({ ...DEFAULTS, volume: 0.2 });
+      expect(console.warn).toHaveBeenCalled();
+    });
+
+    test('corrupt keys should fall back to their defaults individually', () => {
+      const sc = load({
+        version: SETTINGS_VERSION,
+        settings: {
+          ...DEFAULTS,
+          volume: 5,
+          toneMode: 'monaural',
+          soundEnabled: 'yes',
+          sessionCount: -1,
+          lastUsed: 'yesterday',
+          crossfadeDuration: 4,
+          selectedSound: 'Forest',
+        },
+      });
+      expect(sc.getAll()).toEqual({
+        ...DEFAULTS,
+        crossfadeDuration: 4,
+        selectedSound: 'Forest',
+      });
+      expect(console.warn).toHaveBeenCalledTimes(5);
+    });
+  });
+
+  describe('Subscriptions', () => {
+    test('subscribe should report validated changes with the previous value', () => {
+      const handler = jest.fn();
+      settingsController.subscribe('volume', handler);
+
+      settingsController.set('volume', 0.4);
+      settingsController.set('volume', 7); // Rejected
+      settingsController.set('volume', 0.4); // Unchanged
+      settingsController.set('crossfadeDuration', 3); // Other key
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith(0.4, 0.75);
+    });
+
+    test('unsubscribe should stop notifications', () => {
+      const handler = jest.fn();
+      const stop = settingsController.subscribe('volume', handler);
+      stop();
+      settingsController.set('volume', 0.4);
+
+      const other = jest.fn();
+      settingsController.subscribe('volume', other);
+      settingsController.unsubscribe('volume', other);
+      settingsController.set('volume', 0.5);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(other).not.toHaveBeenCalled();
+    });
+
+    test('update should save and notify once for the whole batch', () => {
+      const all = jest.fn();
+      const tone = jest.fn();
+      settingsController.subscribe('*', all);
+      settingsController.subscribe('toneBeat', tone);
+
+      const changes = settingsController.update({
+        toneCarrier: 150,
+        toneBeat: 6,
+        toneMode: 'sideways', // Rejected, the rest still applies
+      });
+
+      expect(changes).toEqual([
+        { key: 'toneCarrier', from: 200, to: 150 },
+        { key: 'toneBeat', from: 10, to: 6 },
+      ]);
+      expect(all).toHaveBeenCalledTimes(1);
+      expect(all).toHaveBeenCalledWith(changes);
+      expect(tone).toHaveBeenCalledWith(6, 10);
+      expect(mockLocalStorage.setItem).toHaveBeenCalledTimes(1);
+    });
+
+    test('setToneOptions and replaceAll should notify once', () => {
+      const all = jest.fn();
+      settingsController.subscribe('*', all);
+
+      settingsController.setToneOptions({
+        carrier: 100,
+        beat: 2,
+        mode: 'isochronic',
+      });
+      settingsController.replaceAll({
+        ...DEFAULTS,
+        volume: 0.1,
+        toneSolo: true,
+      });
+
+      expect(all).toHaveBeenCalledTimes(2);
+      expect(all.mock.calls[0][0].map((change) => change.key)).toEqual([
+        'toneCarrier',
+        'toneBeat',
+        'toneMode',
+      ]);
+      expect(all.mock.calls[1][0].map((change) => change.key)).toEqual([
+        'volume',
+        'toneMode',
+        'toneCarrier',
+        'toneBeat',
+        'toneSolo',
+      ]);
+    });
+
+    test('should publish a snapshot of the settings to the store', () => {
+      const store = new AppStore();
+      const sc = new SettingsController(store);
+      expect(store.getState().settings).toEqual(DEFAULTS);
+
+      sc.set('volume', 0.3);
+      expect(store.getState().settings.volume).toBe(0.3);
+    });
+
+    test('a failing subscriber should not stop the others', () => {
+      const handler = jest.fn();
+      settingsController.subscribe('volume', () => {
+        throw new Error('boom');
+      });
+      settingsController.subscribe('volume', handler);
+
+      settingsController.set('volume', 0.2);
+      expect(handler).toHaveBeenCalledWith(0.2, 0.75);
+      expect(console.error).toHaveBeenCalled();
+    });
+
+    test('subscribing to an unknown setting should warn', () => {
+      const unsubscribe = settingsController.subscribe(
+        'volumeLevel',
+        jest.fn()
+      );
+      expect(console.warn).toHaveBeenCalledWith(
+        'SettingsController: Cannot subscribe to unknown setting "volumeLevel".'
+      );
+      expect(() => unsubscribe()).not.toThrow();
+    });
+  });
+
+  describe('Other tabs', () => {
+    const storageEvent = (settings, key = STORAGE_KEY) =>
+      new StorageEvent('storage', {
+        key,
+        newValue: JSON.stringify({ version: SETTINGS_VERSION, settings }),
+      });
+
+    test('should adopt settings written by another tab without saving them again', () => {
+      const callback = jest.fn();
+      settingsController.subscribe('volume', callback);
+      const stop = settingsController.listenForExternalChanges();
+
+      window.dispatchEvent(storageEvent({ ...DEFAULTS, volume: 0.3 }));
+      expect(settingsController.getVolume()).toBe(0.3);
+      expect(callback).toHaveBeenCalledWith(0.3, 0.75);
+      expect(mockLocalStorage.setItem).not.toHaveBeenCalled();
+
+      stop();
+      window.dispatchEvent(storageEvent({ ...DEFAULTS, volume: 0.6 }));
+      expect(settingsController.getVolume()).toBe(0.3);
+    });
+
+    test('should ignore other keys, unchanged and unreadable values', () => {
+      const callback = jest.fn();
+      settingsController.subscribe('*', callback);
+      settingsController.listenForExternalChanges();
+
+      window.dispatchEvent(storageEvent({ volume: 0.1 }, 'ambientMoodPresets'));
+      window.dispatchEvent(storageEvent(DEFAULTS));
+      window.dispatchEvent(
+        new StorageEvent('storage', { key: STORAGE_KEY, newValue: '{oops' })
+      );
+      expect(callback).not.toHaveBeenCalled();
+      expect(settingsController.getAll()).toEqual(DEFAULTS);
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+
+  test('dropUnknownSounds should reset sounds that no longer exist', () => {
+    settingsController.set('selectedSound', 'Office Hum');
+    settingsController.set('focusBreakSound', 'Office Hum');
+    mockLocalStorage.setItem.mockClear();
+
+    expect(settingsController.dropUnknownSounds(['Rain', 'Forest'])).toBe(true);
+    expect(settingsController.getSelectedSound()).toBe('Rain');
+    expect(settingsController.get('focusBreakSound')).toBeNull();
+    expect(mockLocalStorage.setItem).toHaveBeenCalledTimes(1);
+
+    // Without the default sound, the first known one is used
+    settingsController.set('selectedSound', 'Office Hum');
+    settingsController.dropUnknownSounds(['Forest']);
+    expect(settingsController.getSelectedSound()).toBe('Forest');
+    expect(settingsController.dropUnknownSounds(['Forest'])).toBe(false);
+  });
+
+  describe('Export / import', () => {
+    const presets = [{ id: 'preset-1', name: 'Sleep' }];
+    const customSounds = [{ name: 'Office Hum', type: 'audio/wav', size: 10 }];
+
+    test('createExport should hold the versioned settings and extras', () => {
+      settingsController.set('volume', 0.4);
+      const data = settingsController.createExport({ presets, customSounds });
+      expect(data).toEqual({
+        format: 'ambient-mood-settings',
+        version: SETTINGS_VERSION,
+        exportedAt: expect.any(String),
+        settings: { ...DEFAULTS, volume: 0.4 },
+        presets,
+        customSounds,
+      });
+    });
+
+    test('parseExport should read back an export', () => {
+      settingsController.set('toneMode', 'isochronic');
+      const text = JSON.stringify(
+        settingsController.createExport({ presets, customSounds })
+      );
+      expect(new SettingsController().parseExport(text)).toEqual({
+        settings: { ...DEFAULTS, toneMode: 'isochronic' },
+        presets,
+        customSounds,
+        ignored: [],
+      });
+    });
+
+    test('parseExport should migrate old versions and report invalid values', () => {
+      const text = JSON.stringify({
+        format: 'ambient-mood-settings',
+        version: 1,
+        settings: { volume: 3, crossfadeDuration: 5, legacyKey: 1 },
+        customSounds: [{ name: 'Office Hum' }, { size: 3 }],
+      });
+      const { settings, presets, customSounds, ignored } =
+        settingsController.parseExport(text);
+      expect(settings).toEqual({ ...DEFAULTS, crossfadeDuration: 5 });
+      expect(presets).toEqual([]);
+      expect(customSounds).toEqual([{ name: 'Office Hum' }]);
+      expect(ignored).toEqual(['volume']);
+    });
+
+    test('parseExport should reject files it cannot use', () => {
+      const parse = (data) => () =>
+        settingsController.parseExport(
+          typeof data === 'string' ? data : JSON.stringify(data)
+        );
+      expect(parse('{oops')).toThrow('That file is not valid JSON.');
+      expect(parse({ volume: 0.5 })).toThrow(
+        'That file is not an Ambient Mood settings export.'
+      );
+      expect(parse({ format: 'ambient-mood-settings', version: '2' })).toThrow(
+        'That settings file has no valid version.'
+      );
+      expect(
+        parse({
+          format: 'ambient-mood-settings',
+          version: SETTINGS_VERSION + 1,
+          settings: {},
+        })
+      ).toThrow(
+        'That settings file was made by a newer version of Ambient Mood.'
+      );
+      expect(
+        parse({ format: 'ambient-mood-settings', version: SETTINGS_VERSION })
+      ).toThrow('That settings file contains no settings.');
+    });
+
+    test('diff should list the settings that would change', () => {
+      expect(
+        settingsController.diff({ ...DEFAULTS, volume: 0.2, toneSolo: true })
+      ).toEqual([
+        { key: 'volume', from: 0.75, to: 0.2 },
+        { key: 'toneSolo', from: false, to: true },
+      ]);
+      expect(settingsController.diff(DEFAULTS)).toEqual([]);
+    });
+
+    test('replaceAll should overwrite and save every setting', () => {
+      settingsController.replaceAll({ ...DEFAULTS, volume: 0.2, toneBeat: 99 });
+      expect(settingsController.getAll()).toEqual({ ...DEFAULTS, volume: 0.2 });
+      expect(mockLocalStorage.setItem).toHaveBeenCalledWith(
+        STORAGE_KEY,
+        JSON.stringify({
+          version: SETTINGS_VERSION,
+          settings: { ...DEFAULTS, volume: 0.2 },
+        })
+      );
+    });
+  });
+
   test('get should return the correct setting value', () => {
     expect(settingsController.get('volume')).toBe(DEFAULTS.volume);
   });
@@ -79,7 +451,10 @@ describe('SettingsController', () => {
     expect(settingsController.get('volume')).toBe(0.9);
     expect(mockLocalStorage.setItem).toHaveBeenCalledWith(
       STORAGE_KEY,
-      JSON.stringify({ ...DEFAULTS, volume: 0.9 })
+      JSON.stringify({
+        version: SETTINGS_VERSION,
+        settings: { ...DEFAULTS, volume: 0.9 },
+      })
     );
   });
 
@@ -91,6 +466,137 @@ describe('SettingsController', () => {
     expect(console.warn).toHaveBeenCalledWith('SettingsController: Attempted to set unknown setting "unknownKey".');
   });
 
+  test('set should reject crossfadeDuration outside 0-10 seconds', () => {
+    settingsController.set('crossfadeDuration', 11);
+    settingsController.set('crossfadeDuration', -1);
+    settingsController.set('crossfadeDuration', '3');
+    expect(settingsController.getCrossfadeDuration()).toBe(
+      DEFAULTS.crossfadeDuration
+    );
+    expect(mockLocalStorage.setItem).not.toHaveBeenCalled();
+
+    settingsController.set('crossfadeDuration', 0);
+    expect(settingsController.getCrossfadeDuration()).toBe(0);
+  });
+
+  test('normalizeLoudness should only accept booleans and notify its subscribers', () => {
+    const handler = jest.fn();
+    settingsController.subscribe('normalizeLoudness', handler);
+    settingsController.set('normalizeLoudness', 'off');
+    expect(settingsController.get('normalizeLoudness')).toBe(true);
+    expect(handler).not.toHaveBeenCalled();
+
+    settingsController.set('normalizeLoudness', false);
+    expect(settingsController.get('normalizeLoudness')).toBe(false);
+    expect(handler).toHaveBeenCalledWith(false, true);
+  });
+
+  test('set should accept whole soundMemoryMB values or null', () => {
+    settingsController.set('soundMemoryMB', 16);
+    settingsController.set('soundMemoryMB', 96.5);
+    settingsController.set('soundMemoryMB', '128');
+    expect(settingsController.get('soundMemoryMB')).toBeNull();
+
+    settingsController.set('soundMemoryMB', 128);
+    expect(settingsController.get('soundMemoryMB')).toBe(128);
+    settingsController.set('soundMemoryMB', null);
+    expect(settingsController.get('soundMemoryMB')).toBeNull();
+  });
+
+  test('dataSaver should only accept booleans', () => {
+    settingsController.set('dataSaver', 1);
+    expect(settingsController.get('dataSaver')).toBe(false);
+    settingsController.set('dataSaver', true);
+    expect(settingsController.get('dataSaver')).toBe(true);
+  });
+
+  test('set should accept a positive sleepTimerMinutes up to 12 hours', () => {
+    settingsController.set('sleepTimerMinutes', 0);
+    settingsController.set('sleepTimerMinutes', 721);
+    expect(settingsController.getSleepTimerMinutes()).toBe(
+      DEFAULTS.sleepTimerMinutes
+    );
+
+    settingsController.set('sleepTimerMinutes', 45);
+    expect(settingsController.getSleepTimerMinutes()).toBe(45);
+  });
+
+  test('set should validate focus-session lengths and break sound', () => {
+    settingsController.set('focusWorkMinutes', 0);
+    settingsController.set('focusBreakMinutes', 'five');
+    settingsController.set('focusBreakSound', 42);
+    expect(settingsController.getFocusSessionOptions()).toEqual({
+      workMinutes: 25,
+      breakMinutes: 5,
+      breakSound: null,
+      breakPalette: true,
+    });
+
+    settingsController.set('focusWorkMinutes', 50);
+    settingsController.set('focusBreakSound', 'Forest');
+    settingsController.set('focusBreakSound', null);
+    expect(settingsController.getFocusSessionOptions().workMinutes).toBe(50);
+    expect(settingsController.getFocusSessionOptions().breakSound).toBeNull();
+  });
+
+  test('validate should return the error without changing anything', () => {
+    expect(settingsController.validate('volume', 0.5)).toBeNull();
+    expect(settingsController.validate('volume', NaN)).toBe(
+      'Invalid volume value "NaN". Must be between 0 and 1.'
+    );
+    expect(settingsController.validate('focusWorkMinutes', 0)).toMatch(
+      /^Invalid focusWorkMinutes value/
+    );
+    expect(settingsController.getVolume()).toBe(0.75);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test('set should validate tone parameters', () => {
+    settingsController.set('toneMode', 'monaural');
+    settingsController.set('toneCarrier', 5000);
+    settingsController.set('toneBeat', 0);
+    settingsController.set('toneVolume', 2);
+    expect(settingsController.getToneOptions()).toEqual({
+      carrier: 200,
+      beat: 10,
+      mode: 'binaural',
+      level: 0.3,
+      solo: false,
+    });
+    expect(console.warn).toHaveBeenCalledTimes(4);
+
+    settingsController.set('toneMode', 'isochronic');
+    settingsController.set('toneCarrier', 100);
+    settingsController.set('toneBeat', 2.5);
+    expect(settingsController.getToneOptions()).toMatchObject({
+      carrier: 100,
+      beat: 2.5,
+      mode: 'isochronic',
+    });
+  });
+
+  test('setToneOptions should map tone options onto their settings', () => {
+    settingsController.setToneOptions({ beat: 6, solo: true, unknown: 1 });
+    expect(settingsController.get('toneBeat')).toBe(6);
+    expect(settingsController.get('toneSolo')).toBe(true);
+    expect(settingsController.get('toneCarrier')).toBe(200); // Untouched
+  });
+
+  test('setToneOptions should switch the tone on in the same notification', () => {
+    const onChange = jest.fn();
+    settingsController.subscribe('*', onChange);
+    settingsController.setToneOptions({ beat: 6, enabled: true });
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(settingsController.get('toneEnabled')).toBe(true);
+  });
+
+  test('incrementFocusSessionCount should record completed sessions', () => {
+    settingsController.incrementFocusSessionCount();
+    settingsController.incrementFocusSessionCount();
+    expect(settingsController.get('focusSessionCount')).toBe(2);
+    expect(settingsController.get('sessionCount')).toBe(0); // Page visits are tracked separately
+  });
+
   test('saveSettings should handle localStorage write errors', () => {
     mockLocalStorage.setItem.mockImplementationOnce(() => {
         throw new Error('Storage full');
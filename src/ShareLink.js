@@ -0,0 +1,101 @@
+// src/ShareLink.js
+
+// Encodes a mix into the URL hash so it can be shared, e.g.
+// #sound=Rain&volume=0.6&layer=Forest%3A0.4&speed=1.5&reducedMotion=0
+// The hash is never sent to a server, so shared links stay private to the two browsers.
+
+const SPEED_RANGE = [0.25, 4]; // Background speed factors a link may set
+const SHARE_PARAMS = ['sound', 'volume', 'layer', 'speed', 'reducedMotion'];
+
+const roundLevel = (value) => Math.round(value * 100) / 100;
+const toNumber = (text) => (text.trim() === '' ? NaN : Number(text)); // Number('') would be 0
+
+// mix: { sound, volume, layers: [{ name, volume }], speed, reducedMotion }
+function createShareLink(
+  { sound, volume, layers = [], speed = 1, reducedMotion = false },
+  baseUrl = window.location.href
+) {
+  const params = new URLSearchParams();
+  if (sound) params.set('sound', sound);
+  params.set('volume', String(roundLevel(volume)));
+  layers.forEach((layer) =>
+    params.append('layer', `${layer.name}:${roundLevel(layer.volume)}`)
+  );
+  params.set('speed', String(speed));
+  params.set('reducedMotion', reducedMotion ? '1' : '0');
+
+  const url = new URL(baseUrl);
+  url.hash = params.toString();
+  return url.toString();
+}
+
+// Parses a location hash. Returns null when it is not a share link, otherwise
+// { mix, errors } where mix only holds the values that passed validation against
+// the known sounds and the SettingsController rules, and errors describes the rest.
+function parseShareLink(hash, { soundNames, settingsController }) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  if (!SHARE_PARAMS.some((param) => params.has(param))) return null;
+
+  const mix = {};
+  const errors = [];
+
+  if (params.has('sound')) {
+    const sound = params.get('sound');
+    if (soundNames.includes(sound)) {
+      mix.sound = sound;
+    } else {
+      errors.push(`Unknown sound "${sound}".`);
+    }
+  }
+
+  if (params.has('volume')) {
+    const volume = toNumber(params.get('volume'));
+    const error = settingsController.validate('volume', volume);
+    if (error) errors.push(error);
+    else mix.volume = volume;
+  }
+
+  if (params.has('layer')) {
+    mix.layers = [];
+    params.getAll('layer').forEach((entry) => {
+      const separator = entry.lastIndexOf(':'); // Names may contain colons, levels cannot
+      const name = separator === -1 ? entry : entry.slice(0, separator);
+      const volume =
+        separator === -1 ? 1 : toNumber(entry.slice(separator + 1));
+      if (!soundNames.includes(name)) {
+        errors.push(`Unknown layer sound "${name}".`);
+      } else if (settingsController.validate('volume', volume)) {
+        errors.push(`Invalid volume for layer "${name}".`);
+      } else if (
+        name !== mix.sound &&
+        !mix.layers.some((layer) => layer.name === name)
+      ) {
+        mix.layers.push({ name, volume });
+      }
+    });
+  }
+
+  if (params.has('speed')) {
+    const speed = toNumber(params.get('speed'));
+    if (speed >= SPEED_RANGE[0] && speed <= SPEED_RANGE[1]) {
+      mix.speed = speed;
+    } else {
+      errors.push(
+        `Invalid background speed "${params.get('speed')}". Must be between ${SPEED_RANGE[0]} and ${SPEED_RANGE[1]}.`
+      );
+    }
+  }
+
+  if (params.has('reducedMotion')) {
+    const value = params.get('reducedMotion');
+    if (value === '1' || value === '0') {
+      mix.reducedMotion = value === '1';
+    } else {
+      errors.push(`Invalid reducedMotion value "${value}".`);
+    }
+  }
+
+  return { mix, errors };
+}
+
+export { createShareLink, parseShareLink, SPEED_RANGE };
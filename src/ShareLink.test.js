@@ -0,0 +1,92 @@
+// src/ShareLink.test.js
+import { createShareLink, parseShareLink } from './ShareLink';
+import SettingsController from './SettingsController';
+
+const soundNames = ['Rain', 'Forest', 'Ocean Waves', 'Cafe: Night'];
+
+describe('ShareLink', () => {
+  let settingsController;
+  let originalConsoleWarn;
+
+  const parse = (link) =>
+    parseShareLink(new URL(link).hash, { soundNames, settingsController });
+
+  beforeEach(() => {
+    localStorage.clear();
+    originalConsoleWarn = console.warn;
+    console.warn = jest.fn();
+    settingsController = new SettingsController();
+  });
+
+  afterEach(() => {
+    console.warn = originalConsoleWarn;
+  });
+
+  test('a created link should parse back into the same mix', () => {
+    const mix = {
+      sound: 'Ocean Waves',
+      volume: 0.6,
+      layers: [
+        { name: 'Forest', volume: 0.4 },
+        { name: 'Cafe: Night', volume: 0.25 },
+      ],
+      speed: 1.5,
+      reducedMotion: true,
+    };
+    const link = createShareLink(mix, 'https://example.com/app/?ref=x#old');
+
+    expect(link.startsWith('https://example.com/app/?ref=x#')).toBe(true);
+    expect(parse(link)).toEqual({ mix, errors: [] });
+  });
+
+  test('levels should be rounded to keep links short', () => {
+    const link = createShareLink(
+      { sound: 'Rain', volume: 0.333333, layers: [] },
+      'https://example.com/'
+    );
+    expect(parse(link).mix.volume).toBe(0.33);
+  });
+
+  test('hashes without share parameters should be ignored', () => {
+    expect(parseShareLink('', { soundNames, settingsController })).toBeNull();
+    expect(
+      parseShareLink('#main', { soundNames, settingsController })
+    ).toBeNull();
+  });
+
+  test('unknown sounds and invalid values should be reported, not applied', () => {
+    const result = parseShareLink(
+      '#sound=Thunder&volume=2&layer=Forest:abc&layer=Wind:0.5&speed=10&reducedMotion=yes',
+      { soundNames, settingsController }
+    );
+    expect(result.mix).toEqual({ layers: [] });
+    expect(result.errors).toEqual([
+      'Unknown sound "Thunder".',
+      'Invalid volume value "2". Must be between 0 and 1.',
+      'Invalid volume for layer "Forest".',
+      'Unknown layer sound "Wind".',
+      'Invalid background speed "10". Must be between 0.25 and 4.',
+      'Invalid reducedMotion value "yes".',
+    ]);
+  });
+
+  test('an empty volume should not be read as silence', () => {
+    const { mix, errors } = parseShareLink('#volume=', {
+      soundNames,
+      settingsController,
+    });
+    expect(mix.volume).toBeUndefined();
+    expect(errors).toHaveLength(1);
+  });
+
+  test('layers should skip the main sound and duplicates', () => {
+    const { mix } = parseShareLink(
+      '#sound=Rain&layer=Rain:0.5&layer=Forest:0.4&layer=Forest:0.8&layer=Ocean%20Waves',
+      { soundNames, settingsController }
+    );
+    expect(mix.layers).toEqual([
+      { name: 'Forest', volume: 0.4 },
+      { name: 'Ocean Waves', volume: 1 },
+    ]);
+  });
+});
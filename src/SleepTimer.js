@@ -0,0 +1,91 @@
+// src/SleepTimer.js
+
+const SLEEP_TIMER_PRESETS = [15, 30, 60, 90]; // Minutes
+const MAX_FADE_DURATION = 5 * 60 * 1000; // Fade out over (at most) the last 5 minutes
+const TICK_INTERVAL = 1000; // Remaining-time updates once per second
+
+// Stops playback after a chosen duration. Over the final minutes the master volume is
+// ramped down to silence so the sound never cuts off abruptly.
+class SleepTimer {
+  constructor(audioController, { onTick, onComplete } = {}) {
+    this.audioController = audioController;
+    this.onTick = onTick; // Called with the remaining time (ms) on every tick
+    this.onComplete = onComplete; // Called once playback has been paused
+    this.duration = 0;
+    this.endTime = null;
+    this.intervalId = null;
+    this.isFading = false;
+  }
+
+  start(minutes) {
+    if (typeof minutes !== 'number' || !(minutes > 0)) {
+      console.warn(`SleepTimer: Invalid duration "${minutes}".`);
+      return false;
+    }
+    this.cancel(); // Restarting replaces any running timer
+
+    this.duration = minutes * 60 * 1000;
+    this.endTime = Date.now() + this.duration;
+    this.intervalId = setInterval(() => this._tick(), TICK_INTERVAL);
+    console.log(`SleepTimer: Started for ${minutes} minutes.`);
+    this._tick();
+    return true;
+  }
+
+  cancel() {
+    if (!this.isActive()) return;
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.endTime = null;
+    if (this.isFading) {
+      this.isFading = false;
+      this.audioController.cancelFadeOut();
+    }
+    console.log('SleepTimer: Cancelled.');
+  }
+
+  isActive() {
+    return this.endTime !== null;
+  }
+
+  // Remaining time in milliseconds (0 when no timer is running)
+  getRemaining() {
+    if (!this.isActive()) return 0;
+    return Math.max(0, this.endTime - Date.now());
+  }
+
+  _tick() {
+    const remaining = this.getRemaining();
+    if (remaining <= 0) {
+      this._finish();
+      return;
+    }
+
+    const fadeDuration = Math.min(MAX_FADE_DURATION, this.duration);
+    if (!this.isFading && remaining <= fadeDuration) {
+      this.isFading = true;
+      this.audioController.fadeOut(remaining / 1000);
+    }
+
+    if (this.onTick) this.onTick(remaining);
+  }
+
+  _finish() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.endTime = null;
+    this.isFading = false;
+
+    if (this.audioController.isPlaying) {
+      // pause() restores the master level itself once its sources have stopped
+      this.audioController.pause();
+    } else {
+      this.audioController.cancelFadeOut();
+    }
+    console.log('SleepTimer: Time is up, playback paused.');
+    if (this.onComplete) this.onComplete();
+  }
+}
+
+export default SleepTimer;
+export { SLEEP_TIMER_PRESETS };
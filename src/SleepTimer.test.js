@@ -0,0 +1,116 @@
+// src/SleepTimer.test.js
+import SleepTimer, { SLEEP_TIMER_PRESETS } from './SleepTimer';
+
+describe('SleepTimer', () => {
+  let sleepTimer;
+  let mockAudioController;
+  let onTick;
+  let onComplete;
+  let originalConsoleWarn;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    originalConsoleWarn = console.warn;
+    console.warn = jest.fn();
+
+    mockAudioController = {
+      isPlaying: true,
+      fadeOut: jest.fn(),
+      cancelFadeOut: jest.fn(),
+      pause: jest.fn(function () {
+        this.isPlaying = false;
+      }),
+    };
+    onTick = jest.fn();
+    onComplete = jest.fn();
+    sleepTimer = new SleepTimer(mockAudioController, { onTick, onComplete });
+  });
+
+  afterEach(() => {
+    sleepTimer.cancel();
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    console.warn = originalConsoleWarn;
+  });
+
+  test('exposes the 15/30/60/90 minute presets', () => {
+    expect(SLEEP_TIMER_PRESETS).toEqual([15, 30, 60, 90]);
+  });
+
+  test('start should report the remaining time on every tick', () => {
+    sleepTimer.start(15);
+    expect(sleepTimer.isActive()).toBe(true);
+    expect(onTick).toHaveBeenLastCalledWith(15 * 60 * 1000);
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(onTick).toHaveBeenLastCalledWith(14 * 60 * 1000);
+    expect(sleepTimer.getRemaining()).toBe(14 * 60 * 1000);
+  });
+
+  test('start should reject invalid durations', () => {
+    expect(sleepTimer.start(0)).toBe(false);
+    expect(sleepTimer.start('30')).toBe(false);
+    expect(sleepTimer.isActive()).toBe(false);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  test('should fade the master volume out over the last five minutes', () => {
+    sleepTimer.start(30);
+    jest.advanceTimersByTime(24 * 60 * 1000);
+    expect(mockAudioController.fadeOut).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(mockAudioController.fadeOut).toHaveBeenCalledTimes(1);
+    expect(mockAudioController.fadeOut).toHaveBeenCalledWith(5 * 60);
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(mockAudioController.fadeOut).toHaveBeenCalledTimes(1); // Scheduled only once
+  });
+
+  test('a timer shorter than the fade window should fade for its whole duration', () => {
+    sleepTimer.start(2);
+    expect(mockAudioController.fadeOut).toHaveBeenCalledWith(2 * 60);
+  });
+
+  test('should pause playback and notify when time is up', () => {
+    sleepTimer.start(15);
+    jest.advanceTimersByTime(15 * 60 * 1000);
+
+    expect(mockAudioController.pause).toHaveBeenCalledTimes(1);
+    expect(mockAudioController.cancelFadeOut).not.toHaveBeenCalled();
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(sleepTimer.isActive()).toBe(false);
+    expect(sleepTimer.getRemaining()).toBe(0);
+  });
+
+  test('should restore the volume if playback was already paused when time is up', () => {
+    sleepTimer.start(15);
+    mockAudioController.isPlaying = false;
+    jest.advanceTimersByTime(15 * 60 * 1000);
+
+    expect(mockAudioController.pause).not.toHaveBeenCalled();
+    expect(mockAudioController.cancelFadeOut).toHaveBeenCalled();
+    expect(onComplete).toHaveBeenCalled();
+  });
+
+  test('cancel during the fade should restore the volume', () => {
+    sleepTimer.start(15);
+    jest.advanceTimersByTime(11 * 60 * 1000);
+    sleepTimer.cancel();
+
+    expect(mockAudioController.cancelFadeOut).toHaveBeenCalled();
+    expect(sleepTimer.isActive()).toBe(false);
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    expect(mockAudioController.pause).not.toHaveBeenCalled();
+    expect(onComplete).not.toHaveBeenCalled();
+  });
+
+  test('starting again should replace the running timer', () => {
+    sleepTimer.start(15);
+    sleepTimer.start(60);
+    jest.advanceTimersByTime(15 * 60 * 1000);
+    expect(onComplete).not.toHaveBeenCalled();
+    expect(sleepTimer.getRemaining()).toBe(45 * 60 * 1000);
+  });
+});
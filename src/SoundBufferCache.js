@@ -0,0 +1,150 @@
+// src/SoundBufferCache.js
+
+// Decoded sounds are raw 32-bit float PCM, about 20 MB per stereo minute at 44.1 kHz,
+// far more than the compressed download. The cache keeps their estimated size under a
+// budget by dropping the least recently used sounds; sounds that are playing (or paused
+// and about to resume) are never dropped. A dropped sound is downloaded and decoded again
+// the next time it is wanted, from the browser's HTTP cache when it is still there.
+const BYTES_PER_SAMPLE = 4; // Float32
+const MB = 1024 * 1024;
+const BUDGET_PER_GB_OF_MEMORY = 48 * MB;
+const MIN_BUDGET = 64 * MB;
+const DEFAULT_BUDGET = 256 * MB; // When the device's memory is unknown
+
+// Bytes of PCM a decoded buffer holds: channels x frames x 4. Frames are length, or
+// duration x sampleRate for buffer-likes without one; 0 when neither is known.
+function estimateBufferBytes(buffer) {
+  const frames = Number.isFinite(buffer.length)
+    ? buffer.length
+    : Math.ceil(buffer.duration * buffer.sampleRate);
+  if (!Number.isFinite(frames)) return 0;
+  return (buffer.numberOfChannels || 1) * frames * BYTES_PER_SAMPLE;
+}
+
+// A budget that suits the device: navigator.deviceMemory (GB, rounded down and capped
+// at 8 by browsers) is only available in Chromium, everywhere else DEFAULT_BUDGET is used.
+function getDefaultBudget(
+  deviceMemory = typeof navigator !== 'undefined'
+    ? navigator.deviceMemory
+    : undefined
+) {
+  if (!Number.isFinite(deviceMemory) || deviceMemory <= 0) {
+    return DEFAULT_BUDGET;
+  }
+  return Math.min(
+    DEFAULT_BUDGET,
+    Math.max(MIN_BUDGET, deviceMemory * BUDGET_PER_GB_OF_MEMORY)
+  );
+}
+
+class SoundBufferCache {
+  // isInUse(name) protects a sound from eviction; onEvict(name) is called after one is dropped
+  constructor({
+    budget = getDefaultBudget(),
+    isInUse = () => false,
+    onEvict = () => {},
+  } = {}) {
+    this.entries = new Map(); // Sound name -> { buffer, bytes }, least recently used first
+    this.budget = budget; // Bytes
+    this.bytes = 0;
+    this.isInUse = isInUse;
+    this.onEvict = onEvict;
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  // A lookup by someone who wants to play the sound: counted in the stats and marks the
+  // sound as recently used
+  get(name) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+    this.stats.hits++;
+    this.entries.delete(name);
+    this.entries.set(name, entry);
+    return entry.buffer;
+  }
+
+  // Looks a buffer up without counting or reordering, e.g. for its loop region or level
+  peek(name) {
+    const entry = this.entries.get(name);
+    return entry ? entry.buffer : undefined;
+  }
+
+  set(name, buffer) {
+    this.delete(name);
+    const bytes = estimateBufferBytes(buffer);
+    this.entries.set(name, { buffer, bytes });
+    this.bytes += bytes;
+    this._evict(name);
+    return this;
+  }
+
+  delete(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return false;
+    this.entries.delete(name);
+    this.bytes -= entry.bytes;
+    return true;
+  }
+
+  // Moves a buffer to a new name, keeping its place in the eviction order
+  rename(name, newName) {
+    if (!this.entries.has(name)) return false;
+    this.entries = new Map(
+      Array.from(this.entries, ([key, entry]) => [
+        key === name ? newName : key,
+        entry,
+      ])
+    );
+    return true;
+  }
+
+  setBudget(budget) {
+    this.budget = Math.max(0, budget);
+    this._evict();
+  }
+
+  // { hits, misses, evictions, entries, bytes, budget }
+  getStats() {
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      budget: this.budget,
+    };
+  }
+
+  // Drops least recently used sounds until the cache fits its budget. `keep` (the sound
+  // just stored) and sounds in use stay even if that leaves the cache over budget.
+  _evict(keep = null) {
+    if (this.bytes <= this.budget) return;
+    const candidates = Array.from(this.entries.keys()).filter(
+      (name) => name !== keep && !this.isInUse(name)
+    );
+    for (const name of candidates) {
+      if (this.bytes <= this.budget) break;
+      this.delete(name);
+      this.stats.evictions++;
+      console.log(`SoundBufferCache: Evicted ${name} to stay within budget.`);
+      this.onEvict(name);
+    }
+    if (this.bytes > this.budget) {
+      console.warn(
+        `SoundBufferCache: ${Math.ceil(this.bytes / MB)} MB of sounds in use exceed the ${Math.floor(this.budget / MB)} MB budget.`
+      );
+    }
+  }
+}
+
+export default SoundBufferCache;
+export { estimateBufferBytes, getDefaultBudget, DEFAULT_BUDGET };
@@ -0,0 +1,128 @@
+// src/SoundBufferCache.test.js
+import SoundBufferCache, {
+  estimateBufferBytes,
+  getDefaultBudget,
+  DEFAULT_BUDGET,
+} from './SoundBufferCache';
+
+const MB = 1024 * 1024;
+
+// A mono buffer-like of `bytes` bytes of PCM
+const createBuffer = (bytes) => ({
+  numberOfChannels: 1,
+  length: bytes / 4,
+  sampleRate: 8000,
+});
+
+describe('estimateBufferBytes', () => {
+  test('should count four bytes per sample of every channel', () => {
+    expect(
+      estimateBufferBytes({
+        numberOfChannels: 2,
+        length: 44100,
+        sampleRate: 44100,
+      })
+    ).toBe(2 * 44100 * 4);
+  });
+
+  test('should fall back on duration and sample rate', () => {
+    expect(
+      estimateBufferBytes({
+        numberOfChannels: 1,
+        duration: 2,
+        sampleRate: 8000,
+      })
+    ).toBe(2 * 8000 * 4);
+    expect(estimateBufferBytes({ duration: 120 })).toBe(0);
+  });
+});
+
+describe('getDefaultBudget', () => {
+  test('should scale with the device memory within limits', () => {
+    expect(getDefaultBudget(0.5)).toBe(64 * MB);
+    expect(getDefaultBudget(2)).toBe(96 * MB);
+    expect(getDefaultBudget(8)).toBe(DEFAULT_BUDGET);
+    expect(getDefaultBudget(undefined)).toBe(DEFAULT_BUDGET);
+  });
+});
+
+describe('SoundBufferCache', () => {
+  let originalConsoleLog;
+  let originalConsoleWarn;
+
+  beforeEach(() => {
+    originalConsoleLog = console.log;
+    originalConsoleWarn = console.warn;
+    console.log = jest.fn();
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log = originalConsoleLog;
+    console.warn = originalConsoleWarn;
+  });
+
+  test('should evict the least recently used buffers beyond the budget', () => {
+    const onEvict = jest.fn();
+    const cache = new SoundBufferCache({ budget: 100, onEvict });
+    cache.set('Rain', createBuffer(40));
+    cache.set('Forest', createBuffer(40));
+    cache.get('Rain'); // Forest is now the least recently used
+    cache.set('Ocean Waves', createBuffer(40));
+
+    expect(Array.from(cache.entries.keys())).toEqual(['Rain', 'Ocean Waves']);
+    expect(onEvict).toHaveBeenCalledWith('Forest');
+    expect(cache.getStats()).toEqual({
+      hits: 1,
+      misses: 0,
+      evictions: 1,
+      entries: 2,
+      bytes: 80,
+      budget: 100,
+    });
+  });
+
+  test('should never evict buffers in use or the one just stored', () => {
+    const cache = new SoundBufferCache({
+      budget: 50,
+      isInUse: (name) => name === 'Rain',
+    });
+    cache.set('Rain', createBuffer(40));
+    cache.set('Forest', createBuffer(40));
+
+    expect(cache.has('Rain')).toBe(true);
+    expect(cache.has('Forest')).toBe(true);
+    expect(console.warn).toHaveBeenCalled();
+
+    cache.setBudget(40);
+    expect(cache.has('Forest')).toBe(false);
+    expect(cache.getStats().bytes).toBe(40);
+  });
+
+  test('should count misses, and peek without counting', () => {
+    const cache = new SoundBufferCache({ budget: 100 });
+    const buffer = createBuffer(40);
+    expect(cache.get('Rain')).toBeUndefined();
+    cache.set('Rain', buffer);
+    expect(cache.peek('Rain')).toBe(buffer);
+    expect(cache.get('Rain')).toBe(buffer);
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1 });
+  });
+
+  test('should replace, delete and rename buffers', () => {
+    const cache = new SoundBufferCache({ budget: 100 });
+    cache.set('Rain', createBuffer(40));
+    cache.set('Forest', createBuffer(20));
+    cache.set('Rain', createBuffer(60));
+    expect(cache.getStats().bytes).toBe(80);
+
+    expect(cache.rename('Forest', 'Woods')).toBe(true);
+    expect(Array.from(cache.entries.keys())).toEqual(['Woods', 'Rain']);
+    expect(cache.rename('Forest', 'Trees')).toBe(false);
+
+    expect(cache.delete('Rain')).toBe(true);
+    expect(cache.delete('Rain')).toBe(false);
+    expect(cache.size).toBe(1);
+    expect(cache.getStats().bytes).toBe(20);
+  });
+});
@@ -0,0 +1,198 @@
+// src/SoundCatalog.js
+import { isNoiseType, NOISE_TYPES } from './NoiseGenerator.js';
+
+// The built-in sounds are listed in a JSON manifest next to the recordings, so adding one
+// only means dropping in the file and a catalog entry. The manifest looks like:
+// { version: 1, sounds: [{
+//     id: 'ocean-waves',             // Lowercase letters, digits and dashes; never reused
+//     name: 'Ocean Waves',           // Shown in the UI; settings, presets and links refer to it
+//     category: 'Nature',            // Optional, the sound list is grouped by it
+//     tags: ['water', 'beach'],      // Optional
+//     sources: [{ url, type }],      // The recording in one or more formats (MIME types),
+//                                    // preferred first (see AudioFormats.js)
+//     generator: 'pink',             // Instead of sources: rendered by NoiseGenerator.js
+//     loop: { start, end, trimSilence, crossfade }, // Optional, seconds (see OverlapLoop.js)
+//     loudness: -18,                 // Optional, measured loudness in dBFS
+//     attribution: { author, license, url }, // Optional, author required
+// }] }
+const CATALOG_URL = '/audio/sounds.json';
+const CATALOG_VERSION = 1;
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// The catalog as a whole could not be used. The message is shown to the user.
+class SoundCatalogError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SoundCatalogError';
+  }
+}
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+const isSeconds = (value) => Number.isFinite(value) && value >= 0;
+const isObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Returns what is wrong with a catalog entry, or null if it is usable
+function validateEntry(entry, ids, names) {
+  if (!isObject(entry)) return 'must be an object.';
+  if (typeof entry.id !== 'string' || !ID_PATTERN.test(entry.id)) {
+    return '"id" must be lowercase letters, digits and dashes.';
+  }
+  if (ids.has(entry.id)) return `the id "${entry.id}" is used twice.`;
+  if (!isText(entry.name)) return '"name" is required.';
+  if (names.has(entry.name)) return `the name "${entry.name}" is used twice.`;
+  if (entry.category !== undefined && !isText(entry.category)) {
+    return '"category" must be a non-empty string.';
+  }
+  if (
+    entry.tags !== undefined &&
+    !(Array.isArray(entry.tags) && entry.tags.every(isText))
+  ) {
+    return '"tags" must be a list of strings.';
+  }
+
+  if ((entry.sources === undefined) === (entry.generator === undefined)) {
+    return 'needs either "sources" or "generator".';
+  }
+  if (entry.generator !== undefined && !isNoiseType(entry.generator)) {
+    return `"generator" must be one of ${NOISE_TYPES.join(', ')}.`;
+  }
+  if (
+    entry.sources !== undefined &&
+    !(
+      Array.isArray(entry.sources) &&
+      entry.sources.length > 0 &&
+      entry.sources.every(
+        (source) =>
+          isObject(source) &&
+          isText(source.url) &&
+          typeof source.type === 'string' &&
+          source.type.startsWith('audio/')
+      )
+    )
+  ) {
+    return '"sources" must list { url, type } pairs with audio/ types.';
+  }
+
+  const { loop } = entry;
+  if (loop !== undefined) {
+    if (!isObject(loop)) return '"loop" must be an object.';
+    if (
+      ['start', 'end', 'crossfade'].some(
+        (key) => key in loop && !isSeconds(loop[key])
+      )
+    ) {
+      return '"loop" start, end and crossfade must be seconds (0 or more).';
+    }
+    if ('start' in loop && 'end' in loop && loop.end <= loop.start) {
+      return '"loop" end must come after its start.';
+    }
+    if ('trimSilence' in loop && typeof loop.trimSilence !== 'boolean') {
+      return '"loop" trimSilence must be true or false.';
+    }
+  }
+  if (
+    entry.loudness !== undefined &&
+    !(Number.isFinite(entry.loudness) && entry.loudness <= 0)
+  ) {
+    return '"loudness" must be in dBFS (0 or less).';
+  }
+  if (
+    entry.attribution !== undefined &&
+    !(isObject(entry.attribution) && isText(entry.attribution.author))
+  ) {
+    return '"attribution" must name an author.';
+  }
+  return null;
+}
+
+// Turns a valid entry into a soundSources entry (see AudioController.js)
+function toSoundSource(entry) {
+  const { loop = {} } = entry;
+  const source = {
+    id: entry.id,
+    name: entry.name,
+    category: entry.category || null,
+    tags: entry.tags || [],
+  };
+  if (entry.generator) {
+    source.generator = entry.generator;
+  } else {
+    source.formats = entry.sources.map(({ url, type }) => ({ url, type }));
+    source.url = source.formats[0].url;
+  }
+  if ('start' in loop) source.loopStart = loop.start;
+  if ('end' in loop) source.loopEnd = loop.end;
+  if ('crossfade' in loop) source.loopCrossfade = loop.crossfade;
+  if (loop.trimSilence) source.trimSilence = true;
+  if (entry.loudness !== undefined) source.loudness = entry.loudness;
+  if (entry.attribution) source.attribution = { ...entry.attribution };
+  return source;
+}
+
+// Checks parsed manifest JSON. Returns { sounds, errors }: sounds holds the entries that
+// passed validation as soundSources entries, errors describes every entry that did not.
+// Throws a SoundCatalogError when the manifest itself is unusable.
+function parseSoundCatalog(data) {
+  if (!isObject(data) || !Array.isArray(data.sounds)) {
+    throw new SoundCatalogError('The sound list is malformed.');
+  }
+  if (data.version !== CATALOG_VERSION) {
+    throw new SoundCatalogError(
+      `The sound list has an unsupported version (${data.version}).`
+    );
+  }
+
+  const sounds = [];
+  const errors = [];
+  const ids = new Set();
+  const names = new Set();
+  data.sounds.forEach((entry, index) => {
+    const error = validateEntry(entry, ids, names);
+    if (error) {
+      const name =
+        isObject(entry) && isText(entry.name) ? ` ("${entry.name}")` : '';
+      errors.push(`Sound ${index + 1}${name}: ${error}`);
+      return;
+    }
+    ids.add(entry.id);
+    names.add(entry.name);
+    sounds.push(toSoundSource(entry));
+  });
+  return { sounds, errors };
+}
+
+// Downloads and checks the manifest. Resolves to { sounds, errors } (see
+// parseSoundCatalog) and rejects with a SoundCatalogError.
+async function loadSoundCatalog(url = CATALOG_URL) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    console.error('SoundCatalog: Could not fetch the catalog:', error);
+    throw new SoundCatalogError(
+      'The sound list could not be downloaded. Check your connection.'
+    );
+  }
+  if (!response.ok) {
+    throw new SoundCatalogError(
+      `The sound list could not be downloaded (HTTP ${response.status}).`
+    );
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    console.error('SoundCatalog: Catalog is not valid JSON:', error);
+    throw new SoundCatalogError('The sound list is malformed.');
+  }
+  const catalog = parseSoundCatalog(data);
+  if (catalog.errors.length > 0) {
+    console.warn('SoundCatalog: Skipped invalid sounds:', catalog.errors);
+  }
+  console.log(`SoundCatalog: Loaded ${catalog.sounds.length} sounds.`);
+  return catalog;
+}
+
+export { loadSoundCatalog, parseSoundCatalog, SoundCatalogError, CATALOG_URL };
@@ -0,0 +1,161 @@
+// src/SoundCatalog.test.js
+import {
+  loadSoundCatalog,
+  parseSoundCatalog,
+  SoundCatalogError,
+  CATALOG_URL,
+} from './SoundCatalog';
+import catalog from '../public/audio/sounds.json';
+
+const validEntry = {
+  id: 'cafe',
+  name: 'Cafe',
+  category: 'City',
+  tags: ['people', 'cups'],
+  sources: [
+    { url: '/audio/cafe.ogg', type: 'audio/ogg' },
+    { url: '/audio/cafe.mp3', type: 'audio/mpeg' },
+  ],
+  loop: { start: 1, end: 59, crossfade: 2, trimSilence: true },
+  loudness: -21,
+  attribution: { author: 'A. Recordist', license: 'CC0' },
+};
+
+const parseEntries = (...sounds) => parseSoundCatalog({ version: 1, sounds });
+
+describe('parseSoundCatalog', () => {
+  test('the shipped catalog should be valid', () => {
+    const { sounds, errors } = parseSoundCatalog(catalog);
+    expect(errors).toEqual([]);
+    expect(sounds.map((s) => s.name)).toEqual([
+      'Rain',
+      'Ocean Waves',
+      'Forest',
+      'White Noise',
+      'Pink Noise',
+      'Brown Noise',
+    ]);
+  });
+
+  test('should turn entries into sound sources', () => {
+    expect(parseEntries(validEntry).sounds).toEqual([
+      {
+        id: 'cafe',
+        name: 'Cafe',
+        category: 'City',
+        tags: ['people', 'cups'],
+        formats: validEntry.sources,
+        url: '/audio/cafe.ogg',
+        loopStart: 1,
+        loopEnd: 59,
+        loopCrossfade: 2,
+        trimSilence: true,
+        loudness: -21,
+        attribution: { author: 'A. Recordist', license: 'CC0' },
+      },
+    ]);
+  });
+
+  test('should accept generated sounds without a category', () => {
+    expect(
+      parseEntries({ id: 'hum', name: 'Hum', generator: 'brown' }).sounds
+    ).toEqual([
+      { id: 'hum', name: 'Hum', category: null, tags: [], generator: 'brown' },
+    ]);
+  });
+
+  test('should skip invalid entries and describe each of them', () => {
+    const { sounds, errors } = parseEntries(
+      validEntry,
+      { ...validEntry, id: 'Cafe 2' },
+      { ...validEntry, id: 'cafe-2' },
+      { ...validEntry, id: 'cafe-3', name: 'Cafe 3', generator: 'pink' },
+      { id: 'hiss', name: 'Hiss', generator: 'blue' },
+      {
+        id: 'wind',
+        name: 'Wind',
+        sources: [{ url: '/audio/wind.txt', type: 'text/plain' }],
+      },
+      { ...validEntry, id: 'bar', name: 'Bar', loop: { start: 5, end: 2 } },
+      { ...validEntry, id: 'pub', name: 'Pub', loudness: 3 },
+      {
+        ...validEntry,
+        id: 'inn',
+        name: 'Inn',
+        attribution: { license: 'CC0' },
+      },
+      'Library'
+    );
+
+    expect(sounds.map((s) => s.name)).toEqual(['Cafe']);
+    expect(errors).toEqual([
+      'Sound 2 ("Cafe"): "id" must be lowercase letters, digits and dashes.',
+      'Sound 3 ("Cafe"): the name "Cafe" is used twice.',
+      'Sound 4 ("Cafe 3"): needs either "sources" or "generator".',
+      'Sound 5 ("Hiss"): "generator" must be one of white, pink, brown.',
+      'Sound 6 ("Wind"): "sources" must list { url, type } pairs with audio/ types.',
+      'Sound 7 ("Bar"): "loop" end must come after its start.',
+      'Sound 8 ("Pub"): "loudness" must be in dBFS (0 or less).',
+      'Sound 9 ("Inn"): "attribution" must name an author.',
+      'Sound 10: must be an object.',
+    ]);
+  });
+
+  test('should reject a malformed catalog or an unknown version', () => {
+    expect(() => parseSoundCatalog([])).toThrow(SoundCatalogError);
+    expect(() => parseSoundCatalog({ version: 1 })).toThrow(
+      'The sound list is malformed.'
+    );
+    expect(() => parseSoundCatalog({ version: 2, sounds: [] })).toThrow(
+      'The sound list has an unsupported version (2).'
+    );
+  });
+});
+
+describe('loadSoundCatalog', () => {
+  let originalFetch;
+  let originalConsoleError;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    originalConsoleError = console.error;
+    console.error = jest.fn();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    console.error = originalConsoleError;
+  });
+
+  test('should download and parse the catalog', async () => {
+    global.fetch = jest.fn(() =>
+      Promise.resolve({ ok: true, json: () => Promise.resolve(catalog) })
+    );
+    const { sounds, errors } = await loadSoundCatalog();
+    expect(global.fetch).toHaveBeenCalledWith(CATALOG_URL);
+    expect(sounds).toHaveLength(6);
+    expect(errors).toEqual([]);
+  });
+
+  test('should reject with a readable error when the download fails', async () => {
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('offline')));
+    await expect(loadSoundCatalog()).rejects.toThrow(
+      'The sound list could not be downloaded. Check your connection.'
+    );
+
+    global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404 }));
+    await expect(loadSoundCatalog()).rejects.toThrow(
+      'The sound list could not be downloaded (HTTP 404).'
+    );
+  });
+
+  test('should reject a catalog that is not JSON', async () => {
+    global.fetch = jest.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.reject(new SyntaxError('Unexpected token')),
+      })
+    );
+    await expect(loadSoundCatalog()).rejects.toThrow(SoundCatalogError);
+  });
+});
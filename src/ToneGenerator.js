@@ -0,0 +1,124 @@
+// src/ToneGenerator.js
+
+// Brainwave-entrainment tones built from oscillators. Two modes:
+// - binaural: a slightly different frequency in each ear (carrier ± beat / 2); the beat is
+//   perceived inside the head, so it needs headphones.
+// - isochronic: a single carrier pulsed on and off at the beat frequency; works on speakers.
+
+const TONE_MODES = ['binaural', 'isochronic'];
+
+// Beat frequencies sit inside each brainwave band; carriers are low enough to stay unobtrusive
+const TONE_PRESETS = {
+  delta: { carrier: 100, beat: 2 }, // Deep sleep
+  theta: { carrier: 150, beat: 6 }, // Meditation, drowsiness
+  alpha: { carrier: 200, beat: 10 }, // Relaxed focus
+  beta: { carrier: 250, beat: 20 }, // Alert concentration
+};
+
+// Finds the preset matching a carrier/beat pair, or null for custom values
+function findTonePreset(carrier, beat) {
+  const match = Object.entries(TONE_PRESETS).find(
+    ([, preset]) => preset.carrier === carrier && preset.beat === beat
+  );
+  return match ? match[0] : null;
+}
+
+class ToneGenerator {
+  constructor(audioContext, destination) {
+    this.audioContext = audioContext;
+    this.destination = destination; // Node the tone is mixed into
+    this.mode = null; // Mode of the running graph, null when stopped
+    this.oscillators = []; // Every oscillator of the running graph, stopped together
+    this.carriers = []; // Audible oscillators, [left, right] in binaural mode
+    this.pulse = null; // Isochronic only: LFO driving the carrier's gain
+    this.output = null; // Last node of the graph, connected to the destination
+  }
+
+  isRunning() {
+    return this.mode !== null;
+  }
+
+  start({ carrier, beat, mode }) {
+    if (!TONE_MODES.includes(mode)) {
+      throw new Error(`Unknown tone mode "${mode}".`);
+    }
+    if (this.isRunning()) this.stop();
+
+    if (mode === 'binaural') {
+      // Merge one oscillator per ear into a stereo signal
+      this.output = this.audioContext.createChannelMerger(2);
+      this.carriers = [0, 1].map((channel) => {
+        const oscillator = this._createOscillator('sine');
+        oscillator.connect(this.output, 0, channel);
+        return oscillator;
+      });
+      this.oscillators = [...this.carriers];
+    } else {
+      // Gain oscillates between 0 and 1: a base level of 0.5 plus a ±0.5 LFO.
+      // A sine LFO pulses smoothly, avoiding the clicks of a hard on/off switch.
+      this.output = this.audioContext.createGain();
+      this.output.gain.value = 0.5;
+      const depth = this.audioContext.createGain();
+      depth.gain.value = 0.5;
+      this.pulse = this._createOscillator('sine');
+      this.pulse.connect(depth);
+      depth.connect(this.output.gain);
+      this.carriers = [this._createOscillator('sine')];
+      this.carriers[0].connect(this.output);
+      this.oscillators = [...this.carriers, this.pulse];
+    }
+    this.mode = mode;
+    this._setFrequencies(carrier, beat);
+    this.output.connect(this.destination);
+    this.oscillators.forEach((oscillator) => oscillator.start(0));
+  }
+
+  // Applies new parameters to the running graph; a mode change rebuilds it.
+  update({ carrier, beat, mode }) {
+    if (!this.isRunning()) return;
+    if (mode !== this.mode) {
+      this.start({ carrier, beat, mode });
+      return;
+    }
+    this._setFrequencies(carrier, beat);
+  }
+
+  // Stops the oscillators at context time `when` (0 = now) and releases the graph.
+  stop(when = 0) {
+    if (!this.isRunning()) return;
+    const output = this.output;
+    this.oscillators.forEach((oscillator) => {
+      oscillator.onended = () => {
+        oscillator.disconnect();
+        output.disconnect();
+      };
+      oscillator.stop(when);
+    });
+    this.mode = null;
+    this.oscillators = [];
+    this.carriers = [];
+    this.pulse = null;
+    this.output = null;
+  }
+
+  _createOscillator(type) {
+    const oscillator = this.audioContext.createOscillator();
+    oscillator.type = type;
+    return oscillator;
+  }
+
+  _setFrequencies(carrier, beat) {
+    const now = this.audioContext.currentTime;
+    if (this.mode === 'binaural') {
+      const [left, right] = this.carriers;
+      left.frequency.setValueAtTime(carrier - beat / 2, now);
+      right.frequency.setValueAtTime(carrier + beat / 2, now);
+    } else {
+      this.carriers[0].frequency.setValueAtTime(carrier, now);
+      this.pulse.frequency.setValueAtTime(beat, now);
+    }
+  }
+}
+
+export default ToneGenerator;
+export { TONE_MODES, TONE_PRESETS, findTonePreset };
@@ -0,0 +1,103 @@
+// src/ToneGenerator.test.js
+import ToneGenerator, {
+  TONE_MODES,
+  TONE_PRESETS,
+  findTonePreset,
+} from './ToneGenerator';
+
+const createMockNode = () => ({ connect: jest.fn(), disconnect: jest.fn() });
+
+const mockAudioContext = {
+  currentTime: 0,
+  createOscillator: jest.fn(() => ({
+    ...createMockNode(),
+    start: jest.fn(),
+    stop: jest.fn(),
+    type: 'sine',
+    frequency: { value: 440, setValueAtTime: jest.fn() },
+  })),
+  createGain: jest.fn(() => ({ ...createMockNode(), gain: { value: 1 } })),
+  createChannelMerger: jest.fn(() => createMockNode()),
+};
+
+describe('ToneGenerator', () => {
+  let toneGenerator;
+  let destination;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    destination = createMockNode();
+    toneGenerator = new ToneGenerator(mockAudioContext, destination);
+  });
+
+  test('exposes the brainwave presets and modes', () => {
+    expect(Object.keys(TONE_PRESETS)).toEqual([
+      'delta',
+      'theta',
+      'alpha',
+      'beta',
+    ]);
+    expect(TONE_MODES).toEqual(['binaural', 'isochronic']);
+    expect(findTonePreset(200, 10)).toBe('alpha');
+    expect(findTonePreset(200, 11)).toBeNull();
+  });
+
+  test('binaural mode should split carrier ± beat / 2 across the ears', () => {
+    toneGenerator.start({ carrier: 200, beat: 10, mode: 'binaural' });
+    const [left, right] = toneGenerator.carriers;
+    const merger = toneGenerator.output;
+
+    expect(left.frequency.setValueAtTime).toHaveBeenCalledWith(195, 0);
+    expect(right.frequency.setValueAtTime).toHaveBeenCalledWith(205, 0);
+    expect(left.connect).toHaveBeenCalledWith(merger, 0, 0);
+    expect(right.connect).toHaveBeenCalledWith(merger, 0, 1);
+    expect(merger.connect).toHaveBeenCalledWith(destination);
+    expect(left.start).toHaveBeenCalled();
+    expect(right.start).toHaveBeenCalled();
+  });
+
+  test('isochronic mode should pulse a single carrier at the beat frequency', () => {
+    toneGenerator.start({ carrier: 150, beat: 6, mode: 'isochronic' });
+    const [carrier] = toneGenerator.carriers;
+    const { pulse, output } = toneGenerator;
+
+    expect(carrier.frequency.setValueAtTime).toHaveBeenCalledWith(150, 0);
+    expect(pulse.frequency.setValueAtTime).toHaveBeenCalledWith(6, 0);
+    expect(carrier.connect).toHaveBeenCalledWith(output);
+    expect(output.gain.value).toBe(0.5); // Base of the 0..1 pulse
+    expect(output.connect).toHaveBeenCalledWith(destination);
+  });
+
+  test('update should retune in place and rebuild on a mode change', () => {
+    toneGenerator.start({ carrier: 200, beat: 10, mode: 'binaural' });
+    const [left] = toneGenerator.carriers;
+
+    toneGenerator.update({ carrier: 100, beat: 2, mode: 'binaural' });
+    expect(toneGenerator.carriers[0]).toBe(left);
+    expect(left.frequency.setValueAtTime).toHaveBeenLastCalledWith(99, 0);
+
+    toneGenerator.update({ carrier: 100, beat: 2, mode: 'isochronic' });
+    expect(left.stop).toHaveBeenCalledWith(0);
+    expect(toneGenerator.mode).toBe('isochronic');
+  });
+
+  test('stop should schedule every oscillator and release the graph', () => {
+    toneGenerator.start({ carrier: 150, beat: 6, mode: 'isochronic' });
+    const [carrier] = toneGenerator.carriers;
+    const { pulse, output } = toneGenerator;
+
+    toneGenerator.stop(5);
+    expect(carrier.stop).toHaveBeenCalledWith(5);
+    expect(pulse.stop).toHaveBeenCalledWith(5);
+    expect(toneGenerator.isRunning()).toBe(false);
+
+    carrier.onended();
+    expect(output.disconnect).toHaveBeenCalled();
+  });
+
+  test('start should throw for unknown modes', () => {
+    expect(() =>
+      toneGenerator.start({ carrier: 200, beat: 10, mode: 'monaural' })
+    ).toThrow('Unknown tone mode "monaural".');
+  });
+});
@@ -1,19 +1,91 @@
 // src/UIController.js
+import { findTonePreset } from './ToneGenerator.js';
+
+// Formats a duration in milliseconds as m:ss (or h:mm:ss for an hour or more)
+function formatRemainingTime(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+  }
+  return `${minutes}:${seconds}`;
+}
+
 class UIController {
-  constructor(appContext) {
-    this.appContext = appContext;
+  constructor(store = null) {
+    this.store = store; // AppStore the transport controls render from
 
     // DOM Elements
     this.playPauseBtn = document.getElementById('play-pause-btn');
     this.volumeSlider = document.getElementById('volume-slider');
+    this.volumeBtn = document.querySelector('.volume-btn');
+    this.volumeIcon = this.volumeBtn
+      ? this.volumeBtn.querySelector('.volume-icon')
+      : null;
     this.controlsElement = document.querySelector('.controls');
     this.reducedMotionToggle = document.getElementById('reduced-motion-toggle');
 
+    // Sleep Timer Elements
+    this.sleepTimerBtn = document.getElementById('sleep-timer-btn');
+    this.sleepTimerSelect = document.getElementById('sleep-timer-select');
+    this.sleepTimerCustomInput = document.getElementById('sleep-timer-custom');
+    this.sleepTimerRemaining = document.getElementById('sleep-timer-remaining');
+
+    // Focus Session Elements
+    this.focusSessionBtn = document.getElementById('focus-session-btn');
+    this.focusWorkInput = document.getElementById('focus-work-minutes');
+    this.focusBreakInput = document.getElementById('focus-break-minutes');
+    this.focusBreakSoundSelect = document.getElementById('focus-break-sound');
+    this.focusSessionStatus = document.getElementById('focus-session-status');
+
+    // Preset Elements
+    this.presetSelect = document.getElementById('preset-select');
+    this.presetSaveBtn = document.getElementById('preset-save-btn');
+    this.presetOverwriteBtn = document.getElementById('preset-overwrite-btn');
+    this.presetRenameBtn = document.getElementById('preset-rename-btn');
+    this.presetDeleteBtn = document.getElementById('preset-delete-btn');
+    this.copyLinkBtn = document.getElementById('copy-link-btn');
+    this.settingsExportBtn = document.getElementById('settings-export-btn');
+    this.settingsImportBtn = document.getElementById('settings-import-btn');
+    this.settingsImportInput = document.getElementById('settings-import-input');
+    this.normalizeLoudnessToggle = document.getElementById(
+      'normalize-loudness-toggle'
+    );
+    this.dataSaverToggle = document.getElementById('data-saver-toggle');
+
+    // Offline Elements
+    this.offlineGroup = document.getElementById('offline-group');
+    this.downloadAllBtn = document.getElementById('download-all-btn');
+    this.offlineStatus = document.getElementById('offline-status');
+    this.appUpdateBtn = document.getElementById('app-update-btn');
+
+    // Tone Generator Elements
+    this.toneBtn = document.getElementById('tone-btn');
+    this.tonePresetSelect = document.getElementById('tone-preset');
+    this.toneModeSelect = document.getElementById('tone-mode');
+    this.toneCarrierInput = document.getElementById('tone-carrier');
+    this.toneBeatInput = document.getElementById('tone-beat');
+    this.toneVolumeSlider = document.getElementById('tone-volume');
+    this.toneSoloToggle = document.getElementById('tone-solo');
+    this.tonePresets = {}; // Set by populateToneOptions
+
     // Custom Dropdown Elements
     this.customSelectContainer = document.getElementById('sound-selector-custom');
     this.customSelectTrigger = this.customSelectContainer ? this.customSelectContainer.querySelector('.custom-select-trigger') : null;
     this.customSelectOptionsList = document.getElementById('sound-options-list');
 
+    // Sound Import Elements
+    this.importSoundBtn = document.getElementById('import-sound-btn');
+    this.importSoundInput = document.getElementById('import-sound-input');
+    this.onCustomSoundRename = null; // Set by bindCustomSoundActions
+    this.onCustomSoundDelete = null;
+    this.onSoundRetry = null; // Set by bindSoundRetry
+
+    this.soundLoadStates = new Map(); // Sound name -> last 'soundload' state, reapplied when options are rebuilt
+    this.selectedSoundName = null; // The play button shows this sound's load progress
+
     this.errorDisplayElement = null;
 
     if (!this.controlsElement) console.error("UIController: Controls element not found!");
@@ -21,6 +93,39 @@ class UIController {
 
     this._setupCustomDropdown();
     this._setupDesktopTilt();
+    if (this.store) this._connectStore();
+  }
+
+  // --- App State ---
+  // Playback, loading, the current sound and the master level follow the store, so they
+  // stay right whatever stopped or started playback (sleep timer, another tab, ...).
+  _connectStore() {
+    this.store.on('change', (state, changedKeys) =>
+      this._renderState(state, changedKeys)
+    );
+    this.store.on('error', ({ message, retry }) =>
+      this.displayError(message, { onRetry: retry })
+    );
+    this.store.on('soundload', ({ name, ...state }) =>
+      this.updateSoundLoadState(name, state)
+    );
+    this._renderState(
+      this.store.getState(),
+      Object.keys(this.store.getState())
+    );
+  }
+
+  _renderState(state, changedKeys) {
+    const changed = (...keys) => keys.some((key) => changedKeys.includes(key));
+    if (changed('isPlaying')) this.updatePlayButtonState(state.isPlaying);
+    if (changed('isLoading')) this.updateLoadingState(state.isLoading);
+    if (changed('currentSound') && state.currentSound) {
+      this.updateSoundSelection(state.currentSound);
+    }
+    if (changed('volume', 'isMuted')) {
+      this.updateVolumeSlider(state.volume);
+      this.updateMuteButton(state.isMuted, state.volume);
+    }
   }
 
   // --- Initialization & Setup ---
@@ -75,34 +180,41 @@ class UIController {
   }
 
   _focusNextOption() {
-      const options = Array.from(this.customSelectOptionsList.querySelectorAll('li'));
-      const currentIndex = options.findIndex(opt => opt.classList.contains('focused'));
-      let nextIndex = currentIndex + 1;
-      if (nextIndex >= options.length) nextIndex = 0;
+    const options = this._getSoundOptions();
+    const currentIndex = options.findIndex((opt) =>
+      opt.classList.contains('focused')
+    );
+    let nextIndex = currentIndex + 1;
+    if (nextIndex >= options.length) nextIndex = 0;
 
-      this._setFocusedOption(options[nextIndex]);
+    this._setFocusedOption(options[nextIndex]);
   }
 
   _focusPrevOption() {
-      const options = Array.from(this.customSelectOptionsList.querySelectorAll('li'));
-      const currentIndex = options.findIndex(opt => opt.classList.contains('focused'));
-      let nextIndex = currentIndex - 1;
-      if (nextIndex < 0) nextIndex = options.length - 1;
+    const options = this._getSoundOptions();
+    const currentIndex = options.findIndex((opt) =>
+      opt.classList.contains('focused')
+    );
+    let nextIndex = currentIndex - 1;
+    if (nextIndex < 0) nextIndex = options.length - 1;
 
-      this._setFocusedOption(options[nextIndex]);
+    this._setFocusedOption(options[nextIndex]);
   }
 
   _setFocusedOption(option) {
-      const options = Array.from(this.customSelectOptionsList.querySelectorAll('li'));
-      options.forEach(opt => opt.classList.remove('focused'));
-      if (option) {
-          option.classList.add('focused');
-          this.customSelectOptionsList.setAttribute('aria-activedescendant', option.id);
-          option.scrollIntoView({ block: 'nearest' });
-          // Ensure visual focus style in CSS matches .focused
-      } else {
-          this.customSelectOptionsList.removeAttribute('aria-activedescendant');
-      }
+    const options = this._getSoundOptions();
+    options.forEach((opt) => opt.classList.remove('focused'));
+    if (option) {
+      option.classList.add('focused');
+      this.customSelectOptionsList.setAttribute(
+        'aria-activedescendant',
+        option.id
+      );
+      option.scrollIntoView({ block: 'nearest' });
+      // Ensure visual focus style in CSS matches .focused
+    } else {
+      this.customSelectOptionsList.removeAttribute('aria-activedescendant');
+    }
   }
 
   _toggleDropdown() {
@@ -123,8 +235,8 @@ class UIController {
     const selected = this.customSelectOptionsList.querySelector('.selected');
     if (selected) this._setFocusedOption(selected);
     else {
-        const first = this.customSelectOptionsList.querySelector('li');
-        if (first) this._setFocusedOption(first);
+      const first = this._getSoundOptions()[0];
+      if (first) this._setFocusedOption(first);
     }
   }
 
@@ -132,8 +244,8 @@ class UIController {
     this.customSelectTrigger.setAttribute('aria-expanded', 'false');
     this.customSelectOptionsList.classList.remove('open');
     // Clear focus state
-    const options = Array.from(this.customSelectOptionsList.querySelectorAll('li'));
-    options.forEach(opt => opt.classList.remove('focused'));
+    const options = this._getSoundOptions();
+    options.forEach((opt) => opt.classList.remove('focused'));
   }
 
   _setupDesktopTilt() {
@@ -166,48 +278,136 @@ class UIController {
 
   // --- Public API ---
 
+  // Sounds with a category are listed under a heading, in the order the categories
+  // first appear; sounds without one are listed on their own.
   populateSoundOptions(soundSources) {
     if (!this.customSelectOptionsList) return;
     this.customSelectOptionsList.innerHTML = '';
 
-    soundSources.forEach(sound => {
-      const li = document.createElement('li');
-      li.id = `option-${sound.name.replace(/\s+/g, '-').toLowerCase()}`;
-      li.textContent = sound.name; // assuming sound.name is Display Name
-      li.setAttribute('data-value', sound.name);
-      li.setAttribute('role', 'option');
-      li.tabIndex = -1; // make programmable focusable if needed, but we manage visually
-
-      li.addEventListener('click', (e) => {
-        e.stopPropagation(); // prevent bubbling to document (close) immediately
-        this._selectOption(sound.name, li);
-        this._closeDropdown();
-      });
+    const groups = new Map(); // Category -> list its options go into
+    soundSources.forEach((sound) => {
+      const li = this._createSoundOption(sound);
+      if (!sound.category) {
+        this.customSelectOptionsList.appendChild(li);
+        return;
+      }
+      if (!groups.has(sound.category)) {
+        groups.set(sound.category, this._createOptionGroup(sound.category));
+      }
+      groups.get(sound.category).appendChild(li);
+    });
+  }
 
-      // Allow keyboard selection via Enter/Space when focused
-      // Since the container handles keys, we check for focused item there.
-      // But we can add specific handling here if we wanted listeners on LIs.
+  _createSoundOption(sound) {
+    const li = document.createElement('li');
+    li.id = `option-${sound.name.replace(/\s+/g, '-').toLowerCase()}`;
+    li.textContent = sound.name; // assuming sound.name is Display Name
+    li.setAttribute('data-value', sound.name);
+    li.setAttribute('role', 'option');
+    li.tabIndex = -1; // make programmable focusable if needed, but we manage visually
 
-      this.customSelectOptionsList.appendChild(li);
+    li.addEventListener('click', (e) => {
+      e.stopPropagation(); // prevent bubbling to document (close) immediately
+      this._selectOption(sound.name, li);
+      this._closeDropdown();
     });
+
+    if (sound.custom) this._addCustomSoundActions(li, sound.name);
+    if (this.soundLoadStates.has(sound.name)) {
+      this._renderOptionLoadState(li, this.soundLoadStates.get(sound.name));
+    }
+
+    // Allow keyboard selection via Enter/Space when focused
+    // Since the container handles keys, we check for focused item there.
+    // But we can add specific handling here if we wanted listeners on LIs.
+    return li;
+  }
+
+  // Appends a labelled group to the listbox and returns the list its options go into
+  _createOptionGroup(category) {
+    const labelId = `option-group-${category.replace(/\s+/g, '-').toLowerCase()}`;
+    const container = document.createElement('li');
+    container.className = 'option-group';
+    container.setAttribute('role', 'presentation');
+    const label = document.createElement('span');
+    label.className = 'option-group-label';
+    label.id = labelId;
+    label.textContent = category;
+    const list = document.createElement('ul');
+    list.setAttribute('role', 'group');
+    list.setAttribute('aria-labelledby', labelId);
+    container.append(label, list);
+    this.customSelectOptionsList.appendChild(container);
+    return list;
+  }
+
+  // Every option in the listbox; category groups are list items too
+  _getSoundOptions() {
+    return Array.from(
+      this.customSelectOptionsList.querySelectorAll('li[role="option"]')
+    );
+  }
+
+  // Imported sounds get rename/delete buttons inside their option
+  _addCustomSoundActions(li, soundName) {
+    li.classList.add('custom-sound');
+    const label = document.createElement('span');
+    label.className = 'option-label';
+    label.textContent = soundName;
+    const actions = document.createElement('span');
+    actions.className = 'option-actions';
+    [
+      ['edit', `Rename ${soundName}`, () => this._promptRename(soundName)],
+      ['delete', `Delete ${soundName}`, () => this._confirmDelete(soundName)],
+    ].forEach(([icon, ariaLabel, onClick]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'option-action-btn material-symbols-rounded';
+      button.textContent = icon;
+      button.setAttribute('aria-label', ariaLabel);
+      button.addEventListener('click', (e) => {
+        e.stopPropagation(); // Don't select the sound
+        onClick();
+      });
+      actions.appendChild(button);
+    });
+    li.textContent = '';
+    li.append(label, actions);
+  }
+
+  _promptRename(soundName) {
+    if (!this.onCustomSoundRename) return;
+    const newName = window.prompt('Rename sound', soundName);
+    if (newName !== null && newName.trim() && newName.trim() !== soundName) {
+      this.onCustomSoundRename(soundName, newName.trim());
+    }
+  }
+
+  _confirmDelete(soundName) {
+    if (!this.onCustomSoundDelete) return;
+    if (window.confirm(`Delete "${soundName}"? This cannot be undone.`)) {
+      this.onCustomSoundDelete(soundName);
+    }
   }
 
   _selectOption(value, optionElement) {
     // Update visual selection
-    const allOptions = this.customSelectOptionsList.querySelectorAll('li');
-    allOptions.forEach(opt => opt.classList.remove('selected'));
+    const allOptions = this._getSoundOptions();
+    allOptions.forEach((opt) => opt.classList.remove('selected'));
 
     if (optionElement) {
-        optionElement.classList.add('selected');
+      optionElement.classList.add('selected');
     }
 
     // Update trigger text
     const valueSpan = this.customSelectTrigger.querySelector('.selected-value');
     if (valueSpan) valueSpan.textContent = value;
+    this.selectedSoundName = value;
+    this._renderPlayButtonLoadState();
 
     // Trigger callback if registered
     if (this.onSoundChangeCallback) {
-        this.onSoundChangeCallback({ target: { value } }); // Mock event object
+      this.onSoundChangeCallback({ target: { value } }); // Mock event object
     }
 
     this.triggerHapticFeedback([15]);
@@ -215,24 +415,113 @@ class UIController {
 
   updateSoundSelection(soundName) {
     // Programmatic update
-    const allOptions = this.customSelectOptionsList.querySelectorAll('li');
+    const allOptions = this._getSoundOptions();
     let targetOption = null;
 
-    allOptions.forEach(opt => {
-        if (opt.getAttribute('data-value') === soundName) {
-            targetOption = opt;
-        }
+    allOptions.forEach((opt) => {
+      if (opt.getAttribute('data-value') === soundName) {
+        targetOption = opt;
+      }
     });
 
     if (targetOption) {
-        // Just update visual state, don't trigger callback to avoid loops if needed
-        allOptions.forEach(opt => opt.classList.remove('selected'));
-        targetOption.classList.add('selected');
-        const valueSpan = this.customSelectTrigger.querySelector('.selected-value');
-        if (valueSpan) valueSpan.textContent = soundName;
+      // Just update visual state, don't trigger callback to avoid loops if needed
+      allOptions.forEach((opt) => opt.classList.remove('selected'));
+      targetOption.classList.add('selected');
+      const valueSpan =
+        this.customSelectTrigger.querySelector('.selected-value');
+      if (valueSpan) valueSpan.textContent = soundName;
+    }
+    this.selectedSoundName = soundName;
+    this._renderPlayButtonLoadState();
+  }
+
+  // --- Sound Loading ---
+  // state: { status: 'idle' | 'loading' | 'ready' | 'error', progress: 0-1 | null, error? }
+  // (see AudioController.getSoundLoadState). The option shows a percentage or a failure,
+  // the play button fills up while the selected sound downloads.
+  updateSoundLoadState(soundName, state) {
+    this.soundLoadStates.set(soundName, state);
+    const li = this._findOption(soundName);
+    if (li) this._renderOptionLoadState(li, state);
+    if (soundName === this.selectedSoundName) {
+      this._renderPlayButtonLoadState();
+    }
+  }
+
+  _findOption(soundName) {
+    if (!this.customSelectOptionsList) return null;
+    return (
+      this._getSoundOptions().find(
+        (li) => li.getAttribute('data-value') === soundName
+      ) || null
+    );
+  }
+
+  _renderOptionLoadState(li, { status, progress, attempt = 1, error }) {
+    li.dataset.loadStatus = status;
+    li.setAttribute('aria-busy', status === 'loading' ? 'true' : 'false');
+    let text = '';
+    if (status === 'loading' && attempt > 1 && !progress) {
+      text = 'Retrying';
+    } else if (status === 'loading') {
+      text = progress === null ? 'Loading' : `${Math.floor(progress * 100)}%`;
+    } else if (status === 'error') {
+      text = 'Failed';
+    }
+    let label = li.querySelector('.option-status');
+    const retryButton = li.querySelector('.option-retry-btn');
+    if (retryButton && status !== 'error') retryButton.remove();
+    if (!text) {
+      if (label) label.remove();
+      return;
+    }
+    const actions = li.querySelector('.option-actions');
+    if (!label) {
+      label = document.createElement('span');
+      label.className = 'option-status';
+      li.insertBefore(label, actions); // Before an import's rename/delete buttons
+    }
+    label.textContent = text;
+    label.title = status === 'error' && error ? error : '';
+    if (status === 'error' && !retryButton) {
+      li.insertBefore(this._createRetryButton(li), actions);
     }
   }
 
+  // Lets a failed sound be loaded again without opening a menu
+  _createRetryButton(li) {
+    const soundName = li.getAttribute('data-value');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className =
+      'option-action-btn option-retry-btn material-symbols-rounded';
+    button.textContent = 'refresh';
+    button.setAttribute('aria-label', `Retry loading ${soundName}`);
+    button.addEventListener('click', (e) => {
+      e.stopPropagation(); // Don't select the sound
+      if (this.onSoundRetry) this.onSoundRetry(soundName);
+    });
+    return button;
+  }
+
+  // callback(soundName) runs when a failed sound's Retry button is pressed
+  bindSoundRetry(callback) {
+    this.onSoundRetry = callback;
+  }
+
+  _renderPlayButtonLoadState() {
+    if (!this.playPauseBtn) return;
+    const { status = 'idle', progress = 0 } =
+      this.soundLoadStates.get(this.selectedSoundName) || {};
+    this.playPauseBtn.dataset.loadStatus = status;
+    // Unknown sizes show the pulse only
+    this.playPauseBtn.style.setProperty(
+      '--load-progress',
+      String(status === 'loading' && progress !== null ? progress : 1)
+    );
+  }
+
   updatePlayButtonState(isPlaying) {
     if (!this.playPauseBtn) return;
     const iconSpan = this.playPauseBtn.querySelector('.material-symbols-rounded');
@@ -244,6 +533,27 @@ class UIController {
     this.playPauseBtn.setAttribute('aria-pressed', isPlaying ? 'true' : 'false');
   }
 
+  updateLoadingState(isLoading) {
+    if (!this.playPauseBtn) return;
+    this.playPauseBtn.classList.toggle('is-loading', isLoading);
+    this.playPauseBtn.setAttribute('aria-busy', isLoading ? 'true' : 'false');
+  }
+
+  // Marks the play button while another tab owns playback; pressing it takes over
+  updatePlaybackElsewhere(isPlayingElsewhere) {
+    if (!this.playPauseBtn) return;
+    this.playPauseBtn.classList.toggle(
+      'is-playing-elsewhere',
+      isPlayingElsewhere
+    );
+    if (isPlayingElsewhere) {
+      this.playPauseBtn.title =
+        'Playing in another tab. Press play to listen here instead.';
+    } else {
+      this.playPauseBtn.removeAttribute('title');
+    }
+  }
+
   updateVolumeSlider(volume) {
     if (!this.volumeSlider) return;
     this.volumeSlider.value = volume;
@@ -252,13 +562,202 @@ class UIController {
     this.volumeSlider.style.backgroundSize = `${percentage}% 100%`;
   }
 
+  // Icon reflects the audible level: off when muted or at zero, down below half volume
+  updateMuteButton(isMuted, volume) {
+    if (!this.volumeBtn) return;
+    let icon = 'volume_up';
+    if (isMuted || volume === 0) icon = 'volume_off';
+    else if (volume < 0.5) icon = 'volume_down';
+    if (this.volumeIcon) this.volumeIcon.textContent = icon;
+    this.volumeBtn.setAttribute('aria-pressed', isMuted ? 'true' : 'false');
+    this.volumeBtn.setAttribute('aria-label', isMuted ? 'Unmute' : 'Mute');
+  }
+
   updateReducedMotionToggle(isChecked) {
     if (!this.reducedMotionToggle) return;
     this.reducedMotionToggle.checked = isChecked;
     this.reducedMotionToggle.setAttribute('aria-checked', isChecked ? 'true' : 'false');
   }
 
-  displayError(message) {
+  populateSleepTimerOptions(presets) {
+    if (!this.sleepTimerSelect) return;
+    this.sleepTimerSelect.innerHTML = '';
+
+    presets.forEach((minutes) => {
+      const option = document.createElement('option');
+      option.value = String(minutes);
+      option.textContent = `${minutes} min`;
+      this.sleepTimerSelect.appendChild(option);
+    });
+
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom…';
+    this.sleepTimerSelect.appendChild(customOption);
+  }
+
+  updateSleepTimerDuration(minutes) {
+    if (!this.sleepTimerSelect) return;
+    const presetOption = Array.from(this.sleepTimerSelect.options).find(
+      (opt) => opt.value === String(minutes)
+    );
+    this.sleepTimerSelect.value = presetOption ? presetOption.value : 'custom';
+    if (this.sleepTimerCustomInput) {
+      this.sleepTimerCustomInput.hidden = Boolean(presetOption);
+      if (!presetOption) this.sleepTimerCustomInput.value = minutes;
+    }
+  }
+
+  updateSleepTimerState(isActive, remainingMs = 0) {
+    if (this.sleepTimerBtn) {
+      this.sleepTimerBtn.setAttribute(
+        'aria-pressed',
+        isActive ? 'true' : 'false'
+      );
+      this.sleepTimerBtn.setAttribute(
+        'aria-label',
+        isActive ? 'Cancel sleep timer' : 'Start sleep timer'
+      );
+    }
+    if (this.sleepTimerRemaining) {
+      this.sleepTimerRemaining.textContent = isActive
+        ? formatRemainingTime(remainingMs)
+        : '';
+    }
+  }
+
+  populateFocusBreakSoundOptions(soundSources) {
+    if (!this.focusBreakSoundSelect) return;
+    this.focusBreakSoundSelect.innerHTML = '';
+
+    const keepOption = document.createElement('option');
+    keepOption.value = '';
+    keepOption.textContent = 'Same sound on breaks';
+    this.focusBreakSoundSelect.appendChild(keepOption);
+
+    soundSources.forEach((sound) => {
+      const option = document.createElement('option');
+      option.value = sound.name;
+      option.textContent = `${sound.name} on breaks`;
+      this.focusBreakSoundSelect.appendChild(option);
+    });
+  }
+
+  updateFocusSessionOptions({ workMinutes, breakMinutes, breakSound }) {
+    if (this.focusWorkInput) this.focusWorkInput.value = workMinutes;
+    if (this.focusBreakInput) this.focusBreakInput.value = breakMinutes;
+    if (this.focusBreakSoundSelect) {
+      this.focusBreakSoundSelect.value = breakSound || '';
+    }
+  }
+
+  // phase is 'work', 'break' or null when no session is running
+  updateFocusSessionState(phase, remainingMs = 0, completedCount = 0) {
+    if (this.focusSessionBtn) {
+      this.focusSessionBtn.setAttribute(
+        'aria-pressed',
+        phase ? 'true' : 'false'
+      );
+      this.focusSessionBtn.setAttribute(
+        'aria-label',
+        phase ? 'Stop focus session' : 'Start focus session'
+      );
+    }
+    if (!this.focusSessionStatus) return;
+
+    const parts = [];
+    if (phase) {
+      const label = phase === 'work' ? 'Focus' : 'Break';
+      parts.push(`${label} ${formatRemainingTime(remainingMs)}`);
+    }
+    if (completedCount > 0) parts.push(`${completedCount} done`);
+    this.focusSessionStatus.textContent = parts.join(' · ');
+    if (phase) {
+      this.focusSessionStatus.setAttribute('data-phase', phase);
+    } else {
+      this.focusSessionStatus.removeAttribute('data-phase');
+    }
+  }
+
+  // presets: [{ id, name }]; selectedId marks the preset last recalled or saved (if any)
+  populatePresetOptions(presets, selectedId = null) {
+    if (!this.presetSelect) return;
+    this.presetSelect.innerHTML = '';
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = presets.length ? 'Presets…' : 'No presets yet';
+    this.presetSelect.appendChild(placeholder);
+
+    presets.forEach((preset) => {
+      const option = document.createElement('option');
+      option.value = preset.id;
+      option.textContent = preset.name;
+      this.presetSelect.appendChild(option);
+    });
+    this.presetSelect.value = selectedId || '';
+    this._updatePresetButtons();
+  }
+
+  // Rename/overwrite/delete act on the selected preset, so they need one
+  _updatePresetButtons() {
+    const hasSelection = Boolean(this.presetSelect && this.presetSelect.value);
+    [this.presetOverwriteBtn, this.presetRenameBtn, this.presetDeleteBtn]
+      .filter(Boolean)
+      .forEach((button) => {
+        button.disabled = !hasSelection;
+      });
+  }
+
+  // presets: { name: { carrier, beat } }, modes: string[]
+  populateToneOptions(presets, modes) {
+    this.tonePresets = presets;
+    if (this.tonePresetSelect) {
+      this.tonePresetSelect.innerHTML = '';
+      Object.entries(presets).forEach(([name, { beat }]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = `${name[0].toUpperCase()}${name.slice(1)} (${beat} Hz)`;
+        this.tonePresetSelect.appendChild(option);
+      });
+      const customOption = document.createElement('option');
+      customOption.value = 'custom';
+      customOption.textContent = 'Custom';
+      this.tonePresetSelect.appendChild(customOption);
+    }
+    if (this.toneModeSelect) {
+      this.toneModeSelect.innerHTML = '';
+      modes.forEach((mode) => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = `${mode[0].toUpperCase()}${mode.slice(1)}`;
+        this.toneModeSelect.appendChild(option);
+      });
+    }
+  }
+
+  updateToneOptions({ carrier, beat, mode, level, solo }) {
+    if (this.tonePresetSelect) {
+      this.tonePresetSelect.value = findTonePreset(carrier, beat) || 'custom';
+    }
+    if (this.toneModeSelect) this.toneModeSelect.value = mode;
+    if (this.toneCarrierInput) this.toneCarrierInput.value = carrier;
+    if (this.toneBeatInput) this.toneBeatInput.value = beat;
+    if (this.toneVolumeSlider) this.toneVolumeSlider.value = level;
+    if (this.toneSoloToggle) this.toneSoloToggle.checked = solo;
+  }
+
+  updateToneState(isEnabled) {
+    if (!this.toneBtn) return;
+    this.toneBtn.setAttribute('aria-pressed', isEnabled ? 'true' : 'false');
+    this.toneBtn.setAttribute(
+      'aria-label',
+      isEnabled ? 'Stop tone' : 'Play tone'
+    );
+  }
+
+  // With onRetry, the toast offers a Retry button and stays up a little longer
+  displayError(message, { onRetry = null } = {}) {
     if (!this.errorDisplayElement) {
         this.errorDisplayElement = document.createElement('div');
         this.errorDisplayElement.className = 'error-message';
@@ -270,10 +769,29 @@ class UIController {
         document.body.appendChild(this.errorDisplayElement);
     }
     this.errorDisplayElement.textContent = message;
+    if (onRetry) {
+      const retryButton = document.createElement('button');
+      retryButton.type = 'button';
+      retryButton.className = 'error-retry-btn';
+      retryButton.textContent = 'Retry';
+      retryButton.addEventListener('click', () => {
+        this.errorDisplayElement.style.opacity = '0';
+        retryButton.remove();
+        onRetry();
+      });
+      this.errorDisplayElement.append(' ', retryButton);
+    }
     this.errorDisplayElement.style.opacity = '1';
-    setTimeout(() => {
+    clearTimeout(this.errorTimeout); // A newer message gets its full time on screen
+    this.errorTimeout = setTimeout(
+      () => {
         this.errorDisplayElement.style.opacity = '0';
-    }, 4000);
+        const retryButton =
+          this.errorDisplayElement.querySelector('.error-retry-btn');
+        if (retryButton) retryButton.remove(); // Not clickable while invisible
+      },
+      onRetry ? 8000 : 4000
+    );
   }
 
   // --- Control Visibility ---
@@ -337,6 +855,272 @@ class UIController {
     });
   }
 
+  // Handlers receive preset ids; names come from a prompt, destructive actions are confirmed
+  bindPresetControls({ onRecall, onSave, onOverwrite, onRename, onDelete }) {
+    const selectedId = () => (this.presetSelect ? this.presetSelect.value : '');
+    const selectedName = () =>
+      this.presetSelect.options[this.presetSelect.selectedIndex].textContent;
+
+    if (this.presetSelect) {
+      this.presetSelect.addEventListener('change', () => {
+        this._updatePresetButtons();
+        if (selectedId()) onRecall(selectedId()); // One-click recall
+      });
+    }
+    if (this.presetSaveBtn) {
+      this.presetSaveBtn.addEventListener('click', () => {
+        const name = window.prompt('Name this mix');
+        if (name !== null) onSave(name);
+      });
+    }
+    if (this.presetOverwriteBtn) {
+      this.presetOverwriteBtn.addEventListener('click', () => {
+        if (!selectedId()) return;
+        if (
+          window.confirm(`Replace "${selectedName()}" with the current mix?`)
+        ) {
+          onOverwrite(selectedId());
+        }
+      });
+    }
+    if (this.presetRenameBtn) {
+      this.presetRenameBtn.addEventListener('click', () => {
+        if (!selectedId()) return;
+        const name = window.prompt('Rename preset', selectedName());
+        if (name !== null) onRename(selectedId(), name);
+      });
+    }
+    if (this.presetDeleteBtn) {
+      this.presetDeleteBtn.addEventListener('click', () => {
+        if (!selectedId()) return;
+        if (
+          window.confirm(`Delete "${selectedName()}"? This cannot be undone.`)
+        ) {
+          onDelete(selectedId());
+        }
+      });
+    }
+  }
+
+  // Callback returns (or resolves to) the link to copy
+  bindCopyLinkButton(callback) {
+    if (!this.copyLinkBtn) return;
+    this.copyLinkBtn.addEventListener('click', async () => {
+      const link = await callback();
+      try {
+        await navigator.clipboard.writeText(link);
+        this._showCopyLinkConfirmation();
+      } catch (error) {
+        // Clipboard access can be denied (or missing on http); let the user copy it by hand
+        console.warn(
+          'UIController: Clipboard unavailable, showing link instead.',
+          error
+        );
+        window.prompt('Copy this link', link);
+      }
+    });
+  }
+
+  _showCopyLinkConfirmation() {
+    const icon = this.copyLinkBtn.querySelector('.material-symbols-rounded');
+    if (icon) icon.textContent = 'check';
+    this.copyLinkBtn.setAttribute('aria-label', 'Link copied');
+    clearTimeout(this.copyLinkTimeout);
+    this.copyLinkTimeout = setTimeout(() => {
+      if (icon) icon.textContent = 'link';
+      this.copyLinkBtn.setAttribute('aria-label', 'Copy link to this mix');
+    }, 2000);
+  }
+
+  // --- Offline ---
+  // Shows which sounds play without a connection and how many recordings are downloaded.
+  // availableSounds: names playable offline; the counts only cover recordings.
+  updateOfflineState({
+    availableSounds,
+    downloadedCount,
+    totalCount,
+    isOnline,
+    isDownloading,
+  }) {
+    if (this.offlineGroup) this.offlineGroup.hidden = false;
+    if (this.customSelectOptionsList) {
+      this._getSoundOptions().forEach((li) => {
+        const available = availableSounds.includes(
+          li.getAttribute('data-value')
+        );
+        li.classList.toggle('is-offline-ready', available);
+        li.classList.toggle('is-offline-unavailable', !isOnline && !available);
+        if (available) li.title = 'Available offline';
+        else li.removeAttribute('title');
+      });
+    }
+
+    const allDownloaded = downloadedCount >= totalCount;
+    if (this.offlineStatus) {
+      let status = `${downloadedCount}/${totalCount} offline`;
+      if (isDownloading)
+        status = `Downloading ${downloadedCount}/${totalCount}`;
+      else if (!isOnline) status = 'Offline';
+      else if (allDownloaded) status = 'Offline ready';
+      this.offlineStatus.textContent = status;
+    }
+    if (this.downloadAllBtn) {
+      this.downloadAllBtn.disabled =
+        isDownloading || allDownloaded || !isOnline;
+      this.downloadAllBtn.setAttribute(
+        'aria-label',
+        allDownloaded
+          ? 'All sounds are available offline'
+          : 'Download all sounds for offline use'
+      );
+    }
+  }
+
+  bindDownloadAllButton(callback) {
+    if (!this.downloadAllBtn) return;
+    this.downloadAllBtn.addEventListener('click', () => callback());
+  }
+
+  // The button only shows once a new version is waiting (see showUpdateReady)
+  bindUpdateButton(callback) {
+    if (!this.appUpdateBtn) return;
+    this.appUpdateBtn.addEventListener('click', () => callback());
+  }
+
+  showUpdateReady() {
+    if (this.offlineGroup) this.offlineGroup.hidden = false;
+    if (this.appUpdateBtn) this.appUpdateBtn.hidden = false;
+  }
+
+  // --- Loudness Normalization ---
+  updateNormalizeLoudnessToggle(enabled) {
+    if (this.normalizeLoudnessToggle) {
+      this.normalizeLoudnessToggle.checked = enabled;
+    }
+  }
+
+  // callback(enabled)
+  bindNormalizeLoudnessToggle(callback) {
+    if (!this.normalizeLoudnessToggle) return;
+    this.normalizeLoudnessToggle.addEventListener('change', () =>
+      callback(this.normalizeLoudnessToggle.checked)
+    );
+  }
+
+  // --- Data Saver ---
+  updateDataSaverToggle(enabled) {
+    if (this.dataSaverToggle) this.dataSaverToggle.checked = enabled;
+  }
+
+  // callback(enabled)
+  bindDataSaverToggle(callback) {
+    if (!this.dataSaverToggle) return;
+    this.dataSaverToggle.addEventListener('change', () =>
+      callback(this.dataSaverToggle.checked)
+    );
+  }
+
+  // --- Settings Export / Import ---
+  bindSettingsTransfer({ onExport, onImport }) {
+    if (this.settingsExportBtn) {
+      this.settingsExportBtn.addEventListener('click', () => onExport());
+    }
+    if (this.settingsImportBtn && this.settingsImportInput) {
+      this.settingsImportBtn.addEventListener('click', () =>
+        this.settingsImportInput.click()
+      );
+      this.settingsImportInput.addEventListener('change', () => {
+        const [file] = this.settingsImportInput.files || [];
+        this.settingsImportInput.value = ''; // Picking the same file again fires change
+        if (file) onImport(file);
+      });
+    }
+  }
+
+  // Offers `contents` as a file download
+  downloadFile(fileName, contents, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Lists what an import would change and asks before anything is overwritten.
+  // changes: [{ key, from, to }]; returns whether the user agreed.
+  confirmSettingsImport({
+    changes,
+    presetCount,
+    currentPresetCount,
+    missingSounds = [],
+    ignored = [],
+  }) {
+    const lines = changes.map(
+      ({ key, from, to }) =>
+        `• ${key}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`
+    );
+    if (lines.length === 0) lines.push('No settings change.');
+    lines.push(
+      `• Presets: ${currentPresetCount} replaced by ${presetCount} from the file`
+    );
+    if (ignored.length) {
+      lines.push(
+        `Invalid values left at their defaults: ${ignored.join(', ')}`
+      );
+    }
+    if (missingSounds.length) {
+      lines.push(
+        `Imported sounds not on this device (import them again): ${missingSounds.join(', ')}`
+      );
+    }
+    return window.confirm(
+      `Replace your settings and presets?\n\n${lines.join('\n')}`
+    );
+  }
+
+  // onRename(soundName, newName) / onDelete(soundName) run after the user confirmed
+  bindCustomSoundActions({ onRename, onDelete }) {
+    this.onCustomSoundRename = onRename;
+    this.onCustomSoundDelete = onDelete;
+  }
+
+  // Callback receives the File objects picked or dropped anywhere on the page
+  bindSoundImport(callback) {
+    if (this.importSoundBtn && this.importSoundInput) {
+      this.importSoundBtn.addEventListener('click', () =>
+        this.importSoundInput.click()
+      );
+      this.importSoundInput.addEventListener('change', () => {
+        const files = Array.from(this.importSoundInput.files || []);
+        this.importSoundInput.value = ''; // Picking the same file again fires change
+        if (files.length) callback(files);
+      });
+    }
+
+    const hasFiles = (e) =>
+      e.dataTransfer &&
+      Array.from(e.dataTransfer.types || []).includes('Files');
+    document.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault(); // Required to allow dropping
+      document.body.classList.add('is-dropping-file');
+    });
+    document.addEventListener('dragleave', (e) => {
+      // Only when leaving the window, not when moving between child elements
+      if (!e.relatedTarget) document.body.classList.remove('is-dropping-file');
+    });
+    document.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault(); // Keep the browser from opening the file
+      document.body.classList.remove('is-dropping-file');
+      const files = Array.from(e.dataTransfer.files || []);
+      if (files.length) callback(files);
+    });
+  }
+
   bindSoundSelect(callback) {
     // Store callback to use in _selectOption
     this.onSoundChangeCallback = callback;
@@ -376,6 +1160,140 @@ class UIController {
     });
   }
 
+  bindMuteButton(callback) {
+    if (!this.volumeBtn) return;
+    this.volumeBtn.addEventListener('click', (e) => {
+      this.triggerHapticFeedback([10]);
+      callback(e);
+    });
+  }
+
+  // The M key toggles mute, unless typing in a field or using a browser shortcut
+  bindMuteShortcut(callback) {
+    document.addEventListener('keydown', (event) => {
+      const targetTagName = event.target.tagName
+        ? event.target.tagName.toLowerCase()
+        : '';
+      if (['input', 'select', 'textarea'].includes(targetTagName)) return;
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.repeat) return; // Holding M would toggle mute on and off
+
+      if (event.key === 'm' || event.key === 'M') {
+        event.preventDefault();
+        callback();
+      }
+    });
+  }
+
+  bindSleepTimerButton(callback) {
+    if (!this.sleepTimerBtn) return;
+    this.sleepTimerBtn.addEventListener('click', (e) => {
+      this.triggerHapticFeedback([10]);
+      callback(e);
+    });
+  }
+
+  // Callback receives the chosen duration in minutes
+  bindSleepTimerDuration(callback) {
+    if (!this.sleepTimerSelect) return;
+    this.sleepTimerSelect.addEventListener('change', () => {
+      const value = this.sleepTimerSelect.value;
+      if (value === 'custom') {
+        // Wait for a number in the custom field before reporting a duration
+        if (this.sleepTimerCustomInput) {
+          this.sleepTimerCustomInput.hidden = false;
+          this.sleepTimerCustomInput.focus();
+        }
+        return;
+      }
+      if (this.sleepTimerCustomInput) this.sleepTimerCustomInput.hidden = true;
+      callback(Number(value));
+    });
+
+    if (!this.sleepTimerCustomInput) return;
+    this.sleepTimerCustomInput.addEventListener('change', () => {
+      const minutes = parseFloat(this.sleepTimerCustomInput.value);
+      if (minutes > 0) callback(minutes);
+    });
+  }
+
+  bindFocusSessionButton(callback) {
+    if (!this.focusSessionBtn) return;
+    this.focusSessionBtn.addEventListener('click', (e) => {
+      this.triggerHapticFeedback([10]);
+      callback(e);
+    });
+  }
+
+  // Callback receives { workMinutes, breakMinutes, breakSound } whenever one of them changes
+  bindFocusSessionOptions(callback) {
+    const inputs = [
+      this.focusWorkInput,
+      this.focusBreakInput,
+      this.focusBreakSoundSelect,
+    ].filter(Boolean);
+    inputs.forEach((input) => {
+      input.addEventListener('change', () => {
+        callback({
+          workMinutes: this.focusWorkInput
+            ? parseFloat(this.focusWorkInput.value)
+            : undefined,
+          breakMinutes: this.focusBreakInput
+            ? parseFloat(this.focusBreakInput.value)
+            : undefined,
+          breakSound: this.focusBreakSoundSelect
+            ? this.focusBreakSoundSelect.value || null
+            : undefined,
+        });
+      });
+    });
+  }
+
+  bindToneButton(callback) {
+    if (!this.toneBtn) return;
+    this.toneBtn.addEventListener('click', (e) => {
+      this.triggerHapticFeedback([10]);
+      callback(e);
+    });
+  }
+
+  // Callback receives only the changed tone options, e.g. { mode } or { carrier, beat }
+  // (a preset sets both frequencies at once)
+  bindToneOptions(callback) {
+    if (this.tonePresetSelect) {
+      this.tonePresetSelect.addEventListener('change', () => {
+        const presetName = this.tonePresetSelect.value;
+        const preset = this.tonePresets && this.tonePresets[presetName];
+        if (preset) callback({ carrier: preset.carrier, beat: preset.beat });
+      });
+    }
+    if (this.toneModeSelect) {
+      this.toneModeSelect.addEventListener('change', () =>
+        callback({ mode: this.toneModeSelect.value })
+      );
+    }
+    if (this.toneCarrierInput) {
+      this.toneCarrierInput.addEventListener('change', () =>
+        callback({ carrier: parseFloat(this.toneCarrierInput.value) })
+      );
+    }
+    if (this.toneBeatInput) {
+      this.toneBeatInput.addEventListener('change', () =>
+        callback({ beat: parseFloat(this.toneBeatInput.value) })
+      );
+    }
+    if (this.toneVolumeSlider) {
+      this.toneVolumeSlider.addEventListener('input', () =>
+        callback({ level: parseFloat(this.toneVolumeSlider.value) })
+      );
+    }
+    if (this.toneSoloToggle) {
+      this.toneSoloToggle.addEventListener('change', () =>
+        callback({ solo: this.toneSoloToggle.checked })
+      );
+    }
+  }
+
   bindGlobalSpacebar(callback) {
     document.addEventListener('keydown', (event) => {
         const targetTagName = event.target.tagName ? event.target.tagName.toLowerCase() : '';
@@ -1,5 +1,6 @@
 // src/UIController.test.js
 import UIController from './UIController';
+import AppStore from './AppStore';
 
 // Mock matchMedia
 window.matchMedia = window.matchMedia || function() {
@@ -17,7 +18,7 @@ const mockSoundSources = [
 
 describe('UIController', () => {
   let uiController;
-  let mockAppContext;
+  let store;
   let playPauseBtn, customSelectContainer, customSelectTrigger, customSelectOptionsList, controlsElement, reducedMotionToggle;
   let originalConsoleError;
 
@@ -36,8 +37,45 @@ describe('UIController', () => {
             </button>
             <ul class="custom-select-options" role="listbox" id="sound-options-list"></ul>
         </div>
+        <button id="import-sound-btn"></button>
+        <input type="file" id="import-sound-input" hidden>
+        <button class="volume-btn" aria-label="Mute/Unmute">
+            <span class="material-symbols-rounded volume-icon">volume_up</span>
+        </button>
         <input type="range" id="volume-slider">
         <input type="checkbox" id="reduced-motion-toggle">
+        <button id="sleep-timer-btn" aria-pressed="false"></button>
+        <select id="sleep-timer-select"></select>
+        <input type="number" id="sleep-timer-custom" hidden>
+        <span id="sleep-timer-remaining"></span>
+        <button id="focus-session-btn" aria-pressed="false"></button>
+        <input type="number" id="focus-work-minutes">
+        <input type="number" id="focus-break-minutes">
+        <select id="focus-break-sound"></select>
+        <span id="focus-session-status"></span>
+        <select id="preset-select"></select>
+        <button id="preset-save-btn"></button>
+        <button id="preset-overwrite-btn"></button>
+        <button id="preset-rename-btn"></button>
+        <button id="preset-delete-btn"></button>
+        <button id="settings-export-btn"></button>
+        <button id="settings-import-btn"></button>
+        <input type="file" id="settings-import-input">
+        <div id="offline-group" hidden>
+          <button id="download-all-btn"></button>
+          <span id="offline-status"></span>
+          <button id="app-update-btn" hidden></button>
+        </div>
+        <button id="copy-link-btn"><span class="material-symbols-rounded">link</span></button>
+        <button id="tone-btn" aria-pressed="false"></button>
+        <select id="tone-preset"></select>
+        <select id="tone-mode"></select>
+        <input type="number" id="tone-carrier">
+        <input type="number" id="tone-beat">
+        <input type="range" id="tone-volume" min="0" max="1" step="0.01">
+        <input type="checkbox" id="tone-solo">
+        <input type="checkbox" id="normalize-loudness-toggle">
+        <input type="checkbox" id="data-saver-toggle">
       </div>
     `;
     playPauseBtn = document.getElementById('play-pause-btn');
@@ -50,11 +88,11 @@ describe('UIController', () => {
     playPauseBtn.focus = jest.fn();
     playPauseBtn.blur = jest.fn();
 
-    mockAppContext = {};
+    store = new AppStore();
     originalConsoleError = console.error;
     console.error = jest.fn();
 
-    uiController = new UIController(mockAppContext);
+    uiController = new UIController(store);
     jest.useFakeTimers();
   });
 
@@ -78,6 +116,49 @@ describe('UIController', () => {
     expect(customSelectOptionsList.children[0].getAttribute('data-value')).toBe(mockSoundSources[0].name);
   });
 
+  test('populateSoundOptions should group sounds by category', () => {
+    uiController.populateSoundOptions([
+      { name: 'Rain', category: 'Nature' },
+      { name: 'White Noise', category: 'Noise' },
+      { name: 'Forest', category: 'Nature' },
+      { name: 'Cafe', category: 'Imported', custom: true },
+    ]);
+
+    const groups = customSelectOptionsList.querySelectorAll('[role="group"]');
+    expect(
+      Array.from(
+        groups,
+        (group) =>
+          document.getElementById(group.getAttribute('aria-labelledby'))
+            .textContent
+      )
+    ).toEqual(['Nature', 'Noise', 'Imported']);
+    expect(
+      Array.from(groups[0].children, (li) => li.getAttribute('data-value'))
+    ).toEqual(['Rain', 'Forest']);
+    expect(customSelectOptionsList.children[0].getAttribute('role')).toBe(
+      'presentation'
+    );
+  });
+
+  test('keyboard navigation should only move between options', () => {
+    const { scrollIntoView } = Element.prototype;
+    Element.prototype.scrollIntoView = jest.fn(); // Not implemented in jsdom
+    uiController.populateSoundOptions([
+      { name: 'Rain', category: 'Nature' },
+      { name: 'White Noise', category: 'Noise' },
+    ]);
+    uiController._openDropdown();
+    expect(customSelectOptionsList.getAttribute('aria-activedescendant')).toBe(
+      'option-rain'
+    );
+    uiController._focusNextOption();
+    expect(customSelectOptionsList.getAttribute('aria-activedescendant')).toBe(
+      'option-white-noise'
+    );
+    Element.prototype.scrollIntoView = scrollIntoView;
+  });
+
   test('updatePlayButtonState should update icon and aria-pressed', () => {
     uiController.updatePlayButtonState(true); // Playing
     expect(playPauseBtn.querySelector('.material-symbols-rounded').textContent).toBe('pause');
@@ -136,6 +217,818 @@ describe('UIController', () => {
     expect(errorElement.style.opacity).toBe('0');
   });
 
+  describe('Imported Sounds', () => {
+    const sourcesWithCustom = [
+      ...mockSoundSources,
+      { name: 'Cafe', custom: true, load: jest.fn() },
+    ];
+    let originalPrompt;
+    let originalConfirm;
+
+    beforeEach(() => {
+      originalPrompt = window.prompt;
+      originalConfirm = window.confirm;
+    });
+
+    afterEach(() => {
+      window.prompt = originalPrompt;
+      window.confirm = originalConfirm;
+    });
+
+    test('populateSoundOptions should add rename and delete actions to imported sounds only', () => {
+      uiController.populateSoundOptions(sourcesWithCustom);
+      const [rain, , cafe] = customSelectOptionsList.children;
+
+      expect(rain.querySelector('.option-actions')).toBeNull();
+      expect(cafe.querySelector('.option-label').textContent).toBe('Cafe');
+      expect(
+        Array.from(cafe.querySelectorAll('button')).map((b) =>
+          b.getAttribute('aria-label')
+        )
+      ).toEqual(['Rename Cafe', 'Delete Cafe']);
+    });
+
+    test('rename should prompt for the new name without selecting the sound', () => {
+      const onRename = jest.fn();
+      const onSoundChange = jest.fn();
+      window.prompt = jest.fn(() => 'Corner Cafe');
+      uiController.bindSoundSelect(onSoundChange);
+      uiController.bindCustomSoundActions({ onRename, onDelete: jest.fn() });
+      uiController.populateSoundOptions(sourcesWithCustom);
+
+      customSelectOptionsList.children[2]
+        .querySelector('[aria-label="Rename Cafe"]')
+        .click();
+      expect(onRename).toHaveBeenCalledWith('Cafe', 'Corner Cafe');
+      expect(onSoundChange).not.toHaveBeenCalled();
+    });
+
+    test('delete should only proceed once confirmed', () => {
+      const onDelete = jest.fn();
+      window.confirm = jest.fn(() => false);
+      uiController.bindCustomSoundActions({ onRename: jest.fn(), onDelete });
+      uiController.populateSoundOptions(sourcesWithCustom);
+      const deleteBtn = customSelectOptionsList.children[2].querySelector(
+        '[aria-label="Delete Cafe"]'
+      );
+
+      deleteBtn.click();
+      expect(onDelete).not.toHaveBeenCalled();
+
+      window.confirm = jest.fn(() => true);
+      deleteBtn.click();
+      expect(onDelete).toHaveBeenCalledWith('Cafe');
+    });
+
+    test('bindSoundImport should pass on dropped files', () => {
+      const callback = jest.fn();
+      uiController.bindSoundImport(callback);
+      const file = { name: 'Cafe.mp3', type: 'audio/mpeg' };
+      const dataTransfer = { types: ['Files'], files: [file] };
+
+      const dragover = new Event('dragover', { cancelable: true });
+      dragover.dataTransfer = dataTransfer;
+      document.dispatchEvent(dragover);
+      expect(dragover.defaultPrevented).toBe(true);
+      expect(document.body.classList.contains('is-dropping-file')).toBe(true);
+
+      const drop = new Event('drop', { cancelable: true });
+      drop.dataTransfer = dataTransfer;
+      document.dispatchEvent(drop);
+      expect(callback).toHaveBeenCalledWith([file]);
+      expect(document.body.classList.contains('is-dropping-file')).toBe(false);
+    });
+
+    test('bindSoundImport should open the file picker from the import button', () => {
+      const input = document.getElementById('import-sound-input');
+      input.click = jest.fn();
+      uiController.bindSoundImport(jest.fn());
+      document.getElementById('import-sound-btn').click();
+      expect(input.click).toHaveBeenCalled();
+    });
+  });
+
+  describe('Mute', () => {
+    test('updateMuteButton should pick the icon from the mute state and level', () => {
+      const volumeBtn = document.querySelector('.volume-btn');
+      const volumeIcon = volumeBtn.querySelector('.volume-icon');
+
+      uiController.updateMuteButton(false, 0.75);
+      expect(volumeIcon.textContent).toBe('volume_up');
+      expect(volumeBtn.getAttribute('aria-pressed')).toBe('false');
+
+      uiController.updateMuteButton(false, 0.3);
+      expect(volumeIcon.textContent).toBe('volume_down');
+
+      uiController.updateMuteButton(false, 0);
+      expect(volumeIcon.textContent).toBe('volume_off');
+
+      uiController.updateMuteButton(true, 0.75);
+      expect(volumeIcon.textContent).toBe('volume_off');
+      expect(volumeBtn.getAttribute('aria-pressed')).toBe('true');
+      expect(volumeBtn.getAttribute('aria-label')).toBe('Unmute');
+    });
+
+    test('bindMuteButton should call the callback on click', () => {
+      const callback = jest.fn();
+      uiController.bindMuteButton(callback);
+      document.querySelector('.volume-btn').click();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('bindMuteShortcut should react to M outside of inputs', () => {
+      const callback = jest.fn();
+      uiController.bindMuteShortcut(callback);
+
+      document.body.dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'm', bubbles: true })
+      );
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      document.body.dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'm', ctrlKey: true, bubbles: true })
+      );
+      document.body.dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'm', repeat: true, bubbles: true })
+      );
+      document
+        .getElementById('sleep-timer-custom')
+        .dispatchEvent(
+          new KeyboardEvent('keydown', { key: 'm', bubbles: true })
+        );
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Sleep Timer', () => {
+    let select, customInput;
+
+    beforeEach(() => {
+      select = document.getElementById('sleep-timer-select');
+      customInput = document.getElementById('sleep-timer-custom');
+      uiController.populateSleepTimerOptions([15, 30]);
+    });
+
+    test('populateSleepTimerOptions should add presets and a custom option', () => {
+      const values = Array.from(select.options).map((opt) => opt.value);
+      expect(values).toEqual(['15', '30', 'custom']);
+    });
+
+    test('updateSleepTimerDuration should select a preset or fill the custom field', () => {
+      uiController.updateSleepTimerDuration(30);
+      expect(select.value).toBe('30');
+      expect(customInput.hidden).toBe(true);
+
+      uiController.updateSleepTimerDuration(45);
+      expect(select.value).toBe('custom');
+      expect(customInput.hidden).toBe(false);
+      expect(customInput.value).toBe('45');
+    });
+
+    test('updateSleepTimerState should show the remaining time', () => {
+      const sleepTimerBtn = document.getElementById('sleep-timer-btn');
+      const remaining = document.getElementById('sleep-timer-remaining');
+
+      uiController.updateSleepTimerState(true, 125 * 1000);
+      expect(remaining.textContent).toBe('2:05');
+      expect(sleepTimerBtn.getAttribute('aria-pressed')).toBe('true');
+
+      uiController.updateSleepTimerState(true, 90 * 60 * 1000);
+      expect(remaining.textContent).toBe('1:30:00');
+
+      uiController.updateSleepTimerState(false);
+      expect(remaining.textContent).toBe('');
+      expect(sleepTimerBtn.getAttribute('aria-pressed')).toBe('false');
+    });
+
+    test('bindSleepTimerDuration should report preset and custom durations', () => {
+      const callback = jest.fn();
+      uiController.bindSleepTimerDuration(callback);
+
+      select.value = '15';
+      select.dispatchEvent(new Event('change'));
+      expect(callback).toHaveBeenLastCalledWith(15);
+
+      select.value = 'custom';
+      select.dispatchEvent(new Event('change'));
+      expect(callback).toHaveBeenCalledTimes(1); // Waits for the custom value
+      expect(customInput.hidden).toBe(false);
+
+      customInput.value = '40';
+      customInput.dispatchEvent(new Event('change'));
+      expect(callback).toHaveBeenLastCalledWith(40);
+    });
+  });
+
+  describe('Focus Session', () => {
+    test('populateFocusBreakSoundOptions should offer keeping the sound or any source', () => {
+      uiController.populateFocusBreakSoundOptions(mockSoundSources);
+      const values = Array.from(
+        document.getElementById('focus-break-sound').options
+      ).map((opt) => opt.value);
+      expect(values).toEqual(['', 'Rain', 'Ocean']);
+    });
+
+    test('updateFocusSessionState should show the phase, time left and completed count', () => {
+      const status = document.getElementById('focus-session-status');
+      const focusSessionBtn = document.getElementById('focus-session-btn');
+
+      uiController.updateFocusSessionState('work', 25 * 60 * 1000, 2);
+      expect(status.textContent).toBe('Focus 25:00 · 2 done');
+      expect(status.getAttribute('data-phase')).toBe('work');
+      expect(focusSessionBtn.getAttribute('aria-pressed')).toBe('true');
+
+      uiController.updateFocusSessionState('break', 4 * 60 * 1000, 3);
+      expect(status.textContent).toBe('Break 4:00 · 3 done');
+
+      uiController.updateFocusSessionState(null, 0, 0);
+      expect(status.textContent).toBe('');
+      expect(status.hasAttribute('data-phase')).toBe(false);
+      expect(focusSessionBtn.getAttribute('aria-pressed')).toBe('false');
+    });
+
+    test('bindFocusSessionOptions should report all options on change', () => {
+      const callback = jest.fn();
+      uiController.populateFocusBreakSoundOptions(mockSoundSources);
+      uiController.updateFocusSessionOptions({
+        workMinutes: 50,
+        breakMinutes: 10,
+        breakSound: null,
+      });
+      uiController.bindFocusSessionOptions(callback);
+
+      const breakSound = document.getElementById('focus-break-sound');
+      breakSound.value = 'Ocean';
+      breakSound.dispatchEvent(new Event('change'));
+      expect(callback).toHaveBeenCalledWith({
+        workMinutes: 50,
+        breakMinutes: 10,
+        breakSound: 'Ocean',
+      });
+    });
+  });
+
+  describe('Presets', () => {
+    const presets = [
+      { id: 'preset-1', name: 'Deep Work' },
+      { id: 'preset-2', name: 'Sleep' },
+    ];
+    let handlers;
+    let originalPrompt;
+    let originalConfirm;
+
+    beforeEach(() => {
+      originalPrompt = window.prompt;
+      originalConfirm = window.confirm;
+      handlers = {
+        onRecall: jest.fn(),
+        onSave: jest.fn(),
+        onOverwrite: jest.fn(),
+        onRename: jest.fn(),
+        onDelete: jest.fn(),
+      };
+      uiController.bindPresetControls(handlers);
+    });
+
+    afterEach(() => {
+      window.prompt = originalPrompt;
+      window.confirm = originalConfirm;
+    });
+
+    test('populatePresetOptions should list presets and enable actions only with a selection', () => {
+      const select = document.getElementById('preset-select');
+      uiController.populatePresetOptions(presets);
+      expect(Array.from(select.options).map((opt) => opt.value)).toEqual([
+        '',
+        'preset-1',
+        'preset-2',
+      ]);
+      expect(document.getElementById('preset-delete-btn').disabled).toBe(true);
+
+      uiController.populatePresetOptions(presets, 'preset-2');
+      expect(select.value).toBe('preset-2');
+      expect(document.getElementById('preset-delete-btn').disabled).toBe(false);
+
+      uiController.populatePresetOptions([]);
+      expect(select.options[0].textContent).toBe('No presets yet');
+    });
+
+    test('choosing a preset should recall it', () => {
+      uiController.populatePresetOptions(presets);
+      const select = document.getElementById('preset-select');
+      select.value = 'preset-1';
+      select.dispatchEvent(new Event('change'));
+      expect(handlers.onRecall).toHaveBeenCalledWith('preset-1');
+    });
+
+    test('save and rename should prompt for a name', () => {
+      uiController.populatePresetOptions(presets, 'preset-1');
+      window.prompt = jest.fn(() => 'Evening');
+
+      document.getElementById('preset-save-btn').click();
+      expect(handlers.onSave).toHaveBeenCalledWith('Evening');
+
+      document.getElementById('preset-rename-btn').click();
+      expect(window.prompt).toHaveBeenLastCalledWith(
+        'Rename preset',
+        'Deep Work'
+      );
+      expect(handlers.onRename).toHaveBeenCalledWith('preset-1', 'Evening');
+
+      window.prompt = jest.fn(() => null); // Cancelled
+      document.getElementById('preset-save-btn').click();
+      expect(handlers.onSave).toHaveBeenCalledTimes(1);
+    });
+
+    test('overwrite and delete should require confirmation', () => {
+      uiController.populatePresetOptions(presets, 'preset-2');
+      window.confirm = jest.fn(() => false);
+      document.getElementById('preset-overwrite-btn').click();
+      document.getElementById('preset-delete-btn').click();
+      expect(handlers.onOverwrite).not.toHaveBeenCalled();
+      expect(handlers.onDelete).not.toHaveBeenCalled();
+
+      window.confirm = jest.fn(() => true);
+      document.getElementById('preset-overwrite-btn').click();
+      document.getElementById('preset-delete-btn').click();
+      expect(handlers.onOverwrite).toHaveBeenCalledWith('preset-2');
+      expect(handlers.onDelete).toHaveBeenCalledWith('preset-2');
+    });
+  });
+
+  describe('App State', () => {
+    test('should render playback and loading from the store', () => {
+      store.setState({ isLoading: true });
+      expect(playPauseBtn.classList.contains('is-loading')).toBe(true);
+      expect(playPauseBtn.getAttribute('aria-busy')).toBe('true');
+
+      store.setState({ isLoading: false, isPlaying: true });
+      expect(playPauseBtn.classList.contains('is-loading')).toBe(false);
+      expect(playPauseBtn.getAttribute('aria-pressed')).toBe('true');
+
+      store.setState({ isPlaying: false }); // E.g. the sleep timer ran out
+      expect(playPauseBtn.getAttribute('aria-pressed')).toBe('false');
+    });
+
+    test('should follow the current sound and master level', () => {
+      uiController.populateSoundOptions(mockSoundSources);
+      store.setState({ currentSound: 'Ocean' });
+      expect(
+        customSelectTrigger.querySelector('.selected-value').textContent
+      ).toBe('Ocean');
+
+      store.setState({ volume: 0.3, isMuted: true });
+      expect(document.getElementById('volume-slider').value).toBe('0.3');
+    });
+
+    test('should show errors announced on the store', () => {
+      store.reportError('audio', '"Rain" could not be loaded.');
+      expect(document.querySelector('.error-message').textContent).toBe(
+        '"Rain" could not be loaded.'
+      );
+    });
+
+    test('errors with a retry should show a Retry button in the toast', () => {
+      const retry = jest.fn();
+      store.reportError('audio', '"Rain" could not be loaded.', retry);
+      const toast = document.querySelector('.error-message');
+      const button = toast.querySelector('.error-retry-btn');
+      expect(button.textContent).toBe('Retry');
+
+      button.click();
+      expect(retry).toHaveBeenCalledTimes(1);
+      expect(toast.style.opacity).toBe('0');
+      expect(toast.querySelector('.error-retry-btn')).toBeNull();
+    });
+
+    test('the Retry button should go away with the toast', () => {
+      store.reportError('audio', '"Rain" could not be loaded.', jest.fn());
+      jest.advanceTimersByTime(8000);
+      expect(document.querySelector('.error-retry-btn')).toBeNull();
+    });
+  });
+
+  test('updatePlaybackElsewhere should mark the play button', () => {
+    uiController.updatePlaybackElsewhere(true);
+    expect(playPauseBtn.classList.contains('is-playing-elsewhere')).toBe(true);
+    expect(playPauseBtn.title).toMatch(/another tab/);
+
+    uiController.updatePlaybackElsewhere(false);
+    expect(playPauseBtn.classList.contains('is-playing-elsewhere')).toBe(false);
+    expect(playPauseBtn.hasAttribute('title')).toBe(false);
+  });
+
+  describe('Copy Link', () => {
+    const link = 'http://localhost/#sound=Rain&volume=0.5';
+    let originalClipboard;
+    let originalPrompt;
+    let originalConsoleWarn;
+
+    beforeEach(() => {
+      originalClipboard = navigator.clipboard;
+      originalPrompt = window.prompt;
+      originalConsoleWarn = console.warn;
+      window.prompt = jest.fn();
+      console.warn = jest.fn();
+    });
+
+    afterEach(() => {
+      Object.defineProperty(navigator, 'clipboard', {
+        value: originalClipboard,
+        configurable: true,
+      });
+      window.prompt = originalPrompt;
+      console.warn = originalConsoleWarn;
+    });
+
+    const setClipboard = (writeText) =>
+      Object.defineProperty(navigator, 'clipboard', {
+        value: { writeText },
+        configurable: true,
+      });
+    const flushPromises = () =>
+      new Promise(jest.requireActual('timers').setImmediate);
+
+    test('should copy the link and briefly confirm', async () => {
+      const writeText = jest.fn(() => Promise.resolve());
+      setClipboard(writeText);
+      const button = document.getElementById('copy-link-btn');
+      uiController.bindCopyLinkButton(() => link);
+
+      button.click();
+      await flushPromises();
+
+      expect(writeText).toHaveBeenCalledWith(link);
+      expect(button.textContent).toBe('check');
+      expect(button.getAttribute('aria-label')).toBe('Link copied');
+      jest.advanceTimersByTime(2000);
+      expect(button.textContent).toBe('link');
+    });
+
+    test('should show the link when the clipboard is unavailable', async () => {
+      setClipboard(jest.fn(() => Promise.reject(new Error('NotAllowedError'))));
+      uiController.bindCopyLinkButton(() => link);
+
+      document.getElementById('copy-link-btn').click();
+      await flushPromises();
+
+      expect(window.prompt).toHaveBeenCalledWith('Copy this link', link);
+      expect(document.getElementById('copy-link-btn').textContent).toBe('link');
+    });
+  });
+
+  describe('Settings Export / Import', () => {
+    let originalConfirm;
+
+    beforeEach(() => {
+      originalConfirm = window.confirm;
+      window.confirm = jest.fn(() => true);
+    });
+
+    afterEach(() => {
+      window.confirm = originalConfirm;
+    });
+
+    test('bindSettingsTransfer should wire the export button and file picker', () => {
+      const handlers = { onExport: jest.fn(), onImport: jest.fn() };
+      uiController.bindSettingsTransfer(handlers);
+      const input = document.getElementById('settings-import-input');
+      input.click = jest.fn();
+
+      document.getElementById('settings-export-btn').click();
+      document.getElementById('settings-import-btn').click();
+      expect(handlers.onExport).toHaveBeenCalled();
+      expect(input.click).toHaveBeenCalled();
+
+      const file = { name: 'settings.json' };
+      Object.defineProperty(input, 'files', { value: [file] });
+      input.dispatchEvent(new Event('change'));
+      expect(handlers.onImport).toHaveBeenCalledWith(file);
+    });
+
+    test('confirmSettingsImport should list the changes before asking', () => {
+      const confirmed = uiController.confirmSettingsImport({
+        changes: [{ key: 'volume', from: 0.75, to: 0.2 }],
+        presetCount: 3,
+        currentPresetCount: 1,
+        missingSounds: ['Office Hum'],
+        ignored: ['toneBeat'],
+      });
+
+      expect(confirmed).toBe(true);
+      const message = window.confirm.mock.calls[0][0];
+      expect(message).toContain('volume: 0.75 → 0.2');
+      expect(message).toContain('Presets: 1 replaced by 3');
+      expect(message).toContain('left at their defaults: toneBeat');
+      expect(message).toContain('(import them again): Office Hum');
+    });
+
+    test('downloadFile should click a temporary download link', () => {
+      const originalCreate = URL.createObjectURL;
+      const originalRevoke = URL.revokeObjectURL;
+      URL.createObjectURL = jest.fn(() => 'blob:settings');
+      URL.revokeObjectURL = jest.fn();
+      const clicked = [];
+      const clickSpy = jest
+        .spyOn(HTMLAnchorElement.prototype, 'click')
+        .mockImplementation(function () {
+          clicked.push(this.download);
+        });
+
+      uiController.downloadFile('settings.json', '{}');
+      jest.runAllTimers();
+
+      expect(clicked).toEqual(['settings.json']);
+      expect(document.querySelector('a[download]')).toBeNull();
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:settings');
+      clickSpy.mockRestore();
+      URL.createObjectURL = originalCreate;
+      URL.revokeObjectURL = originalRevoke;
+    });
+  });
+
+  describe('Sound Loading', () => {
+    beforeEach(() => {
+      uiController.populateSoundOptions(mockSoundSources);
+    });
+
+    test('soundload events should show progress and failures in the options', () => {
+      const [rain, ocean] = customSelectOptionsList.querySelectorAll('li');
+
+      store.emit('soundload', {
+        name: 'Rain',
+        status: 'loading',
+        progress: 0.42,
+      });
+      expect(rain.dataset.loadStatus).toBe('loading');
+      expect(rain).toHaveAttribute('aria-busy', 'true');
+      expect(rain.querySelector('.option-status').textContent).toBe('42%');
+
+      store.emit('soundload', { name: 'Rain', status: 'ready', progress: 1 });
+      expect(rain.querySelector('.option-status')).toBeNull();
+      expect(rain.textContent).toBe('Rain');
+
+      store.emit('soundload', {
+        name: 'Ocean',
+        status: 'error',
+        progress: null,
+        error: 'Not Found',
+      });
+      expect(ocean.querySelector('.option-status').textContent).toBe('Failed');
+    });
+
+    test('failed sounds should offer a retry button', () => {
+      const onRetry = jest.fn();
+      uiController.bindSoundRetry(onRetry);
+      uiController.updateSoundLoadState('Rain', {
+        status: 'loading',
+        progress: 0,
+        attempt: 2,
+      });
+      const rain = customSelectOptionsList.querySelector('li');
+      expect(rain.querySelector('.option-status').textContent).toBe('Retrying');
+
+      uiController.updateSoundLoadState('Rain', {
+        status: 'error',
+        progress: null,
+        error: '"Rain" could not be downloaded (HTTP 404).',
+      });
+      const button = rain.querySelector('.option-retry-btn');
+      expect(button).toHaveAttribute('aria-label', 'Retry loading Rain');
+      button.click();
+      expect(onRetry).toHaveBeenCalledWith('Rain');
+      expect(rain).not.toHaveClass('selected'); // Retrying does not pick the sound
+
+      uiController.updateSoundLoadState('Rain', {
+        status: 'loading',
+        progress: 0,
+      });
+      expect(rain.querySelector('.option-retry-btn')).toBeNull();
+    });
+
+    test('load states should survive rebuilding the options', () => {
+      uiController.updateSoundLoadState('Ocean', {
+        status: 'loading',
+        progress: null,
+      });
+      uiController.populateSoundOptions(mockSoundSources);
+
+      const ocean = customSelectOptionsList.querySelectorAll('li')[1];
+      expect(ocean.querySelector('.option-status').textContent).toBe('Loading');
+    });
+
+    test('the play button should follow the selected sound', () => {
+      uiController.updateSoundSelection('Rain');
+      uiController.updateSoundLoadState('Ocean', {
+        status: 'loading',
+        progress: 0.5,
+      });
+      expect(playPauseBtn.dataset.loadStatus).toBe('idle');
+
+      uiController.updateSoundLoadState('Rain', {
+        status: 'loading',
+        progress: 0.25,
+      });
+      expect(playPauseBtn.dataset.loadStatus).toBe('loading');
+      expect(playPauseBtn.style.getPropertyValue('--load-progress')).toBe(
+        '0.25'
+      );
+
+      uiController.updateSoundSelection('Ocean');
+      expect(playPauseBtn.style.getPropertyValue('--load-progress')).toBe(
+        '0.5'
+      );
+    });
+  });
+
+  describe('Offline', () => {
+    const offlineState = {
+      availableSounds: ['Rain'],
+      downloadedCount: 1,
+      totalCount: 2,
+      isOnline: true,
+      isDownloading: false,
+    };
+
+    beforeEach(() => {
+      uiController.populateSoundOptions(mockSoundSources);
+    });
+
+    test('updateOfflineState should mark the sounds that play offline', () => {
+      uiController.updateOfflineState(offlineState);
+
+      const [rain, ocean] = customSelectOptionsList.querySelectorAll('li');
+      expect(document.getElementById('offline-group').hidden).toBe(false);
+      expect(rain).toHaveClass('is-offline-ready');
+      expect(rain.title).toBe('Available offline');
+      expect(ocean).not.toHaveClass('is-offline-ready');
+      expect(ocean).not.toHaveClass('is-offline-unavailable');
+      expect(document.getElementById('offline-status').textContent).toBe(
+        '1/2 offline'
+      );
+      expect(document.getElementById('download-all-btn').disabled).toBe(false);
+    });
+
+    test('updateOfflineState should dim missing sounds while offline', () => {
+      uiController.updateOfflineState({ ...offlineState, isOnline: false });
+
+      const ocean = customSelectOptionsList.querySelectorAll('li')[1];
+      expect(ocean).toHaveClass('is-offline-unavailable');
+      expect(document.getElementById('offline-status').textContent).toBe(
+        'Offline'
+      );
+      expect(document.getElementById('download-all-btn').disabled).toBe(true);
+    });
+
+    test('the download button should reflect progress and completion', () => {
+      const button = document.getElementById('download-all-btn');
+      const status = document.getElementById('offline-status');
+
+      uiController.updateOfflineState({ ...offlineState, isDownloading: true });
+      expect(status.textContent).toBe('Downloading 1/2');
+      expect(button.disabled).toBe(true);
+
+      uiController.updateOfflineState({
+        ...offlineState,
+        availableSounds: ['Rain', 'Ocean'],
+        downloadedCount: 2,
+      });
+      expect(status.textContent).toBe('Offline ready');
+      expect(button).toHaveAttribute(
+        'aria-label',
+        'All sounds are available offline'
+      );
+    });
+
+    test('download and update buttons should call their handlers', () => {
+      const onDownload = jest.fn();
+      const onUpdate = jest.fn();
+      uiController.bindDownloadAllButton(onDownload);
+      uiController.bindUpdateButton(onUpdate);
+
+      const updateButton = document.getElementById('app-update-btn');
+      expect(updateButton.hidden).toBe(true);
+      uiController.showUpdateReady();
+      expect(updateButton.hidden).toBe(false);
+
+      document.getElementById('download-all-btn').click();
+      updateButton.click();
+      expect(onDownload).toHaveBeenCalled();
+      expect(onUpdate).toHaveBeenCalled();
+    });
+  });
+
+  describe('Tone Generator', () => {
+    const presets = {
+      alpha: { carrier: 200, beat: 10 },
+      beta: { carrier: 250, beat: 20 },
+    };
+    const toneOptions = {
+      carrier: 200,
+      beat: 10,
+      mode: 'isochronic',
+      level: 0.3,
+      solo: true,
+    };
+
+    beforeEach(() => {
+      uiController.populateToneOptions(presets, ['binaural', 'isochronic']);
+    });
+
+    test('populateToneOptions should list the presets plus a custom entry', () => {
+      const options = Array.from(
+        document.getElementById('tone-preset').options
+      );
+      expect(options.map((opt) => opt.value)).toEqual([
+        'alpha',
+        'beta',
+        'custom',
+      ]);
+      expect(options[0].textContent).toBe('Alpha (10 Hz)');
+    });
+
+    test('updateToneOptions should select the matching preset or custom', () => {
+      const presetSelect = document.getElementById('tone-preset');
+      uiController.updateToneOptions(toneOptions);
+      expect(presetSelect.value).toBe('alpha');
+      expect(document.getElementById('tone-mode').value).toBe('isochronic');
+      expect(document.getElementById('tone-solo').checked).toBe(true);
+
+      uiController.updateToneOptions({ ...toneOptions, beat: 12 });
+      expect(presetSelect.value).toBe('custom');
+      expect(document.getElementById('tone-beat').value).toBe('12');
+    });
+
+    test('updateToneState should reflect whether the tone is on', () => {
+      const toneBtn = document.getElementById('tone-btn');
+      uiController.updateToneState(true);
+      expect(toneBtn.getAttribute('aria-pressed')).toBe('true');
+      expect(toneBtn.getAttribute('aria-label')).toBe('Stop tone');
+    });
+
+    test('bindToneOptions should report only what changed', () => {
+      const callback = jest.fn();
+      uiController.updateToneOptions(toneOptions);
+      uiController.bindToneOptions(callback);
+
+      const presetSelect = document.getElementById('tone-preset');
+      presetSelect.value = 'beta';
+      presetSelect.dispatchEvent(new Event('change'));
+      expect(callback).toHaveBeenLastCalledWith({ carrier: 250, beat: 20 });
+
+      const carrierInput = document.getElementById('tone-carrier');
+      carrierInput.value = '180';
+      carrierInput.dispatchEvent(new Event('change'));
+      expect(callback).toHaveBeenLastCalledWith({ carrier: 180 });
+
+      const soloToggle = document.getElementById('tone-solo');
+      soloToggle.checked = false;
+      soloToggle.dispatchEvent(new Event('change'));
+      expect(callback).toHaveBeenLastCalledWith({ solo: false });
+    });
+  });
+
+  describe('Loudness Normalization', () => {
+    test('updateNormalizeLoudnessToggle should reflect the setting', () => {
+      const toggle = document.getElementById('normalize-loudness-toggle');
+      uiController.updateNormalizeLoudnessToggle(true);
+      expect(toggle.checked).toBe(true);
+      uiController.updateNormalizeLoudnessToggle(false);
+      expect(toggle.checked).toBe(false);
+    });
+
+    test('bindNormalizeLoudnessToggle should report the new state', () => {
+      const callback = jest.fn();
+      uiController.bindNormalizeLoudnessToggle(callback);
+      const toggle = document.getElementById('normalize-loudness-toggle');
+      toggle.checked = true;
+      toggle.dispatchEvent(new Event('change'));
+      expect(callback).toHaveBeenLastCalledWith(true);
+      toggle.checked = false;
+      toggle.dispatchEvent(new Event('change'));
+      expect(callback).toHaveBeenLastCalledWith(false);
+    });
+  });
+
+  describe('Data Saver', () => {
+    test('updateDataSaverToggle should reflect the setting', () => {
+      const toggle = document.getElementById('data-saver-toggle');
+      uiController.updateDataSaverToggle(true);
+      expect(toggle.checked).toBe(true);
+      uiController.updateDataSaverToggle(false);
+      expect(toggle.checked).toBe(false);
+    });
+
+    test('bindDataSaverToggle should report the new state', () => {
+      const callback = jest.fn();
+      uiController.bindDataSaverToggle(callback);
+      const toggle = document.getElementById('data-saver-toggle');
+      toggle.checked = true;
+      toggle.dispatchEvent(new Event('change'));
+      expect(callback).toHaveBeenLastCalledWith(true);
+    });
+  });
+
   describe('Control Visibility', () => {
     beforeEach(() => {
         uiController.initControlHiding(1000);
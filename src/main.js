@@ -3,8 +3,18 @@ import BackgroundController from './BackgroundController.js';
 import AudioController, { soundSources } from './AudioController.js';
 import SettingsController from './SettingsController.js';
 import UIController from './UIController.js';
+import SleepTimer, { SLEEP_TIMER_PRESETS } from './SleepTimer.js';
+import FocusSession from './FocusSession.js';
+import { TONE_MODES, TONE_PRESETS } from './ToneGenerator.js';
+import CustomSoundLibrary from './CustomSoundLibrary.js';
+import PresetController from './PresetController.js';
+import { createShareLink, parseShareLink } from './ShareLink.js';
+import PlaybackCoordinator from './PlaybackCoordinator.js';
+import AppStore from './AppStore.js';
+import OfflineController from './OfflineController.js';
+import { loadSoundCatalog, SoundCatalogError } from './SoundCatalog.js';
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   const pageLoadStart = performance.now();
   console.log(`Performance: DOMContentLoaded event at ${(performance.now() - pageLoadStart).toFixed(2)} ms (relative to script start)`);
 
@@ -26,37 +36,98 @@ document.addEventListener('DOMContentLoaded', () => {
 
   console.log('Ambient Mood app initialized.');
 
-  // Initialize controllers
-  const settingsController = new SettingsController();
+  // Initialize controllers. They publish their state to the store and the UI renders from it.
+  const store = new AppStore();
+  const settingsController = new SettingsController(store);
   settingsController.incrementSessionCount(); // Increment session count early
 
-  const audioController = new AudioController();
+  const audioController = new AudioController(store);
   let backgroundController; // Declare here, instantiate after DOM element check
 
   const backgroundShifterElement = document.querySelector('.background-shifter');
   if (backgroundShifterElement) {
-    backgroundController = new BackgroundController(backgroundShifterElement);
+    backgroundController = new BackgroundController(
+      backgroundShifterElement,
+      store
+    );
     backgroundController.start(); // Start animations
   } else {
     console.error('Background shifter element not found. Visuals will not work.');
   }
 
-  // AppContext holds all controllers. UIController is last as it might need others.
-  // However, the current UIController queries its own DOM elements and doesn't strictly need appContext in constructor.
-  window.appContext = {
-    settingsController,
-    audioController,
-    backgroundController, // Might be undefined if element not found
-    // uiController will be added below
-  };
+  const uiController = new UIController(store);
 
-  const uiController = new UIController(window.appContext);
-  window.appContext.uiController = uiController; // Add UIController to appContext
+  // The built-in sounds are listed in public/audio/sounds.json; everything below needs them
+  let isCatalogLoaded = false;
+  try {
+    const catalog = await loadSoundCatalog();
+    catalog.sounds.forEach((sound) => audioController.addSoundSource(sound));
+    isCatalogLoaded = true;
+    if (catalog.errors.length > 0) {
+      uiController.displayError(
+        `Some sounds could not be listed. ${catalog.errors[0]}`
+      );
+    }
+  } catch (error) {
+    console.error('Error loading the sound catalog:', error);
+    uiController.displayError(
+      error instanceof SoundCatalogError
+        ? error.message
+        : 'The sound list could not be loaded.'
+    );
+  }
+
+  // A shared link (#sound=...&volume=...) wins over the stored settings
+  let sharedLayers = []; // Added once audio is initialized
+  const sharedLink = parseShareLink(window.location.hash, {
+    soundNames: soundSources.map((s) => s.name),
+    settingsController,
+  });
+  if (sharedLink) {
+    const { mix, errors } = sharedLink;
+    if (mix.sound) settingsController.set('selectedSound', mix.sound);
+    if (mix.volume !== undefined) settingsController.set('volume', mix.volume);
+    if (mix.reducedMotion !== undefined) {
+      settingsController.set('reducedMotion', mix.reducedMotion);
+    }
+    if (mix.speed !== undefined && backgroundController) {
+      backgroundController.setSpeed(mix.speed);
+    }
+    sharedLayers = mix.layers || [];
+    if (errors.length > 0) {
+      console.warn('Shared link contained invalid values:', errors);
+      uiController.displayError(
+        `Some of the shared mix was ignored. ${errors[0]}`
+      );
+    }
+    // Drop the hash so a reload uses the (now updated) settings
+    history.replaceState(
+      null,
+      '',
+      window.location.pathname + window.location.search
+    );
+  }
 
   // Set initial volume from settings
-  const initialVolume = settingsController.getVolume();
-  audioController.setVolume(initialVolume);
-  uiController.updateVolumeSlider(initialVolume);
+  audioController.setVolume(settingsController.getVolume());
+  // soundEnabled: false means the app was left muted
+  audioController.setMuted(!settingsController.isSoundEnabled());
+  audioController.setCrossfadeDuration(
+    settingsController.getCrossfadeDuration()
+  );
+  audioController.setNormalizeLoudness(
+    settingsController.get('normalizeLoudness')
+  );
+  uiController.updateNormalizeLoudnessToggle(
+    settingsController.get('normalizeLoudness')
+  );
+  audioController.setDataSaver(settingsController.get('dataSaver'));
+  const applySoundMemory = (megabytes) =>
+    audioController.setBufferBudget(
+      megabytes === null ? null : megabytes * 1024 * 1024
+    );
+  applySoundMemory(settingsController.get('soundMemoryMB'));
+  uiController.updateDataSaverToggle(settingsController.get('dataSaver'));
 
   // Initial UI setup
   uiController.populateSoundOptions(soundSources);
@@ -71,16 +142,137 @@ document.addEventListener('DOMContentLoaded', () => {
     backgroundController.setReducedMotion(initialReducedMotion);
   }
 
-  uiController.updatePlayButtonState(audioController.isPlaying); // Initial button state
+  // Only one tab plays at a time: starting audio here pauses it in the other tabs
+  const playbackCoordinator = new PlaybackCoordinator({
+    onYield: () => audioController.pause(),
+    onOwnerChange: (isPlayingElsewhere) =>
+      uiController.updatePlaybackElsewhere(isPlayingElsewhere),
+  });
+  window.addEventListener('pagehide', () => playbackCoordinator.close());
+
+  // Hardware media keys and lock-screen controls; next/previous switch the selected sound
+  audioController.registerMediaSession({
+    getInitialSound: () => settingsController.getSelectedSound(),
+    onTrackChange: (soundName) =>
+      settingsController.set('selectedSound', soundName),
+    onPlay: () => handleMediaPlay(), // Sets up audio like the play button
+  });
+  store.on('change', (state, changedKeys) => {
+    if (!changedKeys.includes('isPlaying')) return;
+    if (state.isPlaying) playbackCoordinator.claim();
+    else playbackCoordinator.release();
+  });
+
+  // Sleep timer: fades out over its last minutes, then pauses playback
+  const sleepTimer = new SleepTimer(audioController, {
+    onTick: (remaining) => uiController.updateSleepTimerState(true, remaining),
+    onComplete: () => uiController.updateSleepTimerState(false),
+  });
+  uiController.populateSleepTimerOptions(SLEEP_TIMER_PRESETS);
+  uiController.updateSleepTimerDuration(
+    settingsController.getSleepTimerMinutes()
+  );
+  uiController.updateSleepTimerState(false);
+
+  // Focus sessions: work/break cycle with chimes, optional break sound and palette
+  const focusSession = new FocusSession(audioController, backgroundController, {
+    onTick: (phase, remaining) =>
+      uiController.updateFocusSessionState(
+        phase,
+        remaining,
+        settingsController.get('focusSessionCount')
+      ),
+    onWorkComplete: () => settingsController.incrementFocusSessionCount(),
+  });
+  uiController.populateFocusBreakSoundOptions(soundSources);
+  uiController.updateFocusSessionOptions(
+    settingsController.getFocusSessionOptions()
+  );
+  uiController.updateFocusSessionState(
+    null,
+    0,
+    settingsController.get('focusSessionCount')
+  );
+
+  // Imported sounds live in IndexedDB; they are added to the lists as soon as they are read
+  const customSoundLibrary = new CustomSoundLibrary(audioController);
+  function refreshSoundOptions() {
+    uiController.populateSoundOptions(soundSources);
+    uiController.updateSoundSelection(settingsController.getSelectedSound());
+    uiController.populateFocusBreakSoundOptions(soundSources);
+    uiController.updateFocusSessionOptions(
+      settingsController.getFocusSessionOptions()
+    );
+    renderOfflineState(); // The options were rebuilt
+  }
+  const customSoundsReady = customSoundLibrary
+    .load()
+    .catch((error) => console.error('Error loading imported sounds:', error))
+    .then(() => {
+      // Stored selections may name an import that has since been deleted. Without the
+      // catalog every built-in sound would look unknown, so keep the selections then.
+      if (isCatalogLoaded) {
+        settingsController.dropUnknownSounds(soundSources.map((s) => s.name));
+      }
+      refreshSoundOptions();
+    });
+
+  // Offline use: the service worker caches the app shell and each recording as it loads
+  const offlineController = new OfflineController({
+    onChange: renderOfflineState,
+    onUpdateReady: () => uiController.showUpdateReady(),
+  });
+  function renderOfflineState() {
+    if (!offlineController.registration) return; // Nothing is cached without the worker
+    const recordings = soundSources.filter((s) => s.url);
+    uiController.updateOfflineState({
+      availableSounds: soundSources
+        .filter((s) => offlineController.isSoundAvailableOffline(s))
+        .map((s) => s.name),
+      downloadedCount: recordings.filter((s) =>
+        offlineController.isCached(s.url)
+      ).length,
+      totalCount: recordings.length,
+      isOnline: offlineController.isOnline(),
+      isDownloading: offlineController.isDownloading,
+    });
+  }
+  // Not during development, where a cached shell would hide Vite's reloads
+  if (import.meta.env.PROD) {
+    offlineController.register().then(renderOfflineState);
+  }
+
+  // Tone generator: binaural / isochronic beats under (or instead of) the ambient sound
+  uiController.populateToneOptions(TONE_PRESETS, TONE_MODES);
+  uiController.updateToneOptions(settingsController.getToneOptions());
+  uiController.updateToneState(settingsController.get('toneEnabled'));
+
+  // Mix presets: named snapshots of sound, volume, layers, tone and background behaviour
+  const presetController = new PresetController(
+    audioController,
+    backgroundController,
+    settingsController
+  );
+  uiController.populatePresetOptions(presetController.getAll());
 
   // Audio System Initialization (requires user gesture)
   let audioInitialized = false;
   async function initializeAudio() {
     if (!audioInitialized) {
+      await customSoundsReady; // The initial sound may be an imported one
       try {
-        await audioController.init(initialSound);
+        await audioController.init(
+          settingsController.getSelectedSound() || initialSound
+        );
         audioInitialized = true;
         console.log('Audio system initialized successfully on user gesture.');
+        if (settingsController.get('toneEnabled')) {
+          await audioController.setTone(settingsController.getToneOptions());
+        }
+        for (const layer of sharedLayers) {
+          await audioController.addLayer(layer.name, layer.volume);
+        }
+        sharedLayers = [];
         // If there's a selected sound, try to play it if settings say sound is enabled
         // This part is tricky, as play should ideally only happen on direct user action for play.
         // For now, init just prepares the audio system.
@@ -91,6 +283,65 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // Settings -> controllers. Every change (controls, presets, imports, other tabs)
+  // reaches the audio, background and UI through these subscriptions.
+  settingsController.subscribe('volume', (volume) =>
+    audioController.setVolume(volume)
+  );
+  settingsController.subscribe('soundEnabled', (soundEnabled) =>
+    audioController.setMuted(!soundEnabled)
+  );
+  settingsController.subscribe('crossfadeDuration', (duration) =>
+    audioController.setCrossfadeDuration(duration)
+  );
+  settingsController.subscribe('normalizeLoudness', (enabled) => {
+    audioController.setNormalizeLoudness(enabled);
+    uiController.updateNormalizeLoudnessToggle(enabled);
+  });
+  settingsController.subscribe('dataSaver', (enabled) => {
+    audioController.setDataSaver(enabled);
+    uiController.updateDataSaverToggle(enabled);
+  });
+  settingsController.subscribe('soundMemoryMB', applySoundMemory);
+  settingsController.subscribe('selectedSound', (soundName) =>
+    uiController.updateSoundSelection(soundName)
+  );
+  settingsController.subscribe('reducedMotion', (reducedMotion) => {
+    uiController.updateReducedMotionToggle(reducedMotion);
+    if (backgroundController)
+      backgroundController.setReducedMotion(reducedMotion);
+  });
+  settingsController.subscribe('sleepTimerMinutes', (minutes) =>
+    uiController.updateSleepTimerDuration(minutes)
+  );
+  // Grouped settings are applied once per update rather than once per key
+  const FOCUS_OPTION_KEYS = [
+    'focusWorkMinutes',
+    'focusBreakMinutes',
+    'focusBreakSound',
+    'focusBreakPalette',
+  ];
+  settingsController.subscribe('*', (changes) => {
+    const keys = changes.map((change) => change.key);
+    if (keys.some((key) => FOCUS_OPTION_KEYS.includes(key))) {
+      uiController.updateFocusSessionOptions(
+        settingsController.getFocusSessionOptions()
+      );
+    }
+    if (keys.some((key) => key.startsWith('tone'))) {
+      const toneOptions = settingsController.getToneOptions();
+      const toneEnabled = settingsController.get('toneEnabled');
+      uiController.updateToneOptions(toneOptions);
+      uiController.updateToneState(toneEnabled);
+      if (!toneEnabled) {
+        audioController.clearTone();
+      } else if (audioInitialized) {
+        audioController.setTone(toneOptions); // Updates a running tone in place
+      }
+    }
+  });
+  settingsController.listenForExternalChanges(); // Changes made in other tabs
+
   // Event Handlers (delegated through UIController bindings)
   async function handlePlayPause() {
     if (!firstInteractionTime) {
@@ -114,10 +365,17 @@ document.addEventListener('DOMContentLoaded', () => {
 
     if (audioController.isPlaying) {
       audioController.pause();
+    } else if (audioController.selectedSound === selectedSoundName) {
+      await audioController.resume(); // Continue from where playback was paused
     } else {
       await audioController.play(selectedSoundName);
     }
-    uiController.updatePlayButtonState(audioController.isPlaying);
+  }
+
+  // The media keys' play action: like the play button, but never pauses
+  async function handleMediaPlay() {
+    if (audioController.isPlaying) return;
+    await handlePlayPause();
   }
 
   async function handleSoundSelection(event) {
@@ -136,7 +394,6 @@ document.addEventListener('DOMContentLoaded', () => {
     settingsController.set('selectedSound', newSoundName); // Save selection
     console.log(`Sound selected via UI: ${newSoundName}`);
     await audioController.play(newSoundName); // Play the new sound
-    uiController.updatePlayButtonState(audioController.isPlaying);
   }
 
   function handleReducedMotionToggle(event) {
@@ -144,11 +401,7 @@ document.addEventListener('DOMContentLoaded', () => {
       firstInteractionTime = performance.now();
       console.log(`Performance: First user interaction (reduced motion toggle) at ${(firstInteractionTime - pageLoadStart).toFixed(2)} ms (relative to script start)`);
     }
-    const isChecked = event.target.checked;
-    settingsController.set('reducedMotion', isChecked);
-    if (backgroundController) {
-      backgroundController.setReducedMotion(isChecked);
-    }
+    settingsController.set('reducedMotion', event.target.checked);
     // No need to call uiController.showControls() here as UIController's initControlHiding handles focus/interaction
   }
 
@@ -158,16 +411,272 @@ document.addEventListener('DOMContentLoaded', () => {
       console.log(`Performance: First user interaction (volume change) at ${(firstInteractionTime - pageLoadStart).toFixed(2)} ms (relative to script start)`);
     }
     const newVolume = parseFloat(event.target.value);
-    audioController.setVolume(newVolume);
-    settingsController.set('volume', newVolume);
-    uiController.updateVolumeSlider(newVolume); // For styling updates if needed
+    const changes = { volume: newVolume };
+    if (audioController.isMuted && newVolume > 0) {
+      changes.soundEnabled = true; // Turning the volume up implies wanting to hear it
+    }
+    settingsController.update(changes);
+  }
+
+  // soundEnabled: false means muted
+  function handleMuteToggle() {
+    settingsController.set('soundEnabled', audioController.isMuted);
+  }
+
+  function handleSleepTimerToggle() {
+    if (sleepTimer.isActive()) {
+      sleepTimer.cancel();
+      uiController.updateSleepTimerState(false);
+    } else {
+      sleepTimer.start(settingsController.getSleepTimerMinutes());
+    }
+  }
+
+  function handleSleepTimerDurationChange(minutes) {
+    settingsController.set('sleepTimerMinutes', minutes); // Remembered as the last-used duration
+    if (sleepTimer.isActive()) {
+      sleepTimer.start(settingsController.getSleepTimerMinutes()); // Restart with the new duration
+    }
+  }
+
+  function handleFocusSessionToggle() {
+    if (focusSession.isActive()) {
+      focusSession.stop();
+      uiController.updateFocusSessionState(
+        null,
+        0,
+        settingsController.get('focusSessionCount')
+      );
+    } else {
+      focusSession.start(settingsController.getFocusSessionOptions());
+    }
+  }
+
+  // New lengths apply from the next session so a running interval is not reset
+  function handleFocusSessionOptionsChange({
+    workMinutes,
+    breakMinutes,
+    breakSound,
+  }) {
+    settingsController.update({
+      focusWorkMinutes: workMinutes,
+      focusBreakMinutes: breakMinutes,
+      focusBreakSound: breakSound,
+    });
+    // Invalid values are rejected by SettingsController; show what was kept
+    uiController.updateFocusSessionOptions(
+      settingsController.getFocusSessionOptions()
+    );
+  }
+
+  async function handleToneToggle() {
+    await initializeAudio();
+    if (!audioInitialized) return;
+
+    settingsController.set(
+      'toneEnabled',
+      !settingsController.get('toneEnabled')
+    );
+  }
+
+  // Changes apply immediately to a running tone
+  function handleToneOptionsChange(changes) {
+    settingsController.setToneOptions(changes);
+    // Invalid values are rejected by SettingsController; show what was kept
+    uiController.updateToneOptions(settingsController.getToneOptions());
+  }
+
+  async function handleSoundImport(files) {
+    await initializeAudio(); // Decoding needs the AudioContext
+    if (!audioInitialized) return;
+    for (const file of files) {
+      try {
+        await customSoundLibrary.import(file);
+      } catch (error) {
+        uiController.displayError(error.message);
+      }
+    }
+    refreshSoundOptions();
+  }
+
+  async function handleCustomSoundRename(soundName, newName) {
+    try {
+      const renamed = await customSoundLibrary.rename(soundName, newName);
+      // Settings refer to sounds by name
+      if (settingsController.getSelectedSound() === soundName) {
+        settingsController.set('selectedSound', renamed);
+      }
+      if (settingsController.get('focusBreakSound') === soundName) {
+        settingsController.set('focusBreakSound', renamed);
+      }
+    } catch (error) {
+      uiController.displayError(error.message);
+    }
+    refreshSoundOptions();
+  }
+
+  async function handleCustomSoundDelete(soundName) {
+    try {
+      await customSoundLibrary.remove(soundName);
+      if (
+        settingsController.getSelectedSound() === soundName &&
+        soundSources.length > 0
+      ) {
+        settingsController.set('selectedSound', soundSources[0].name);
+      }
+      if (settingsController.get('focusBreakSound') === soundName) {
+        settingsController.set('focusBreakSound', null);
+      }
+    } catch (error) {
+      uiController.displayError(error.message);
+    }
+    refreshSoundOptions();
+  }
+
+  async function handlePresetRecall(id) {
+    await initializeAudio(); // Recalling starts the preset's sound
+    if (!audioInitialized) return;
+    await presetController.apply(id); // The controls follow through the settings and store
+  }
+
+  // Preset edits throw user-facing errors (empty or taken names, deleted presets)
+  function updatePresets(action) {
+    try {
+      const preset = action();
+      uiController.populatePresetOptions(
+        presetController.getAll(),
+        preset ? preset.id : null
+      );
+    } catch (error) {
+      uiController.displayError(error.message);
+    }
+  }
+
+  // Settings export / import: a JSON file with the settings, presets and imported sound names
+  function handleSettingsExport() {
+    const data = settingsController.createExport({
+      presets: presetController.getAll(),
+      customSounds: customSoundLibrary.getMetadata(),
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    uiController.downloadFile(
+      `ambient-mood-settings-${date}.json`,
+      JSON.stringify(data, null, 2)
+    );
+  }
+
+  async function handleSettingsImport(file) {
+    let imported;
+    try {
+      imported = settingsController.parseExport(await file.text());
+    } catch (error) {
+      uiController.displayError(error.message);
+      return;
+    }
+    const soundNames = soundSources.map((s) => s.name);
+    const confirmed = uiController.confirmSettingsImport({
+      changes: settingsController.diff(imported.settings),
+      presetCount: imported.presets.length,
+      currentPresetCount: presetController.getAll().length,
+      missingSounds: imported.customSounds
+        .map((sound) => sound.name)
+        .filter((name) => !soundNames.includes(name)),
+      ignored: imported.ignored,
+    });
+    if (!confirmed) return;
+
+    settingsController.replaceAll(imported.settings);
+    settingsController.dropUnknownSounds(soundNames);
+    presetController.replaceAll(imported.presets);
+    uiController.populatePresetOptions(presetController.getAll());
+
+    // The subscriptions apply the settings; a playing sound follows the new selection
+    const selectedSound = settingsController.getSelectedSound();
+    if (
+      audioController.isPlaying &&
+      audioController.selectedSound !== selectedSound
+    ) {
+      await audioController.play(selectedSound);
+    }
+  }
+
+  async function handleDownloadAll() {
+    const failed = await offlineController.downloadAll(
+      soundSources.filter((s) => s.url).map((s) => s.url)
+    );
+    if (failed.length > 0) {
+      uiController.displayError(
+        `${failed.length} sounds could not be downloaded. Try again on a better connection.`
+      );
+    }
+  }
+
+  function getShareLink() {
+    const backgroundState = backgroundController
+      ? backgroundController.getState()
+      : { speed: 1 };
+    return createShareLink({
+      sound:
+        audioController.selectedSound || settingsController.getSelectedSound(),
+      volume: settingsController.getVolume(),
+      layers: [...audioController.getLayers(), ...sharedLayers], // Shared layers wait for audio init
+      speed: backgroundState.speed,
+      reducedMotion: settingsController.isReducedMotion(),
+    });
   }
 
   // Bind events using UIController
   uiController.bindPlayPauseButton(handlePlayPause);
   uiController.bindSoundSelect(handleSoundSelection);
   uiController.bindVolumeSlider(handleVolumeChange);
+  uiController.bindMuteButton(handleMuteToggle);
+  uiController.bindMuteShortcut(handleMuteToggle); // M key toggles mute
   uiController.bindReducedMotionToggle(handleReducedMotionToggle);
+  uiController.bindSleepTimerButton(handleSleepTimerToggle);
+  uiController.bindSleepTimerDuration(handleSleepTimerDurationChange);
+  uiController.bindFocusSessionButton(handleFocusSessionToggle);
+  uiController.bindFocusSessionOptions(handleFocusSessionOptionsChange);
+  uiController.bindToneButton(handleToneToggle);
+  uiController.bindToneOptions(handleToneOptionsChange);
+  uiController.bindNormalizeLoudnessToggle((enabled) =>
+    settingsController.set('normalizeLoudness', enabled)
+  );
+  uiController.bindDataSaverToggle((enabled) =>
+    settingsController.set('dataSaver', enabled)
+  );
+  uiController.bindSoundImport(handleSoundImport);
+  uiController.bindPresetControls({
+    onRecall: handlePresetRecall,
+    onSave: (name) => updatePresets(() => presetController.save(name)),
+    onOverwrite: (id) => updatePresets(() => presetController.overwrite(id)),
+    onRename: (id, name) =>
+      updatePresets(() => presetController.rename(id, name)),
+    onDelete: (id) => updatePresets(() => presetController.delete(id)),
+  });
+  uiController.bindCopyLinkButton(getShareLink);
+  uiController.bindSettingsTransfer({
+    onExport: handleSettingsExport,
+    onImport: handleSettingsImport,
+  });
+  uiController.bindDownloadAllButton(handleDownloadAll);
+  uiController.bindUpdateButton(() => offlineController.applyUpdate());
+  uiController.bindSoundRetry(async (soundName) => {
+    await initializeAudio();
+    if (!audioInitialized) return;
+    const loaded = await audioController.retryLoad(soundName);
+    // Picking a sound that failed already tried to play it, so finish what was started
+    if (
+      loaded &&
+      soundName === settingsController.getSelectedSound() &&
+      !audioController.isPlaying
+    ) {
+      await audioController.play(soundName);
+    }
+  });
+  uiController.bindCustomSoundActions({
+    onRename: handleCustomSoundRename,
+    onDelete: handleCustomSoundDelete,
+  });
   uiController.bindGlobalSpacebar(handlePlayPause); // Spacebar triggers play/pause
 
   // Initialize control auto-hiding